@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Model Optimizer - Evaluation harness
+ * Estimates per-task, per-model quality from graded transcripts in data/evaluations/*.jsonl
+ * (or MODEL_OPTIMIZER_EVAL_DIR) and compares them with the quality score database.
+ *
+ * Usage:
+ *   node scripts/evaluate.js                  # Estimates with 95% confidence intervals
+ *   node scripts/evaluate.js --task debugging --json
+ *   node scripts/evaluate.js --record         # Save usable estimates to data/quality-scores.json
+ */
+
+import { parseArgs } from 'node:util';
+import {
+  readGradedTranscripts,
+  estimateQuality,
+  getEvalMinSamples,
+  describeEstimate
+} from '../src/evaluation/index.js';
+import {
+  readQualityScoreFile,
+  writeQualityScoreFile,
+  setQualityScore
+} from '../src/optimizer/quality.js';
+
+const args = parseArgs({
+  options: {
+    dir: { type: 'string' },
+    task: { type: 'string', short: 't' },
+    'min-samples': { type: 'string' },
+    record: { type: 'boolean' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+  allowPositionals: false
+});
+
+if (args.values.help) {
+  console.log(`
+Model Optimizer - Evaluation harness
+
+Usage:
+  node scripts/evaluate.js [options]
+
+Options:
+  --dir PATH         Graded transcript directory (default data/evaluations or MODEL_OPTIMIZER_EVAL_DIR)
+  -t, --task ID      Only this task type
+  --min-samples N    Graded prompts needed before an estimate is used
+                     (default MODEL_OPTIMIZER_EVAL_MIN_SAMPLES or 5)
+  --record           Write usable estimates into the quality score database
+  --json             Print JSON instead of a table
+  -h, --help         Show this help
+
+Each *.jsonl line is one graded transcript:
+  {"taskType": "debugging", "model": "claude-sonnet-4-6", "promptId": "dbg-014",
+   "grade": 4, "scale": [1, 5], "grader": "human", "gradedBy": "alice"}
+  `);
+  process.exit(0);
+}
+
+const minSamples = args.values['min-samples'] !== undefined ? Number(args.values['min-samples']) : getEvalMinSamples();
+if (!Number.isInteger(minSamples) || minSamples < 1) {
+  console.error('--min-samples must be a positive integer');
+  process.exit(1);
+}
+
+const { records, errors } = readGradedTranscripts(args.values.dir);
+for (const error of errors) console.error(`skipped ${error}`);
+if (records.length === 0) {
+  console.log('No graded transcripts found.');
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+const database = readQualityScoreFile();
+const estimates = estimateQuality(records, { minSamples });
+const rows = Object.entries(estimates)
+  .filter(([taskType]) => !args.values.task || taskType === args.values.task)
+  .flatMap(([taskType, models]) => Object.entries(models).map(([model, estimate]) => ({
+    taskType,
+    model,
+    ...estimate,
+    handTuned: database.scores[taskType]?.[model]?.score ?? null
+  })))
+  .sort((a, b) => a.taskType.localeCompare(b.taskType) || b.mean - a.mean);
+
+if (args.values.json) {
+  console.log(JSON.stringify(rows, null, 2));
+} else {
+  const header = ['Task', 'Model', 'Estimate', 'Grades', 'Database', 'Used'];
+  const cells = rows.map(row => [
+    row.taskType,
+    row.model,
+    describeEstimate(row),
+    `${row.grades} (${row.graders.human} human, ${row.graders.rubric} rubric)`,
+    row.handTuned ?? '-',
+    row.usable ? 'yes' : `no (< ${minSamples} prompts)`
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...cells.map(line => String(line[i]).length)));
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(header));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  for (const row of cells) console.log(line(row));
+}
+
+if (args.values.record) {
+  let updated = database;
+  let count = 0;
+  for (const row of rows.filter(entry => entry.usable)) {
+    ({ database: updated } = setQualityScore(updated, {
+      taskType: row.taskType,
+      model: row.model,
+      score: Math.min(10, Math.max(1, Math.round(row.mean * 10) / 10)),
+      source: `graded transcripts (95% CI ${row.low}–${row.high}, n=${row.prompts})`,
+      evaluator: 'evaluation harness'
+    }));
+    count += 1;
+  }
+  if (count > 0) writeQualityScoreFile(updated);
+  console.log(`Recorded ${count} estimate(s) in the quality score database.`);
+}
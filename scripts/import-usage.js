@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Model Optimizer - Usage import
+ * Summarises gateway request logs (JSONL) into data/usage-profile.json, which the optimizer
+ * uses for the real per-task token mix and cache hit rates.
+ *
+ * Usage:
+ *   node scripts/import-usage.js /var/log/gateway/requests.jsonl
+ *   node scripts/import-usage.js logs/ --days 30
+ *   node scripts/import-usage.js logs/ --dry-run --json
+ */
+
+import { parseArgs } from 'node:util';
+import { basename } from 'node:path';
+import { readUsageLogs, summarizeUsage, writeUsageProfile } from '../src/usage/index.js';
+
+const args = parseArgs({
+  options: {
+    days: { type: 'string' },
+    'dry-run': { type: 'boolean', short: 'd' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+  allowPositionals: true
+});
+
+if (args.values.help || args.positionals.length === 0) {
+  console.log(`
+Model Optimizer - Usage import
+
+Usage:
+  node scripts/import-usage.js <log file or directory>... [options]
+
+Options:
+  --days N         Only the last N days before the newest request (default: everything)
+  -d, --dry-run    Print the summary without writing data/usage-profile.json
+  --json           Print the profile as JSON
+  -h, --help       Show this help
+
+Each log line is one request:
+  {"timestamp": "2026-10-18T09:12:00Z", "taskType": "summaries", "model": "google/gemini-2.5-flash",
+   "inputTokens": 5200, "outputTokens": 310, "cachedTokens": 4096}
+snake_case names (task_type, input_tokens, prompt_tokens, completion_tokens, cached_tokens) also work.
+  `);
+  process.exit(args.values.help ? 0 : 1);
+}
+
+const days = args.values.days !== undefined ? Number(args.values.days) : null;
+if (days !== null && !(Number.isFinite(days) && days > 0)) {
+  console.error('--days must be a positive number');
+  process.exit(1);
+}
+
+try {
+  const { records, skipped, errors } = await readUsageLogs(args.positionals);
+  for (const error of errors) console.warn(`skipped ${error}`);
+  if (skipped > errors.length) console.warn(`…and ${skipped - errors.length} more invalid line(s)`);
+
+  const profile = summarizeUsage(records, { days, sources: args.positionals.map(path => basename(path)) });
+  if (profile.requests === 0) {
+    throw new Error('No valid requests found in the usage logs.');
+  }
+
+  if (args.values.json) {
+    console.log(JSON.stringify(profile, null, 2));
+  } else {
+    const range = profile.from ? ` from ${profile.from} to ${profile.to}` : '';
+    console.log(`${profile.requests} request(s)${range}, ${profile.totals.totalTokens} tokens (${skipped} line(s) skipped)`);
+    const header = ['Task', 'Requests', 'Token share', 'In:Out', 'Cache hit', 'Avg in/out'];
+    const cells = Object.entries(profile.tasks).map(([taskType, task]) => [
+      taskType,
+      task.requests,
+      `${(task.tokenShare * 100).toFixed(1)}%`,
+      task.inputOutputRatio === null ? 'input only' : `${task.inputOutputRatio}:1`,
+      task.cacheHitRate === null ? '-' : `${(task.cacheHitRate * 100).toFixed(1)}%`,
+      `${task.avgInputTokens}/${task.avgOutputTokens}`
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...cells.map(line => String(line[i]).length)));
+    const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(header));
+    console.log(line(widths.map(width => '-'.repeat(width))));
+    for (const row of cells) console.log(line(row));
+  }
+
+  if (!args.values['dry-run']) {
+    writeUsageProfile(profile);
+    if (!args.values.json) console.log('Usage profile written; the next optimizer run uses it.');
+  }
+} catch (error) {
+  console.error(`Usage import failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Model Optimizer - Price lookup
+ * Answers ad hoc pricing questions from the pricing cache and static price tables.
+ * Never fetches from the network; run run-weekly.js (or --refresh-pricing) to update the cache.
+ *
+ * Usage:
+ *   node scripts/pricing.js list [--capability toolUse,vision] [--max-price 5] [--provider google]
+ *   node scripts/pricing.js show claude-sonnet-4-6
+ *   node scripts/pricing.js compare gpt-4o claude-sonnet-4-6 gemini-2.5-pro
+ *   node scripts/pricing.js list --json
+ */
+
+import { parseArgs } from 'node:util';
+import { loadCachedPricing } from '../src/pricing/index.js';
+import { normalizeRegionalPricing } from '../src/pricing/regional.js';
+import { CAPABILITY_FLAGS, missingCapabilities } from '../src/pricing/capabilities.js';
+import { describeCapabilities } from '../src/discovery/models.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const args = parseArgs({
+  options: {
+    capability: { type: 'string', short: 'c' },
+    'max-price': { type: 'string' },
+    'min-context': { type: 'string' },
+    provider: { type: 'string', short: 'p' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+  allowPositionals: true
+});
+
+const [command = 'list', ...modelArgs] = args.positionals;
+
+if (args.values.help || !['list', 'show', 'compare'].includes(command)) {
+  console.log(`
+Model Optimizer - Price lookup (cached data only, no network)
+
+Usage:
+  node scripts/pricing.js list [filters]         Full catalogue
+  node scripts/pricing.js show <model>           One model with source and cache age
+  node scripts/pricing.js compare <model> ...    Models side by side
+
+Filters (list):
+  -c, --capability LIST  Require capabilities (${CAPABILITY_FLAGS.join(', ')})
+  --max-price N          Max input + output USD per 1M tokens
+  --min-context N        Min context window in tokens
+  -p, --provider ID      Only this provider
+
+Options:
+  --json                 Print JSON instead of a table
+  -h, --help             Show this help
+
+Models match by full id (openai/gpt-4o) or by the part after the provider (gpt-4o).
+Prices are USD for MODEL_OPTIMIZER_REGION (default global), including manual overrides.
+  `);
+  process.exit(args.values.help ? 0 : 1);
+}
+
+function formatAge(fetchedAt) {
+  if (!fetchedAt) return '-';
+  const hours = (Date.now() - Date.parse(fetchedAt)) / HOUR_MS;
+  if (hours < 1) return `${Math.max(0, Math.round(hours * 60))}m`;
+  if (hours < 48) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+function formatPrice(value) {
+  return Number.isFinite(value) ? `$${value.toFixed(3)}` : '-';
+}
+
+function sourceLabel(record, provenance) {
+  const origin = provenance?.status === 'static' ? 'static table' : (record.source || provenance?.cacheStatus || 'primary');
+  return record.override ? `${origin} + override` : origin;
+}
+
+function findRecord(records, query) {
+  const needle = String(query).toLowerCase();
+  return records.find(record => record.model.toLowerCase() === needle)
+    || records.find(record => record.model.toLowerCase().split('/').pop() === needle);
+}
+
+function toRow(record, provenanceByProvider) {
+  const provenance = provenanceByProvider[record.provider];
+  return {
+    model: record.model,
+    provider: record.provider,
+    inputPerM: record.inputPerM,
+    outputPerM: record.outputPerM,
+    cacheReadPerM: record.cacheReadPerM ?? null,
+    contextWindow: record.contextWindow,
+    capabilities: record.capabilities,
+    priceModes: record.priceModes ? Object.keys(record.priceModes) : [],
+    lifecycle: record.lifecycle || null,
+    override: record.override || null,
+    listed: record.listed || null,
+    source: sourceLabel(record, provenance),
+    fetchedAt: provenance?.fetchedAt || null,
+    cacheAge: formatAge(provenance?.fetchedAt)
+  };
+}
+
+function printTable(rows) {
+  const columns = [
+    ['Model', row => row.model],
+    ['Provider', row => row.provider],
+    ['Input/M', row => formatPrice(row.inputPerM)],
+    ['Output/M', row => formatPrice(row.outputPerM)],
+    ['Context', row => (Number.isFinite(row.contextWindow) ? `${Math.round(row.contextWindow / 1000)}k` : '-')],
+    ['Capabilities', row => describeCapabilities(row.capabilities ? { ...row.capabilities, contextWindow: null } : null)],
+    ['Source', row => row.source],
+    ['Age', row => row.cacheAge]
+  ];
+  const cells = rows.map(row => columns.map(([, value]) => String(value(row))));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns.map(([title]) => title)));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  for (const row of cells) console.log(line(row));
+}
+
+function printDetails(row) {
+  const lines = [
+    ['Model', row.model],
+    ['Provider', row.provider],
+    ['Input/M', formatPrice(row.inputPerM)],
+    ['Output/M', formatPrice(row.outputPerM)],
+    ['Cache read/M', formatPrice(row.cacheReadPerM ?? undefined)],
+    ['Listed', row.listed ? `${row.listed.inputPerM} / ${row.listed.outputPerM} ${row.listed.currency}` : null],
+    ['Context', Number.isFinite(row.contextWindow) ? `${row.contextWindow} tokens` : '-'],
+    ['Capabilities', describeCapabilities(row.capabilities)],
+    ['Price modes', row.priceModes.length > 0 ? row.priceModes.join(', ') : null],
+    ['Lifecycle', row.lifecycle ? [row.lifecycle.status, row.lifecycle.sunsetDate && `sunset ${row.lifecycle.sunsetDate}`].filter(Boolean).join(', ') : null],
+    ['Override', row.override ? [row.override.fields.join(', '), row.override.note].filter(Boolean).join(' — ') : null],
+    ['Source', row.source],
+    ['Fetched', row.fetchedAt ? `${row.fetchedAt} (${row.cacheAge} ago)` : 'static table']
+  ].filter(([, value]) => value !== null);
+  const width = Math.max(...lines.map(([label]) => label.length));
+  for (const [label, value] of lines) console.log(`${label.padEnd(width)}  ${value}`);
+}
+
+const { pricing, provenance, missing } = await loadCachedPricing({ quiet: true });
+const records = normalizeRegionalPricing(
+  Object.entries(pricing).flatMap(([provider, models]) => models.map(model => ({ ...model, provider })))
+);
+if (missing.length > 0) {
+  console.error(`No cached prices for: ${missing.join(', ')} (run node scripts/run-weekly.js --dry-run to fetch them)`);
+}
+
+let rows;
+if (command === 'list') {
+  const capabilities = args.values.capability ? args.values.capability.split(',').map(flag => flag.trim()).filter(Boolean) : [];
+  const unknown = capabilities.filter(flag => !CAPABILITY_FLAGS.includes(flag));
+  if (unknown.length > 0) {
+    console.error(`Unknown capability: ${unknown.join(', ')} (expected ${CAPABILITY_FLAGS.join(', ')})`);
+    process.exit(1);
+  }
+  const maxPrice = args.values['max-price'] !== undefined ? Number(args.values['max-price']) : null;
+  const minContextWindow = args.values['min-context'] !== undefined ? Number(args.values['min-context']) : undefined;
+  if ((maxPrice !== null && !Number.isFinite(maxPrice)) || (minContextWindow !== undefined && !Number.isFinite(minContextWindow))) {
+    console.error('--max-price and --min-context must be numbers');
+    process.exit(1);
+  }
+
+  rows = records
+    .filter(record => !args.values.provider || record.provider === args.values.provider)
+    .filter(record => maxPrice === null || record.inputPerM + record.outputPerM <= maxPrice)
+    .filter(record => missingCapabilities(record, { capabilities, minContextWindow }).length === 0)
+    .sort((a, b) => (a.inputPerM + a.outputPerM) - (b.inputPerM + b.outputPerM) || a.model.localeCompare(b.model))
+    .map(record => toRow(record, provenance));
+} else {
+  if (modelArgs.length === 0 || (command === 'show' && modelArgs.length > 1)) {
+    console.error(command === 'show' ? 'Usage: pricing.js show <model>' : 'Usage: pricing.js compare <model> <model> ...');
+    process.exit(1);
+  }
+  const notFound = modelArgs.filter(query => !findRecord(records, query));
+  if (notFound.length > 0) {
+    console.error(`Not in cached pricing: ${notFound.join(', ')}`);
+    process.exit(1);
+  }
+  rows = modelArgs.map(query => toRow(findRecord(records, query), provenance));
+}
+
+if (args.values.json) {
+  console.log(JSON.stringify(command === 'show' ? rows[0] : rows, null, 2));
+} else if (command === 'show') {
+  printDetails(rows[0]);
+} else if (rows.length === 0) {
+  console.log('No models match.');
+} else {
+  printTable(rows);
+}
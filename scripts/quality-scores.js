@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Model Optimizer - Quality score database
+ * Shows, edits and diffs data/quality-scores.json (or MODEL_OPTIMIZER_QUALITY_SCORES).
+ *
+ * Usage:
+ *   node scripts/quality-scores.js show [--task code-changes] [--model claude-sonnet-4-6] [--json]
+ *   node scripts/quality-scores.js set code-changes openai/gpt-4.1 8 --source "internal eval" --evaluator alice
+ *   node scripts/quality-scores.js diff [HEAD~1 | old-scores.json]
+ */
+
+import { parseArgs } from 'node:util';
+import { execFileSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { relative, resolve } from 'node:path';
+import {
+  qualityScoresFilePath,
+  readQualityScoreFile,
+  writeQualityScoreFile,
+  validateQualityScores,
+  loadKnownTaskTypes,
+  loadKnownModelIds,
+  setQualityScore,
+  diffQualityScores
+} from '../src/optimizer/quality.js';
+
+const repoRoot = resolve(new URL('..', import.meta.url).pathname);
+
+const args = parseArgs({
+  options: {
+    task: { type: 'string', short: 't' },
+    model: { type: 'string', short: 'm' },
+    source: { type: 'string' },
+    evaluator: { type: 'string' },
+    date: { type: 'string' },
+    note: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  },
+  allowPositionals: true
+});
+
+const [command = 'show', ...rest] = args.positionals;
+
+if (args.values.help || !['show', 'set', 'diff'].includes(command)) {
+  console.log(`
+Model Optimizer - Quality score database
+
+Usage:
+  node scripts/quality-scores.js show [options]                 List scores with provenance
+  node scripts/quality-scores.js set <task> <model> <score> ... Add or change one score
+  node scripts/quality-scores.js diff [REF | FILE]              Changes since a git ref (default HEAD) or another file
+
+Options:
+  -t, --task ID        show: only this task type
+  -m, --model ID       show: only this model
+  --source TEXT        set: where the score comes from (required)
+  --evaluator NAME     set: who assessed it (required)
+  --date YYYY-MM-DD    set: when it was assessed (default today)
+  --note TEXT          set: free-form note
+  --json               Print JSON instead of a table
+  -h, --help           Show this help
+
+Scores run from 1 to 10 (10 = best quality for the task). Task types must exist in data/taxonomy.json.
+  `);
+  process.exit(args.values.help ? 0 : 1);
+}
+
+function printTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+  const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(header));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  for (const row of rows) console.log(line(row));
+}
+
+function readBaseline(target = 'HEAD') {
+  if (existsSync(target)) return readQualityScoreFile(resolve(target));
+
+  const path = relative(repoRoot, qualityScoresFilePath());
+  try {
+    const content = execFileSync('git', ['show', `${target}:${path}`], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const raw = JSON.parse(content);
+    return { version: raw.version, updatedAt: raw.updatedAt || null, scores: raw.scores || {} };
+  } catch (error) {
+    throw new Error(`Cannot read ${path} at ${target}: ${error.stderr?.trim() || error.message}`);
+  }
+}
+
+function describeEntry(entry) {
+  return entry ? `${entry.score} (${entry.source}, ${entry.evaluator}, ${entry.date})` : '-';
+}
+
+function showScores() {
+  const database = readQualityScoreFile();
+  const { entries, errors, warnings } = validateQualityScores(database, {
+    taskTypes: loadKnownTaskTypes(),
+    modelIds: loadKnownModelIds()
+  });
+
+  const rows = Object.entries(entries)
+    .filter(([taskType]) => !args.values.task || taskType === args.values.task)
+    .flatMap(([taskType, models]) => Object.entries(models)
+      .filter(([model]) => !args.values.model || model === args.values.model)
+      .map(([model, entry]) => ({ taskType, model, ...entry })));
+
+  if (args.values.json) {
+    console.log(JSON.stringify({ updatedAt: database.updatedAt, scores: rows, errors, warnings }, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log('No quality scores match.');
+  } else {
+    printTable(
+      ['Task', 'Model', 'Score', 'Source', 'Date', 'Evaluator'],
+      rows.map(row => [row.taskType, row.model, row.score, row.source, row.date, row.evaluator])
+    );
+  }
+  for (const error of errors) console.error(`invalid: ${error}`);
+  for (const warning of warnings) console.error(`warning: ${warning}`);
+}
+
+function setScore() {
+  const [taskType, model, score] = rest;
+  if (!taskType || !model || score === undefined) {
+    throw new Error('Usage: quality-scores.js set <task> <model> <score> --source TEXT --evaluator NAME');
+  }
+  const taskTypes = loadKnownTaskTypes();
+  if (taskTypes.size > 0 && !taskTypes.has(taskType)) {
+    throw new Error(`Unknown task type ${taskType} (not in data/taxonomy.json)`);
+  }
+  const modelIds = loadKnownModelIds();
+  if (modelIds.size > 0 && !modelIds.has(model)) {
+    console.warn(`Warning: ${model} was not in the last pricing run; check the model id.`);
+  }
+
+  const { database, previous } = setQualityScore(readQualityScoreFile(), {
+    taskType,
+    model,
+    score: Number(score),
+    source: args.values.source,
+    evaluator: args.values.evaluator,
+    ...(args.values.date ? { date: args.values.date } : {}),
+    note: args.values.note
+  });
+  writeQualityScoreFile(database);
+  console.log(`${taskType}/${model}: ${describeEntry(previous)} → ${describeEntry(database.scores[taskType][model])}`);
+}
+
+function diffScores() {
+  const changes = diffQualityScores(readBaseline(rest[0]), readQualityScoreFile());
+  if (args.values.json) {
+    console.log(JSON.stringify(changes, null, 2));
+  } else if (changes.length === 0) {
+    console.log('No quality score changes.');
+  } else {
+    printTable(
+      ['Task', 'Model', 'Change', 'Before', 'After'],
+      changes.map(change => [change.taskType, change.model, change.change, describeEntry(change.before), describeEntry(change.after)])
+    );
+  }
+}
+
+try {
+  if (command === 'show') showScores();
+  else if (command === 'set') setScore();
+  else diffScores();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Record live pricing responses as replay fixtures for offline tests
+ *
+ * Usage:
+ *   node scripts/record-http-fixtures.js                 # Record every scraper
+ *   node scripts/record-http-fixtures.js --only deepseek  # Record selected scrapers
+ */
+
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import { readdirSync, existsSync } from 'node:fs';
+import { fetchAnthropicPricing, resolveAnthropicModelId } from '../src/pricing/anthropic.js';
+import { fetchGooglePricing } from '../src/pricing/google.js';
+import { fetchDeepSeekPricing } from '../src/pricing/deepseek.js';
+import { fetchAggregatorPricing } from '../src/pricing/openrouter.js';
+import { fetchArtificialAnalysisPricing } from '../src/pricing/artificialanalysis.js';
+import { requestRefresh } from '../src/pricing/cache.js';
+import { setHttpTransport, createRecordingTransport, HTTP_FIXTURES_DIR } from '../src/pricing/http.js';
+
+const SCRAPERS = {
+  anthropic: fetchAnthropicPricing,
+  google: fetchGooglePricing,
+  deepseek: fetchDeepSeekPricing,
+  openrouter: fetchAggregatorPricing,
+  artificialanalysis: () => fetchArtificialAnalysisPricing('anthropic', { resolveModelId: resolveAnthropicModelId })
+};
+
+const args = parseArgs({
+  options: {
+    only: { type: 'string' },
+    dir: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (args.values.help) {
+  console.log(`
+Record pricing HTTP fixtures
+
+Usage:
+  node scripts/record-http-fixtures.js [options]
+
+Options:
+  --only LIST  Comma-separated scrapers (${Object.keys(SCRAPERS).join(', ')})
+  --dir PATH   Fixture directory (default: tests/fixtures/http)
+  -h, --help   Show this help
+
+Each response is saved as <host>-<path>.json. Request headers are not saved.
+Set DEEPSEEK_API_KEY to record the DeepSeek model listing as well.
+  `);
+  process.exit(0);
+}
+
+const dir = args.values.dir ? resolve(args.values.dir) : HTTP_FIXTURES_DIR;
+const selected = args.values.only
+  ? args.values.only.split(',').map(name => name.trim()).filter(Boolean)
+  : Object.keys(SCRAPERS);
+
+const unknown = selected.filter(name => !SCRAPERS[name]);
+if (unknown.length > 0) {
+  console.error(`Unknown scraper(s): ${unknown.join(', ')}`);
+  process.exit(1);
+}
+
+// Always hit the network: no cache, no local aggregator file
+requestRefresh();
+delete process.env.PRICING_AGGREGATOR_FILE;
+setHttpTransport(createRecordingTransport(dir));
+
+const before = existsSync(dir) ? readdirSync(dir).length : 0;
+for (const name of selected) {
+  try {
+    const records = await SCRAPERS[name]();
+    console.log(`${name}: ${records.length} price record(s)`);
+  } catch (error) {
+    console.warn(`${name}: ${error.message}`);
+  }
+}
+const after = existsSync(dir) ? readdirSync(dir).length : 0;
+console.log(`Fixtures in ${dir}: ${after} (${after - before} new)`);
@@ -6,6 +6,8 @@
  * Usage:
  *   node run-weekly.js --dry-run    # Generate report only
  *   node run-weekly.js --apply      # Apply changes after approval
+ *   node run-weekly.js --refresh-pricing  # Ignore cached pricing for this run
+ *   node run-weekly.js --export-pricing   # Also write the pricing snapshot as CSV + JSON
  */
 
 import { parseArgs } from 'node:util';
@@ -17,12 +19,27 @@ import * as discovery from '../src/discovery/index.js';
 import * as config from '../src/config/index.js';
 import * as reporting from '../src/reporting/index.js';
 import * as store from '../src/approval/store.js';
-import { fetchAllPricing } from '../src/pricing/index.js';
+import {
+  fetchAllPricing,
+  requestPricingRefresh,
+  getAllPricingProvenance,
+  getPricingValidationReport,
+  buildPricingSnapshot,
+  writePricingSnapshot,
+  recordPriceRun,
+  describePriceChange,
+  getProviderRunOutcomes,
+  recordProviderHealth,
+  markHealthAlertsSent
+} from '../src/pricing/index.js';
 
 const args = parseArgs({
   options: {
     'dry-run': { type: 'boolean', short: 'd' },
     'apply': { type: 'boolean', short: 'a' },
+    'refresh-pricing': { type: 'boolean' },
+    'export-pricing': { type: 'boolean' },
+    'currency': { type: 'string' },
     'help': { type: 'boolean', short: 'h' }
   },
   allowPositionals: true
@@ -38,6 +55,11 @@ Usage:
 Options:
   -d, --dry-run    Generate report only (default)
   -a, --apply      Apply changes (requires approval)
+  --refresh-pricing
+                   Ignore cached pricing and fetch every provider again
+  --currency CODE  Show report costs in this currency (e.g. EUR; default USD)
+  --export-pricing Write the pricing snapshot next to the report
+                   (reports/pricing-<timestamp>.csv and .json)
   -h, --help       Show this help
 
 Description:
@@ -106,12 +128,30 @@ function summarizePricing(pricingByProvider) {
   return { totalModels, providerSummary };
 }
 
-function buildReportPath() {
-  const now = new Date();
-  const stamp = now.toISOString().replace(/[:]/g, '-').replace(/\.\d{3}Z$/, 'Z');
+function summarizeProvenance(provenanceByProvider) {
+  return Object.values(provenanceByProvider).map(entry => {
+    const source = entry.sourceUrl ? ` from ${entry.sourceUrl}` : '';
+    const error = entry.error ? ` — ${entry.error}` : '';
+    return `${entry.provider}: ${entry.status}${source} (fetched ${entry.fetchedAt})${error}`;
+  });
+}
+
+function summarizeValidation(validationByProvider) {
+  return Object.values(validationByProvider)
+    .filter(report => report.rejected.length > 0 || report.normalised.length > 0)
+    .map(report => {
+      const rejected = report.rejected.map(entry => `${entry.model} (${entry.errors.join('; ')})`);
+      const line = `${report.provider}: ${report.accepted} accepted, ${report.normalised.length} normalised, ${report.rejected.length} rejected`;
+      return rejected.length > 0 ? `${line} — ${rejected.join(', ')}` : line;
+    });
+}
+
+const runStamp = new Date().toISOString().replace(/[:]/g, '-').replace(/\.\d{3}Z$/, 'Z');
+
+function buildReportPath(prefix = 'weekly', extension = '.md') {
   const reportsDir = resolve(process.cwd(), 'reports');
   mkdirSync(reportsDir, { recursive: true });
-  return join(reportsDir, `weekly-${stamp}.md`);
+  return join(reportsDir, `${prefix}-${runStamp}${extension}`);
 }
 
 function buildSingleItemChangeSet(changes, modifiedLine) {
@@ -128,18 +168,49 @@ function buildSingleItemChangeSet(changes, modifiedLine) {
   };
 }
 
-function buildBusinessSummary({ mode, reportPath, modelsAnalyzed, actionableCount, scoredCount, sentItems }) {
-  const lines = [
-    'Model Optimizer Weekly Summary',
-    '',
+function summarizeProviderHealth(providerHealth) {
+  return providerHealth.providers
+    .filter(entry => entry.consecutiveFailures > 0)
+    .map(entry => {
+      const streak = entry.hardcodedWeeks > 0 ? `, hardcoded for ${entry.hardcodedWeeks} week(s)` : '';
+      return `${entry.provider}: ${entry.dataSource}, ${entry.consecutiveFailures} consecutive failure(s)${streak}`;
+    });
+}
+
+function buildBusinessSummary({ mode, reportPath, modelsAnalyzed, actionableCount, scoredCount, sentItems, priceChanges, rejectedPrices = 0, degradedProviders = [], migrations = [], modelDiscovery = null }) {
+  const lines = ['Model Optimizer Weekly Summary', ''];
+  const significant = priceChanges?.significant || [];
+  if (significant.length > 0) {
+    lines.push(`Significant price moves (${significant.length}):`);
+    for (const change of significant.slice(0, 5)) {
+      lines.push(`- ${describePriceChange(change)}`);
+    }
+    if (significant.length > 5) {
+      lines.push(`- …and ${significant.length - 5} more (see report)`);
+    }
+    lines.push('');
+  }
+  if (migrations.length > 0) {
+    lines.push(`Sunset migrations (${migrations.length}):`);
+    for (const migration of migrations) {
+      const when = migration.sunsetDate ? `sunsets ${migration.sunsetDate}` : 'deprecated';
+      lines.push(`- ${migration.taskType}: ${migration.currentModel} (${when}) → ${migration.proposedModel || 'no eligible replacement'}`);
+    }
+    lines.push('');
+  }
+  lines.push(
     `Mode: ${mode}`,
     `Models analyzed: ${modelsAnalyzed}`,
+    ...(rejectedPrices > 0 ? [`Price records rejected by validation: ${rejectedPrices}`] : []),
+    ...(degradedProviders.length > 0 ? [`Providers on fallback/hardcoded prices: ${degradedProviders.join(', ')}`] : []),
+    ...(modelDiscovery?.added.length > 0 ? [`New models: ${modelDiscovery.added.map(entry => entry.model).join(', ')}`] : []),
+    ...(modelDiscovery?.candidates.length > 0 ? [`Unscored candidates awaiting evaluation: ${modelDiscovery.candidates.length}`] : []),
     `Actionable changes (need approval): ${actionableCount}`,
     `Scored suggestions (reference only): ${scoredCount}`,
     `Approval items sent: ${sentItems}`,
     '',
     `Report file: ${reportPath}`
-  ];
+  );
   return lines.join('\n');
 }
 
@@ -167,12 +238,56 @@ async function main() {
   }
 
   logStep('2/8', 'Collect pricing data (fetchAllPricing)');
+  if (args.values['refresh-pricing']) {
+    console.log('Pricing cache bypassed (--refresh-pricing)');
+    requestPricingRefresh();
+  }
   const pricingData = await fetchAllPricing();
   const pricingSummary = summarizePricing(pricingData);
   if (pricingSummary.totalModels === 0) {
     throw new Error('Pricing collection returned zero models across all providers.');
   }
   console.log(`Pricing collected: ${pricingSummary.totalModels} model(s) [${pricingSummary.providerSummary.join(', ')}]`);
+  const pricingProvenance = getAllPricingProvenance();
+  for (const line of summarizeProvenance(pricingProvenance)) {
+    console.log(`  ${line}`);
+  }
+  if (args.values['export-pricing']) {
+    const snapshot = buildPricingSnapshot(pricingData, pricingProvenance);
+    const { csvPath, jsonPath } = writePricingSnapshot(snapshot, buildReportPath('pricing', ''));
+    console.log(`Pricing snapshot exported: ${snapshot.rows.length} row(s) → ${csvPath}, ${jsonPath}`);
+  }
+  const validationReport = getPricingValidationReport();
+  const rejectedPrices = Object.values(validationReport).reduce((sum, report) => sum + report.rejected.length, 0);
+  for (const line of summarizeValidation(validationReport)) {
+    console.log(`  schema ${line}`);
+  }
+  const priceChanges = recordPriceRun(pricingData);
+  console.log(
+    `Price history: ${priceChanges.changes.length} change(s), ${priceChanges.significant.length} significant, ` +
+    `${priceChanges.added.length} new, ${priceChanges.removed.length} removed`
+  );
+  const modelDiscovery = discovery.recordModelCatalog(pricingData, { isScored: optimizer.hasQualityScores });
+  console.log(modelDiscovery.firstRun
+    ? 'Model catalogue: baseline recorded'
+    : `Model catalogue: ${modelDiscovery.added.length} new, ${modelDiscovery.removed.length} removed, ` +
+      `${modelDiscovery.candidates.length} unscored candidate(s)`);
+  const providerHealth = recordProviderHealth(getProviderRunOutcomes());
+  for (const line of summarizeProviderHealth(providerHealth)) {
+    console.log(`  health ${line}`);
+  }
+  const degradedProviders = providerHealth.providers
+    .filter(entry => entry.usedFallback || entry.usedHardcoded)
+    .map(entry => entry.provider);
+  if (providerHealth.alerts.length > 0) {
+    try {
+      await reporting.sendDataQualityAlert(providerHealth.alerts, { alertWeeks: providerHealth.alertWeeks });
+      markHealthAlertsSent(providerHealth.alerts.map(entry => entry.provider));
+      console.log(`Data quality alert sent for ${providerHealth.alerts.length} provider(s).`);
+    } catch (error) {
+      console.warn(`Failed to send data quality alert: ${error.message}`);
+    }
+  }
 
   logStep('3/8', 'Discover task types from SOUL.md (discoverTaskTypes)');
   const soulContent = readFileSync(soulPath, 'utf8');
@@ -184,13 +299,16 @@ async function main() {
 
   logStep('4/8', 'Run optimization (optimizeRouting)');
   const optimizationResults = await optimizer.optimizeRouting(soulPath);
+  optimizationResults.priceChanges = priceChanges;
+  optimizationResults.providerHealth = providerHealth;
+  optimizationResults.modelDiscovery = modelDiscovery;
   const recommendationCount = Array.isArray(optimizationResults.recommendations)
     ? optimizationResults.recommendations.length
     : 0;
   console.log(`Optimization complete: ${recommendationCount} recommendation(s)`);
 
   logStep('5/8', 'Generate report (generateReport)');
-  const reportMarkdown = optimizer.generateReport(optimizationResults);
+  const reportMarkdown = optimizer.generateReport(optimizationResults, { currency: args.values.currency });
   const reportPath = buildReportPath();
   writeFileSync(reportPath, reportMarkdown, 'utf8');
   const stagedReportPath = stageReportAttachment(reportPath);
@@ -208,7 +326,12 @@ async function main() {
         modelsAnalyzed: pricingSummary.totalModels,
         actionableCount: previewUpdate.modifiedCount,
         scoredCount: recommendationCount,
-        sentItems: 0
+        sentItems: 0,
+        priceChanges,
+        rejectedPrices,
+        degradedProviders,
+        migrations: optimizationResults.migrations,
+        modelDiscovery
       });
       await reporting.sendBusinessSummary(summary, { reportPath: stagedReportPath });
       console.log('Weekly summary sent to Telegram with report attachment.');
@@ -253,7 +376,12 @@ async function main() {
     modelsAnalyzed: pricingSummary.totalModels,
     actionableCount: previewUpdate.modifiedCount,
     scoredCount: recommendationCount,
-    sentItems: items.length
+    sentItems: items.length,
+    priceChanges,
+    rejectedPrices,
+    degradedProviders,
+    migrations: optimizationResults.migrations,
+    modelDiscovery
   });
   try {
     await reporting.sendBusinessSummary(summary, { reportPath: stagedReportPath });
@@ -8,6 +8,14 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { TASK_TYPE_MAP } from '../optimizer/index.js';
 
+export {
+  buildModelCatalog,
+  readModelCatalog,
+  diffModelCatalog,
+  recordModelCatalog,
+  describeCapabilities
+} from './models.js';
+
 let fetch;
 try {
   fetch = (await import('node-fetch')).default;
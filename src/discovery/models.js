@@ -0,0 +1,163 @@
+/**
+ * Model Discovery
+ * Diffs each run's pricing catalogue against the previous run (data/model-catalog.json)
+ * and keeps a queue of new models that have no quality scores yet
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { CAPABILITY_FLAGS } from '../pricing/capabilities.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_CATALOG_FILE = join(__dirname, '../../data/model-catalog.json');
+
+function catalogFilePath() {
+  return process.env.MODEL_CATALOG_PATH || DEFAULT_CATALOG_FILE;
+}
+
+/**
+ * Flatten provider pricing into catalogue entries keyed by model id
+ * Regional price lists of the same model collapse into one entry (the global one when present).
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @returns {Object} { [model]: { provider, model, inputPerM, outputPerM, currency, source, capabilities } }
+ */
+export function buildModelCatalog(pricingByProvider) {
+  const catalog = {};
+  for (const [provider, models] of Object.entries(pricingByProvider || {})) {
+    if (!Array.isArray(models)) continue;
+    for (const entry of models) {
+      if (!entry || !entry.model) continue;
+      const existing = catalog[entry.model];
+      if (existing && (entry.region || 'global') !== 'global') continue;
+      catalog[entry.model] = {
+        provider,
+        model: entry.model,
+        inputPerM: entry.inputPerM,
+        outputPerM: entry.outputPerM,
+        currency: entry.currency || 'USD',
+        source: entry.source || 'primary',
+        capabilities: entry.capabilities || null
+      };
+    }
+  }
+  return catalog;
+}
+
+/**
+ * Read the catalogue recorded by the previous run
+ * @returns {{updatedAt: string|null, models: Object, candidates: Array<Object>}}
+ */
+export function readModelCatalog() {
+  const path = catalogFilePath();
+  try {
+    if (!existsSync(path)) return { updatedAt: null, models: {}, candidates: [] };
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return {
+      updatedAt: raw.updatedAt || null,
+      models: raw.models || {},
+      candidates: Array.isArray(raw.candidates) ? raw.candidates : []
+    };
+  } catch (error) {
+    console.warn('Model catalogue read failed:', error.message);
+    return { updatedAt: null, models: {}, candidates: [] };
+  }
+}
+
+function writeModelCatalog(catalog) {
+  const path = catalogFilePath();
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(catalog, null, 2));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Compare two catalogues
+ * @param {Object} previous - Earlier catalogue models (keyed by model id)
+ * @param {Object} current - buildModelCatalog() result
+ * @returns {{added: Array<Object>, removed: Array<Object>}} Entries sorted by provider, then model
+ */
+export function diffModelCatalog(previous, current) {
+  const byProvider = (a, b) => a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model);
+  return {
+    added: Object.values(current).filter(entry => !previous[entry.model]).sort(byProvider),
+    removed: Object.values(previous).filter(entry => !current[entry.model]).sort(byProvider)
+  };
+}
+
+/**
+ * Record this run's catalogue and update the unscored candidates queue
+ * The first run only records a baseline, so existing models are not reported as new.
+ * Candidates stay queued until they gain quality scores or leave the catalogue.
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @param {Object} options - { isScored: model id → boolean, now }
+ * @returns {{firstRun: boolean, added: Array<Object>, removed: Array<Object>, candidates: Array<Object>}}
+ */
+export function recordModelCatalog(pricingByProvider, options = {}) {
+  const { isScored = () => false, now = new Date() } = options;
+  const seenAt = now.toISOString();
+  const previous = readModelCatalog();
+  const current = buildModelCatalog(pricingByProvider);
+  const firstRun = previous.updatedAt === null;
+  const { added, removed } = firstRun ? { added: [], removed: [] } : diffModelCatalog(previous.models, current);
+
+  const models = {};
+  for (const entry of Object.values(current)) {
+    models[entry.model] = {
+      ...entry,
+      firstSeenAt: previous.models[entry.model]?.firstSeenAt || seenAt,
+      lastSeenAt: seenAt
+    };
+  }
+
+  const candidates = [];
+  for (const candidate of [...previous.candidates, ...added]) {
+    const entry = models[candidate.model];
+    if (!entry || isScored(candidate.model) || candidates.some(queued => queued.model === candidate.model)) continue;
+    candidates.push({
+      provider: entry.provider,
+      model: entry.model,
+      inputPerM: entry.inputPerM,
+      outputPerM: entry.outputPerM,
+      currency: entry.currency,
+      capabilities: entry.capabilities,
+      firstSeenAt: entry.firstSeenAt
+    });
+  }
+
+  try {
+    writeModelCatalog({ updatedAt: seenAt, models, candidates });
+  } catch (error) {
+    console.warn('Model catalogue write failed:', error.message);
+  }
+
+  return {
+    firstRun,
+    added: added.map(entry => models[entry.model]),
+    removed,
+    candidates
+  };
+}
+
+/**
+ * Short capability summary for reports and messages
+ * @param {Object|null} capabilities - Normalised capabilities block
+ * @returns {string} e.g. 'toolUse, vision, 200k ctx'
+ */
+export function describeCapabilities(capabilities) {
+  if (!capabilities) return 'unknown';
+  const flags = CAPABILITY_FLAGS.filter(flag => capabilities[flag] === true);
+  if (Number.isFinite(capabilities.contextWindow)) {
+    flags.push(`${Math.round(capabilities.contextWindow / 1000)}k ctx`);
+  }
+  return flags.length > 0 ? flags.join(', ') : 'none declared';
+}
+
+export default {
+  buildModelCatalog,
+  readModelCatalog,
+  diffModelCatalog,
+  recordModelCatalog,
+  describeCapabilities
+};
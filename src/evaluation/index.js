@@ -0,0 +1,216 @@
+/**
+ * Offline Evaluation Harness
+ * Turns graded transcripts (prompt + model output + human or rubric grade) into
+ * per-task, per-model quality estimates with 95% confidence intervals
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_EVAL_DIR = join(__dirname, '../../data/evaluations');
+
+const DEFAULT_MIN_SAMPLES = 5;
+const QUALITY_MIN = 1;
+const QUALITY_MAX = 10;
+
+/**
+ * - human:  graded by a person
+ * - rubric: graded against a written rubric (checklist script or LLM judge)
+ */
+export const GRADER_TYPES = ['human', 'rubric'];
+
+// Two-sided 95% Student t critical values for 1-30 degrees of freedom; 1.96 beyond
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function evalDirPath() {
+  return process.env.MODEL_OPTIMIZER_EVAL_DIR || DEFAULT_EVAL_DIR;
+}
+
+/**
+ * Prompts a model needs graded for a task before its estimate replaces the hand-tuned score
+ * @returns {number} MODEL_OPTIMIZER_EVAL_MIN_SAMPLES (default 5)
+ */
+export function getEvalMinSamples() {
+  const value = Number(process.env.MODEL_OPTIMIZER_EVAL_MIN_SAMPLES);
+  return Number.isInteger(value) && value >= 1 ? value : DEFAULT_MIN_SAMPLES;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Map a grade onto the 1-10 quality scale
+ * @param {number} grade - Grade as given
+ * @param {Array<number>} scale - [min, max] of the grading scale (default [1, 10])
+ * @returns {number} Grade on the 1-10 scale
+ */
+export function normalizeGrade(grade, scale = [QUALITY_MIN, QUALITY_MAX]) {
+  const [min, max] = scale;
+  return QUALITY_MIN + ((grade - min) / (max - min)) * (QUALITY_MAX - QUALITY_MIN);
+}
+
+/**
+ * Check one graded transcript
+ * @param {Object} record - { taskType, model, promptId, grade, scale?, grader, gradedBy?, prompt?, output? }
+ * @returns {string[]} Problems; empty when valid
+ */
+export function validateGradedTranscript(record) {
+  if (!record || typeof record !== 'object') return ['not an object'];
+  const errors = [];
+  for (const field of ['taskType', 'model', 'promptId']) {
+    if (typeof record[field] !== 'string' || !record[field].trim()) errors.push(`missing ${field}`);
+  }
+  if (!GRADER_TYPES.includes(record.grader)) {
+    errors.push(`grader must be one of ${GRADER_TYPES.join(', ')} (got ${record.grader})`);
+  }
+
+  const scale = record.scale ?? [QUALITY_MIN, QUALITY_MAX];
+  const validScale = Array.isArray(scale) && scale.length === 2 && scale.every(Number.isFinite) && scale[0] < scale[1];
+  if (!validScale) {
+    errors.push(`scale must be [min, max] (got ${JSON.stringify(record.scale)})`);
+  } else if (!(Number.isFinite(record.grade) && record.grade >= scale[0] && record.grade <= scale[1])) {
+    errors.push(`grade must be a number from ${scale[0]} to ${scale[1]} (got ${record.grade})`);
+  }
+  return errors;
+}
+
+/**
+ * Read every *.jsonl file in the evaluation directory
+ * One graded transcript per line; invalid lines are reported and left out.
+ * @param {string} dir - Dataset directory (default: data/evaluations or MODEL_OPTIMIZER_EVAL_DIR)
+ * @returns {{records: Array<Object>, errors: string[]}} errors as `file:line: problem`
+ */
+export function readGradedTranscripts(dir = evalDirPath()) {
+  const records = [];
+  const errors = [];
+  if (!existsSync(dir)) return { records, errors };
+
+  const files = readdirSync(dir).filter(name => name.endsWith('.jsonl')).sort();
+  for (const file of files) {
+    const lines = readFileSync(join(dir, file), 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        errors.push(`${file}:${index + 1}: ${error.message}`);
+        return;
+      }
+      const problems = validateGradedTranscript(record);
+      if (problems.length > 0) {
+        errors.push(`${file}:${index + 1}: ${problems.join('; ')}`);
+        return;
+      }
+      records.push(record);
+    });
+  }
+  return { records, errors };
+}
+
+/**
+ * Mean and 95% confidence interval (Student t) of a sample
+ * With a single value the interval spans the whole scale.
+ * @param {number[]} values - Sample on the 1-10 scale
+ * @returns {{mean: number, low: number, high: number, stdDev: number, n: number}}
+ */
+export function confidenceInterval(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n < 2) return { mean, low: QUALITY_MIN, high: QUALITY_MAX, stdDev: 0, n };
+
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  const stdDev = Math.sqrt(variance);
+  const margin = (T_CRITICAL_95[n - 2] ?? 1.96) * stdDev / Math.sqrt(n);
+  return {
+    mean,
+    low: Math.max(QUALITY_MIN, mean - margin),
+    high: Math.min(QUALITY_MAX, mean + margin),
+    stdDev,
+    n
+  };
+}
+
+/**
+ * Per-task, per-model quality estimates
+ * Grades of the same prompt (several graders) are averaged first, so the sample size is the
+ * number of distinct prompts. Estimates are on the 1-10 scale, rounded to 2 decimals.
+ * @param {Array<Object>} records - Valid graded transcripts
+ * @param {Object} options - { minSamples } (default getEvalMinSamples())
+ * @returns {Object} { [taskType]: { [model]: { mean, low, high, stdDev, prompts, grades,
+ *   graders: { human, rubric }, usable } } }; usable is false below minSamples prompts
+ */
+export function estimateQuality(records, options = {}) {
+  const { minSamples = getEvalMinSamples() } = options;
+  const grouped = new Map();
+  for (const record of records) {
+    const key = `${record.taskType}\u0000${record.model}`;
+    if (!grouped.has(key)) grouped.set(key, { taskType: record.taskType, model: record.model, prompts: new Map(), graders: { human: 0, rubric: 0 } });
+    const group = grouped.get(key);
+    const grades = group.prompts.get(record.promptId) || [];
+    grades.push(normalizeGrade(record.grade, record.scale));
+    group.prompts.set(record.promptId, grades);
+    group.graders[record.grader] += 1;
+  }
+
+  const estimates = {};
+  for (const { taskType, model, prompts, graders } of grouped.values()) {
+    const promptMeans = [...prompts.values()].map(grades => grades.reduce((sum, grade) => sum + grade, 0) / grades.length);
+    const { mean, low, high, stdDev, n } = confidenceInterval(promptMeans);
+    estimates[taskType] = estimates[taskType] || {};
+    estimates[taskType][model] = {
+      mean: round(mean),
+      low: round(low),
+      high: round(high),
+      stdDev: round(stdDev),
+      prompts: n,
+      grades: graders.human + graders.rubric,
+      graders,
+      usable: n >= minSamples
+    };
+  }
+  return estimates;
+}
+
+/**
+ * Read the dataset and estimate quality
+ * Invalid lines are logged and skipped.
+ * @param {Object} options - { dir, minSamples }
+ * @returns {Object} estimateQuality() result (empty without a dataset)
+ */
+export function loadQualityEstimates(options = {}) {
+  const { records, errors } = readGradedTranscripts(options.dir);
+  for (const error of errors) {
+    console.warn(`Graded transcript skipped: ${error}`);
+  }
+  return estimateQuality(records, options);
+}
+
+/**
+ * Short label for an estimate, e.g. "8.4 (95% CI 7.9–8.9, n=12)"
+ * @param {Object} estimate - estimateQuality() entry
+ * @returns {string} Label
+ */
+export function describeEstimate(estimate) {
+  return `${estimate.mean} (95% CI ${estimate.low}–${estimate.high}, n=${estimate.prompts})`;
+}
+
+export default {
+  GRADER_TYPES,
+  getEvalMinSamples,
+  normalizeGrade,
+  validateGradedTranscript,
+  readGradedTranscripts,
+  confidenceInterval,
+  estimateQuality,
+  loadQualityEstimates,
+  describeEstimate
+};
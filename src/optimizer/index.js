@@ -3,12 +3,22 @@
  * Calculates optimal model routing based on cost-quality trade-offs
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { fetchAllPricing } from '../pricing/index.js';
+import { applyComputeCosts, COMPUTE_SOURCE } from '../pricing/compute.js';
+import { normalizeRegionalPricing, loadCurrencyRates, createMoneyFormatter } from '../pricing/regional.js';
+import { applyPriceMode, availablePriceModes } from '../pricing/modes.js';
+import { missingCapabilities } from '../pricing/capabilities.js';
+import { isSunsetting, daysUntilSunset } from '../pricing/lifecycle.js';
+import { describeCapabilities } from '../discovery/models.js';
+import { loadQualityScores } from './quality.js';
+import { loadQualityEstimates } from '../evaluation/index.js';
+import { loadUsageProfile, usageMixFromProfile, monthlyTokensFromProfile } from '../usage/index.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const TAXONOMY_PATH = join(__dirname, '../../data/taxonomy.json');
 
 const MODEL_LABEL_HINTS = {
   'deepseek chat': 'deepseek/deepseek-chat',
@@ -23,266 +33,28 @@ const MODEL_LABEL_HINTS = {
 };
 
 /**
- * Quality scores for different model-task combinations
+ * Quality scores for different model-task combinations (data/quality-scores.json)
  * Scale: 1-10 (10 = best quality for task)
  */
-const QUALITY_SCORES = {
-  // Daily Conversation tasks
-  'casual-chat': {
-    'deepseek/deepseek-chat': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-flash-lite': 6,
-    'google/gemini-3-flash-preview': 7,
-    'claude-haiku-4-5-20251001': 8
-  },
-  'simple-qa': {
-    'deepseek/deepseek-chat': 8,
-    'deepseek/deepseek-reasoner': 9,
-    'google/gemini-flash-lite': 5,
-    'google/gemini-3-flash-preview': 7,
-    'claude-haiku-4-5-20251001': 8
-  },
-  
-  // Action Tasks
-  'browser-operations': {
-    'google/gemini-3-flash-preview': 9,
-    'google/gemini-2.5-flash': 8,
-    'deepseek/deepseek-reasoner': 7,
-    'claude-haiku-4-5-20251001': 6
-  },
-  'exec-commands': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-3-flash-preview': 6,
-    'claude-sonnet-4-6': 10
-  },
-  'file-operations': {
-    'google/gemini-2.5-flash': 9,
-    'google/gemini-flash-lite': 8,
-    'deepseek/deepseek-chat': 6,
-    'claude-haiku-4-5-20251001': 7
-  },
-  'web-search-fetch': {
-    'google/gemini-3-flash-preview': 9,
-    'google/gemini-2.5-flash': 8,
-    'deepseek/deepseek-reasoner': 7,
-    'claude-haiku-4-5-20251001': 6
-  },
-  'process-management': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-3-flash-preview': 6
-  },
-  'github-cli': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-3-flash-preview': 5
-  },
-  'sub-agent-coordination': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-3-flash-preview': 6
-  },
-  'multi-step-planning': {
-    'deepseek/deepseek-reasoner': 9,
-    'claude-haiku-4-5-20251001': 8,
-    'claude-sonnet-4-6': 10,
-    'google/gemini-3-pro-preview': 7
-  },
-  'requirements-engineering': {
-    'deepseek/deepseek-reasoner': 9,
-    'claude-haiku-4-5-20251001': 8,
-    'claude-sonnet-4-6': 10,
-    'google/gemini-2.5-pro': 7
-  },
-  'calendar-email-checking': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'google/gemini-3-flash-preview': 7
-  },
-  'research-synthesis': {
-    'google/gemini-3-flash-preview': 9,
-    'google/gemini-2.5-pro': 8,
-    'deepseek/deepseek-reasoner': 7,
-    'claude-haiku-4-5-20251001': 6
-  },
-  'complex-problem-solving': {
-    'deepseek/deepseek-reasoner': 9,
-    'claude-haiku-4-5-20251001': 8,
-    'claude-sonnet-4-6': 10,
-    'google/gemini-3-pro-preview': 7
-  },
-  'analysis-breakdowns': {
-    'deepseek/deepseek-reasoner': 9,
-    'claude-haiku-4-5-20251001': 8,
-    'claude-sonnet-4-6': 10,
-    'google/gemini-2.5-pro': 7
-  },
-  
-  // Escalation tasks
-  'code-changes': {
-    'claude-haiku-4-5-20251001': 8,
-    'claude-sonnet-4-6': 10,
-    'deepseek/deepseek-reasoner': 7,
-    'claude-opus-4-6': 9
-  },
-  'debugging': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'claude-sonnet-4-6': 10
-  },
-  'formatting': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-chat': 7,
-    'google/gemini-2.5-flash': 8
-  },
-  'summaries': {
-    'google/gemini-3-flash-preview': 9,
-    'google/gemini-2.5-pro': 8,
-    'deepseek/deepseek-chat': 7,
-    'claude-haiku-4-5-20251001': 6
-  },
-  'file-edits-cheap': {
-    'google/gemini-2.5-flash': 9,
-    'google/gemini-flash-lite': 8,
-    'deepseek/deepseek-chat': 6
-  },
-  'file-edits-high-risk': {
-    'claude-haiku-4-5-20251001': 9,
-    'deepseek/deepseek-reasoner': 8,
-    'claude-sonnet-4-6': 10
-  }
-};
+const QUALITY_SCORES = loadQualityScores().scores;
 
-const MODEL_EXPANSION_QUALITY_SCORES = {
-  'casual-chat': {
-    'openai/gpt-4o-mini': 8,
-    'alibaba/qwen2.5-plus': 8,
-    'meta/llama-3.3-8b': 7,
-    'microsoft/phi-4-mini': 7,
-    'alibaba/qwen2.5-7b': 7
-  },
-  'simple-qa': {
-    'openai/gpt-4o-mini': 8,
-    'alibaba/qwen2.5-plus': 7,
-    'meta/llama-3.3-8b': 7,
-    'microsoft/phi-4-mini': 7
-  },
-  'multi-step-planning': {
-    'moonshot/kimi-k2.5': 10,
-    'moonshot/kimi-k2': 9,
-    'openai/gpt-4.1': 9,
-    'openai/gpt-4o': 8,
-    'deepseek/deepseek-r1': 9,
-    'deepseek/deepseek-v3': 8,
-    'alibaba/qwen2.5-max': 8
-  },
-  'requirements-engineering': {
-    'moonshot/kimi-k2.5': 9,
-    'openai/gpt-4.1': 9,
-    'openai/gpt-4o': 8,
-    'anthropic/claude-3.5-sonnet': 9,
-    'deepseek/deepseek-r1': 8,
-    'alibaba/qwen2.5-max': 8
-  },
-  'research-synthesis': {
-    'moonshot/kimi-k2.5': 9,
-    'openai/gpt-4.1': 9,
-    'openai/gpt-4o': 9,
-    'google/gemini-1.5-pro': 9,
-    'google/gemini-1.5-flash': 7,
-    'anthropic/claude-3.5-sonnet': 8,
-    'alibaba/qwen2.5-max': 8
-  },
-  'complex-problem-solving': {
-    'moonshot/kimi-k2.5': 10,
-    'moonshot/kimi-k2': 9,
-    'openai/gpt-4.1': 9,
-    'deepseek/deepseek-r1': 10,
-    'deepseek/deepseek-v3': 8,
-    'anthropic/claude-3.5-sonnet': 9,
-    'meta/llama-3.3-70b': 8
-  },
-  'analysis-breakdowns': {
-    'moonshot/kimi-k2.5': 9,
-    'openai/gpt-4.1': 9,
-    'deepseek/deepseek-r1': 9,
-    'deepseek/deepseek-r1-distill': 7,
-    'anthropic/claude-3.5-sonnet': 8,
-    'google/gemini-1.5-pro': 8
-  },
-  'code-changes': {
-    'moonshot/kimi-k2.5': 10,
-    'moonshot/kimi-k2': 9,
-    'openai/gpt-4.1': 10,
-    'openai/gpt-4o': 9,
-    'deepseek/deepseek-v3': 9,
-    'deepseek/deepseek-r1': 8,
-    'deepseek/deepseek-r1-distill': 7,
-    'alibaba/qwen2.5-max': 8,
-    'meta/llama-3.3-70b': 8
-  },
-  'debugging': {
-    'moonshot/kimi-k2.5': 9,
-    'openai/gpt-4.1': 10,
-    'openai/gpt-4o': 9,
-    'deepseek/deepseek-r1': 9,
-    'deepseek/deepseek-v3': 8,
-    'anthropic/claude-3.5-sonnet': 9
-  },
-  'formatting': {
-    'openai/gpt-4o-mini': 8,
-    'alibaba/qwen2.5-plus': 7,
-    'microsoft/phi-4-mini': 7,
-    'google/gemini-1.5-flash': 7
-  },
-  'summaries': {
-    'anthropic/claude-3.5-haiku': 9,
-    'google/gemini-1.5-flash': 8,
-    'openai/gpt-4o-mini': 8,
-    'alibaba/qwen2.5-plus': 8
-  },
-  'file-edits-cheap': {
-    'openai/gpt-4o-mini': 8,
-    'alibaba/qwen2.5-plus': 8,
-    'deepseek/deepseek-r1-distill': 7,
-    'microsoft/phi-4-mini': 7,
-    'meta/llama-3.3-8b': 7
-  },
-  'file-edits-high-risk': {
-    'moonshot/kimi-k2.5': 9,
-    'openai/gpt-4.1': 10,
-    'anthropic/claude-3.5-sonnet': 9,
-    'deepseek/deepseek-r1': 8
-  },
-  'vision-tasks': {
-    'openai/gpt-4o': 9,
-    'openai/gpt-4o-mini': 8,
-    'google/gemini-1.5-pro': 9,
-    'moonshot/kimi-k2.5': 8,
-    'moonshot/kimi-k2': 8,
-    'alibaba/qwen2.5-max': 8,
-    'alibaba/qwen2.5-plus': 7,
-    'alibaba/qwen2.5-7b': 6,
-    'anthropic/claude-3.5-sonnet': 8,
-    'anthropic/claude-3.5-haiku': 7
-  },
-  'long-reasoning': {
-    'moonshot/kimi-k2.5': 10,
-    'moonshot/kimi-k2': 9,
-    'deepseek/deepseek-r1': 10,
-    'openai/gpt-4.1': 9,
-    'google/gemini-1.5-pro': 8,
-    'alibaba/qwen2.5-max': 8,
-    'meta/llama-3.3-70b': 7
-  }
-};
+/**
+ * Quality estimates from graded transcripts (data/evaluations/)
+ * Once a model has enough graded prompts for a task, its estimate replaces the hand-tuned score.
+ */
+const QUALITY_ESTIMATES = loadQualityEstimates();
 
-for (const [taskType, taskScores] of Object.entries(MODEL_EXPANSION_QUALITY_SCORES)) {
-  QUALITY_SCORES[taskType] = {
-    ...(QUALITY_SCORES[taskType] || {}),
-    ...taskScores
-  };
+/**
+ * Quality of a model for a task
+ * @param {string} taskType - Task type identifier
+ * @param {string} modelId - Model identifier
+ * @returns {{score: number|undefined, estimate: Object|null}} estimate is set when the score
+ *   comes from graded transcripts; score is undefined for unscored models
+ */
+function resolveQuality(taskType, modelId) {
+  const estimate = QUALITY_ESTIMATES[taskType]?.[modelId];
+  if (estimate?.usable) return { score: estimate.mean, estimate };
+  return { score: QUALITY_SCORES[taskType]?.[modelId], estimate: null };
 }
 
 // Conservative default model set to prevent aggressive jumps to experimental providers.
@@ -347,6 +119,43 @@ function resolvePinnedTaskModels() {
   return Object.keys(parsed).length > 0 ? parsed : DEFAULT_PINNED_TASK_MODELS;
 }
 
+/**
+ * Per-task settings from the taxonomy
+ * - latencyTolerant: task can wait for batch or off-peak processing
+ *   (MODEL_OPTIMIZER_LATENCY_TOLERANT_TASKS overrides: comma-separated ids; `none` disables)
+ * - requirements: { capabilities, minContextWindow, minOutputTokens } a model must meet
+ * - tokens: { inputOutputRatio, avgRequestTokens } expected request shape (null when not set)
+ * @returns {Object} Profiles keyed by task id
+ */
+function loadTaskProfiles() {
+  let tasks = [];
+  if (existsSync(TAXONOMY_PATH)) {
+    try {
+      tasks = JSON.parse(readFileSync(TAXONOMY_PATH, 'utf8')).tasks || [];
+    } catch (error) {
+      console.warn('Failed to read task profiles from taxonomy:', error.message);
+    }
+  }
+
+  const latencyOverride = parseCsvSet(process.env.MODEL_OPTIMIZER_LATENCY_TOLERANT_TASKS);
+  const profiles = {};
+  for (const task of tasks) {
+    profiles[task.id] = {
+      latencyTolerant: latencyOverride ? latencyOverride.has(task.id) : task.latencyTolerant === true,
+      requirements: {
+        capabilities: Array.isArray(task.requiredCapabilities) ? task.requiredCapabilities : [],
+        minContextWindow: task.minContextWindow || null,
+        minOutputTokens: task.minOutputTokens || null
+      },
+      tokens: {
+        inputOutputRatio: task.inputOutputRatio > 0 ? task.inputOutputRatio : null,
+        avgRequestTokens: task.avgRequestTokens > 0 ? task.avgRequestTokens : null
+      }
+    };
+  }
+  return profiles;
+}
+
 /**
  * Task type mappings from SOUL.md descriptions
  */
@@ -513,28 +322,102 @@ function getModelCostMap(models) {
 function calculateEffectiveInputPerM(model, cacheHitProbability = 0.5) {
   if (
     model.cache &&
-    Number.isFinite(model.cacheHitInputPerM) &&
-    Number.isFinite(model.cacheMissInputPerM)
+    Number.isFinite(model.cacheReadPerM) &&
+    Number.isFinite(model.cacheWritePerM)
   ) {
     return (
-      (cacheHitProbability * model.cacheHitInputPerM) +
-      ((1 - cacheHitProbability) * model.cacheMissInputPerM)
+      (cacheHitProbability * model.cacheReadPerM) +
+      ((1 - cacheHitProbability) * model.cacheWritePerM)
     );
   }
   return model.inputPerM;
 }
 
-function calculateModelTotalCost(model, cacheHitProbability = 0.5) {
-  return calculateEffectiveInputPerM(model, cacheHitProbability) + model.outputPerM;
+function calculateModelTotalCost(model, cacheHitProbability = 0.5, priceMode = 'standard') {
+  const priced = applyPriceMode(model, priceMode) || model;
+  return calculateEffectiveInputPerM(priced, cacheHitProbability) + priced.outputPerM;
+}
+
+const DEFAULT_TOKEN_PROFILE = { inputOutputRatio: 1, avgRequestTokens: 2000 };
+
+/**
+ * Expected token shape of a task's requests
+ * Imported usage wins over the taxonomy's `inputOutputRatio` / `avgRequestTokens`, which win
+ * over 1:1 and 2,000 tokens.
+ * @param {string} taskType - Task type identifier
+ * @param {Object|null} usageProfile - loadUsageProfile() result
+ * @param {Object} taskProfiles - loadTaskProfiles() result
+ * @returns {{inputShare: number, avgRequestTokens: number, source: string}} inputShare is the
+ *   fraction of tokens that are input; source is 'measured', 'configured' or 'default'
+ */
+function resolveTokenProfile(taskType, usageProfile = null, taskProfiles = loadTaskProfiles()) {
+  const measured = usageProfile?.tasks[taskType];
+  if (measured && measured.inputTokens + measured.outputTokens > 0) {
+    return {
+      inputShare: measured.inputTokens / (measured.inputTokens + measured.outputTokens),
+      avgRequestTokens: measured.avgInputTokens + measured.avgOutputTokens,
+      source: 'measured'
+    };
+  }
+
+  const configured = taskProfiles[taskType]?.tokens || {};
+  const ratio = configured.inputOutputRatio ?? DEFAULT_TOKEN_PROFILE.inputOutputRatio;
+  return {
+    inputShare: ratio / (ratio + 1),
+    avgRequestTokens: configured.avgRequestTokens ?? DEFAULT_TOKEN_PROFILE.avgRequestTokens,
+    source: configured.inputOutputRatio || configured.avgRequestTokens ? 'configured' : 'default'
+  };
 }
 
-function calculateOptimizationScore(model, taskType, qualityWeight = 0.5, cacheHitProbability = 0.5) {
-  const qualityScore = QUALITY_SCORES[taskType]?.[model.model] || 5;
-  const totalCost = calculateModelTotalCost(model, cacheHitProbability);
+/**
+ * Blended price of a task's tokens on a model
+ * @param {Object} model - Model pricing data
+ * @param {Object} tokenProfile - resolveTokenProfile() result
+ * @param {number} cacheHitProbability - Expected prompt-cache hit rate
+ * @param {string} priceMode - One of PRICE_MODES
+ * @returns {number} USD per 1M tokens at the task's input/output split
+ */
+function calculateTaskCost(model, tokenProfile, cacheHitProbability = 0.5, priceMode = 'standard') {
+  const priced = applyPriceMode(model, priceMode) || model;
+  return (tokenProfile.inputShare * calculateEffectiveInputPerM(priced, cacheHitProbability)) +
+    ((1 - tokenProfile.inputShare) * priced.outputPerM);
+}
+
+/**
+ * @param {number} costPerM - calculateTaskCost() result
+ * @param {Object} tokenProfile - resolveTokenProfile() result
+ * @returns {number} USD per average request
+ */
+function costPerRequest(costPerM, tokenProfile) {
+  return costPerM * tokenProfile.avgRequestTokens / 1e6;
+}
+
+/**
+ * Cheapest price mode a task may use for a model
+ * @param {Object} model - Model pricing data
+ * @param {boolean} latencyTolerant - Task can wait for batch/off-peak processing
+ * @param {number} cacheHitProbability - Expected prompt-cache hit rate
+ * @param {Object} tokenProfile - resolveTokenProfile() result
+ * @returns {{priceMode: string, totalCost: number, standardCost: number, costPerRequest: number}}
+ *   costs are blended USD per 1M tokens, costPerRequest is at the chosen mode
+ */
+function selectPriceMode(model, latencyTolerant, cacheHitProbability = 0.5, tokenProfile = resolveTokenProfile(null)) {
+  const standardCost = calculateTaskCost(model, tokenProfile, cacheHitProbability);
+  let best = { priceMode: 'standard', totalCost: standardCost, standardCost };
+  for (const priceMode of availablePriceModes(model, { latencyTolerant })) {
+    const totalCost = calculateTaskCost(model, tokenProfile, cacheHitProbability, priceMode);
+    if (totalCost < best.totalCost) best = { priceMode, totalCost, standardCost };
+  }
+  return { ...best, costPerRequest: costPerRequest(best.totalCost, tokenProfile) };
+}
+
+function calculateOptimizationScore(model, taskType, qualityWeight = 0.5, cacheHitProbability = 0.5, priceMode = 'standard', tokenProfile = resolveTokenProfile(taskType)) {
+  const qualityScore = resolveQuality(taskType, model.model).score ?? 5;
+  const totalCost = calculateTaskCost(model, tokenProfile, cacheHitProbability, priceMode);
   
   // Normalize cost (lower cost = higher score)
-  // Assume max cost is $100/M for normalization
-  const normalizedCostScore = Math.max(0, 10 - (totalCost / 10));
+  // Blended $50/M scores 0 (the old $100/M cap on input + output for a 1:1 task)
+  const normalizedCostScore = Math.max(0, 10 - (totalCost / 5));
 
   const preferred = TASK_MODEL_PREFERENCES[taskType] || [];
   const preferenceBonus = preferred.includes(model.model) ? 0.8 : 0;
@@ -547,30 +430,59 @@ function calculateOptimizationScore(model, taskType, qualityWeight = 0.5, cacheH
  * Find optimal model for a task
  * @param {Array} models - Available models with pricing
  * @param {string} taskType - Task type identifier
- * @param {Object} constraints - Optimization constraints
- * @returns {Object|null} Optimal model or null if none found
+ * @param {Object} constraints - Optimization constraints; `latencyTolerant` lets the task
+ *   be priced at batch or off-peak rates, `requirements` lists capabilities a model must
+ *   have (both default to the task's taxonomy profile) and `tokenProfile` is the task's
+ *   request shape (default resolveTokenProfile() without usage data)
+ * @returns {Object|null} Optimal model or null if none found; `priceMode` is the mode
+ *   `totalCost` was priced at and `standardCost` the on-demand price (both blended per 1M
+ *   tokens), `costPerRequest` the price of an average request
  */
 function findOptimalModel(models, taskType, constraints = {}) {
+  const taskProfile = loadTaskProfiles()[taskType];
   const {
     minQuality = 6,
     maxCost = null,
     preferredProviders = [],
     cacheHitProbability = 0.5,
-    allowedModels = resolveAllowedModels()
+    allowedModels = resolveAllowedModels(),
+    latencyTolerant = taskProfile?.latencyTolerant || false,
+    requirements = taskProfile?.requirements || {},
+    tokenProfile = resolveTokenProfile(taskType)
   } = constraints;
   const pinnedTaskModels = resolvePinnedTaskModels();
+
+  // Capability requirements and sunsets are hard: they survive the relaxation below
+  const skipped = [];
+  const sunsetting = [];
+  const eligibleModels = models.filter(model => {
+    const considered = !allowedModels || allowedModels.has(model.model);
+    if (isSunsetting(model)) {
+      if (considered) sunsetting.push(model.model);
+      return false;
+    }
+    const missing = missingCapabilities(model, requirements);
+    if (missing.length === 0) return true;
+    if (considered) skipped.push(`${model.model} (${missing.join(', ')})`);
+    return false;
+  });
+  if (sunsetting.length > 0) {
+    console.log(`${taskType}: refused ${sunsetting.length} deprecated or sunsetting model(s): ${sunsetting.join(', ')}`);
+  }
+  if (skipped.length > 0) {
+    console.log(`${taskType}: skipped ${skipped.length} model(s) lacking required capabilities: ${skipped.join('; ')}`);
+  }
   
-  let candidates = models.filter(model => {
+  let candidates = eligibleModels.filter(model => {
     if (allowedModels && !allowedModels.has(model.model)) return false;
-    if (taskType === 'vision-tasks' && !model.vision) return false;
 
     // Check quality requirement
-    const quality = QUALITY_SCORES[taskType]?.[model.model] || 0;
+    const quality = resolveQuality(taskType, model.model).score ?? 0;
     if (quality < minQuality) return false;
     
     // Check cost constraint
     if (maxCost !== null) {
-      const totalCost = calculateModelTotalCost(model, cacheHitProbability);
+      const { totalCost } = selectPriceMode(model, latencyTolerant, cacheHitProbability, tokenProfile);
       if (totalCost > maxCost) return false;
     }
 
@@ -584,29 +496,32 @@ function findOptimalModel(models, taskType, constraints = {}) {
   
   if (candidates.length === 0) {
     // Relax constraints if no candidates found
-    candidates = models;
+    candidates = eligibleModels;
   }
 
+  const scoreCandidate = model => {
+    const pricing = selectPriceMode(model, latencyTolerant, cacheHitProbability, tokenProfile);
+    const { score: quality, estimate } = resolveQuality(taskType, model.model);
+    return {
+      model,
+      score: calculateOptimizationScore(model, taskType, 0.5, cacheHitProbability, pricing.priceMode, tokenProfile),
+      quality: quality ?? 5,
+      qualityScored: quality !== undefined,
+      qualityEstimate: estimate,
+      ...pricing
+    };
+  };
+
   const pinnedModelId = pinnedTaskModels[taskType];
   if (pinnedModelId) {
     const pinnedModel = candidates.find(candidate => candidate.model === pinnedModelId);
     if (pinnedModel) {
-      return {
-        model: pinnedModel,
-        score: calculateOptimizationScore(pinnedModel, taskType, 0.5, cacheHitProbability),
-        quality: QUALITY_SCORES[taskType]?.[pinnedModel.model] || 5,
-        totalCost: calculateModelTotalCost(pinnedModel, cacheHitProbability)
-      };
+      return scoreCandidate(pinnedModel);
     }
   }
   
   // Calculate scores for all candidates
-  const scoredCandidates = candidates.map(model => ({
-    model,
-    score: calculateOptimizationScore(model, taskType, 0.5, cacheHitProbability),
-    quality: QUALITY_SCORES[taskType]?.[model.model] || 5,
-    totalCost: calculateModelTotalCost(model, cacheHitProbability)
-  }));
+  const scoredCandidates = candidates.map(scoreCandidate);
   
   // Sort by score (descending)
   scoredCandidates.sort((a, b) => b.score - a.score);
@@ -614,13 +529,53 @@ function findOptimalModel(models, taskType, constraints = {}) {
   return scoredCandidates.length > 0 ? scoredCandidates[0] : null;
 }
 
+/**
+ * Prompt-cache hit rate measured for a task
+ * @param {Object|null} usageProfile - loadUsageProfile() result
+ * @param {string} taskType - Task type identifier
+ * @returns {number} Fraction of input tokens served from cache (0.5 without usage data)
+ */
+function taskCacheHitProbability(usageProfile, taskType) {
+  return usageProfile?.tasks[taskType]?.cacheHitRate ?? 0.5;
+}
+
+const DEFAULT_MONTHLY_TOKENS = 1_000_000;
+const DEFAULT_VOLUME_SENSITIVITY_PERCENT = 25;
+
+/**
+ * Monthly token volume the savings are projected at
+ * MODEL_OPTIMIZER_MONTHLY_TOKENS wins over the volume extrapolated from imported usage,
+ * which wins over 1M tokens.
+ * @param {Object|null} usageProfile - loadUsageProfile() result
+ * @returns {{monthlyTokens: number, source: string, sensitivityPercent: number}} source is
+ *   'configured', 'measured' or 'default'; sensitivityPercent is MODEL_OPTIMIZER_VOLUME_SENSITIVITY
+ *   (default 25)
+ */
+function resolveMonthlyVolume(usageProfile = null) {
+  const sensitivity = Number(process.env.MODEL_OPTIMIZER_VOLUME_SENSITIVITY);
+  const sensitivityPercent = Number.isFinite(sensitivity) && sensitivity >= 0 && sensitivity < 100
+    ? sensitivity
+    : DEFAULT_VOLUME_SENSITIVITY_PERCENT;
+
+  const configured = Number(process.env.MODEL_OPTIMIZER_MONTHLY_TOKENS);
+  if (Number.isFinite(configured) && configured > 0) {
+    return { monthlyTokens: configured, source: 'configured', sensitivityPercent };
+  }
+  const measured = monthlyTokensFromProfile(usageProfile);
+  if (measured) {
+    return { monthlyTokens: measured, source: 'measured', sensitivityPercent };
+  }
+  return { monthlyTokens: DEFAULT_MONTHLY_TOKENS, source: 'default', sensitivityPercent };
+}
+
 /**
  * Generate optimized routing recommendations
  * @param {Object} currentRules - Current routing rules from SOUL.md
  * @param {Array} models - Available models with pricing
+ * @param {Object|null} usageProfile - Imported usage (per-task cache hit rates and token shape)
  * @returns {Object} Optimization results
  */
-function generateOptimizedRouting(currentRules, models) {
+function generateOptimizedRouting(currentRules, models, usageProfile = null) {
   const recommendations = [];
   const taskTypes = new Set();
   
@@ -636,16 +591,30 @@ function generateOptimizedRouting(currentRules, models) {
   
   // Generate recommendations for each task type
   for (const taskType of taskTypes) {
-    const optimal = findOptimalModel(models, taskType);
+    const tokenProfile = resolveTokenProfile(taskType, usageProfile);
+    const optimal = findOptimalModel(models, taskType, {
+      cacheHitProbability: taskCacheHitProbability(usageProfile, taskType),
+      tokenProfile
+    });
     
     if (optimal) {
+      const modeNote = optimal.priceMode === 'standard' ? '' : ` at ${optimal.priceMode} rates`;
+      const qualityNote = optimal.qualityEstimate
+        ? `, graded: 95% CI ${optimal.qualityEstimate.low}–${optimal.qualityEstimate.high}, n=${optimal.qualityEstimate.prompts}`
+        : optimal.qualityScored ? '' : ', unscored default';
       recommendations.push({
         taskType,
         recommendedModel: optimal.model.model,
         score: optimal.score,
         quality: optimal.quality,
+        qualityScored: optimal.qualityScored,
+        qualityEstimate: optimal.qualityEstimate,
         totalCost: optimal.totalCost,
-        reasoning: `Balances quality (${optimal.quality}/10) with cost ($${optimal.totalCost.toFixed(2)}/M)`
+        standardCost: optimal.standardCost,
+        costPerRequest: optimal.costPerRequest,
+        tokenProfile,
+        priceMode: optimal.priceMode,
+        reasoning: `Balances quality (${optimal.quality}/10${qualityNote}) with cost ($${optimal.totalCost.toFixed(2)}/M blended, $${optimal.costPerRequest.toFixed(4)}/request${modeNote})`
       });
     }
   }
@@ -656,16 +625,61 @@ function generateOptimizedRouting(currentRules, models) {
   return recommendations;
 }
 
+/**
+ * Whether a model has a quality score for any task type
+ * Models without one are scored at the default quality and queued for evaluation.
+ * @param {string} modelId - Model identifier
+ * @returns {boolean} True if the quality score database or a usable graded estimate rates
+ *   the model for at least one task
+ */
+export function hasQualityScores(modelId) {
+  return Object.values(QUALITY_SCORES).some(taskScores => taskScores[modelId] !== undefined)
+    || Object.values(QUALITY_ESTIMATES).some(taskEstimates => taskEstimates[modelId]?.usable === true);
+}
+
+/**
+ * Propose migrations for tasks SOUL.md routes to a deprecated or sunsetting model
+ * @param {Object} currentRoutingByTask - Task type → current model id
+ * @param {Array} recommendations - Optimized recommendations (never sunsetting models)
+ * @param {Array} models - All models with pricing
+ * @returns {Array<Object>} Soonest sunset first: { taskType, currentModel, status, sunsetDate,
+ *   daysLeft, replacement (provider's suggestion), proposedModel, proposedCost }
+ */
+function proposeSunsetMigrations(currentRoutingByTask, recommendations, models) {
+  const migrations = [];
+  for (const [taskType, modelId] of Object.entries(currentRoutingByTask)) {
+    const current = models.find(model => model.model === modelId);
+    if (!current || !isSunsetting(current)) continue;
+
+    const rec = recommendations.find(r => r.taskType === taskType);
+    const optimal = rec ? null : findOptimalModel(models, taskType);
+    migrations.push({
+      taskType,
+      currentModel: modelId,
+      status: current.lifecycle?.status || null,
+      sunsetDate: current.lifecycle?.sunsetDate || null,
+      daysLeft: daysUntilSunset(current),
+      replacement: current.lifecycle?.replacement || null,
+      proposedModel: rec ? rec.recommendedModel : optimal?.model.model || null,
+      proposedCost: rec ? rec.totalCost : optimal?.totalCost ?? null
+    });
+  }
+  return migrations.sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity));
+}
+
 /**
  * Calculate potential savings
  * @param {Object} currentRules - Current routing rules
  * @param {Array} recommendations - Optimized recommendations
  * @param {Array} models - All models with pricing
- * @param {Object} usageMix - Estimated usage mix
- * @returns {Object} Savings analysis
+ * @param {Object|null} usageProfile - Imported usage; its token mix, input/output split and
+ *   cache hit rates replace the estimated defaults
+ * @param {Object} volume - resolveMonthlyVolume() result
+ * @returns {Object} Savings analysis; costs are USD strings for the projected monthly volume,
+ *   with annual totals and a `sensitivity` range at ± volume.sensitivityPercent
  */
-function calculateSavings(currentRules, recommendations, models, usageMix = {}) {
-  // Default usage mix if not provided
+function calculateSavings(currentRules, recommendations, models, usageProfile = null, volume = resolveMonthlyVolume(usageProfile)) {
+  // Estimated usage mix when no usage has been imported
   const defaultUsageMix = {
     'casual-chat': 0.15,
     'simple-qa': 0.10,
@@ -683,12 +697,17 @@ function calculateSavings(currentRules, recommendations, models, usageMix = {})
     'analysis-breakdowns': 0.05
   };
   
-  const actualUsageMix = { ...defaultUsageMix, ...usageMix };
+  const actualUsageMix = usageProfile ? usageMixFromProfile(usageProfile) : defaultUsageMix;
   const currentRoutingByTask = buildCurrentRoutingIndex(currentRules, models);
   
+  // Blended costs below are USD per 1M tokens of the whole mix
+  const monthlyScale = volume.monthlyTokens / 1e6;
   let currentTotalCost = 0;
   let optimizedTotalCost = 0;
+  let priceModeTotalSavings = 0;
+  let coveredShare = 0;
   const taskImprovements = [];
+  const priceModeSavings = [];
   
   // Calculate costs for each task type
   for (const [taskType, usagePercent] of Object.entries(actualUsageMix)) {
@@ -703,11 +722,26 @@ function calculateSavings(currentRules, recommendations, models, usageMix = {})
       : currentModel;
     
     if (currentModel && optimizedModel) {
-      const currentCost = calculateModelTotalCost(currentModel) * usagePercent;
-      const optimizedCost = calculateModelTotalCost(optimizedModel) * usagePercent;
+      const priceMode = optimizedRec?.priceMode || 'standard';
+      const cacheHitProbability = taskCacheHitProbability(usageProfile, taskType);
+      const tokenProfile = resolveTokenProfile(taskType, usageProfile);
+      const currentCost = calculateTaskCost(currentModel, tokenProfile, cacheHitProbability) * usagePercent;
+      const standardOptimizedCost = calculateTaskCost(optimizedModel, tokenProfile, cacheHitProbability) * usagePercent;
+      const optimizedCost = calculateTaskCost(optimizedModel, tokenProfile, cacheHitProbability, priceMode) * usagePercent;
       
       currentTotalCost += currentCost;
       optimizedTotalCost += optimizedCost;
+      coveredShare += usagePercent;
+
+      if (priceMode !== 'standard') {
+        priceModeTotalSavings += standardOptimizedCost - optimizedCost;
+        priceModeSavings.push({
+          taskType,
+          model: optimizedModel.model,
+          priceMode,
+          monthlySavings: ((standardOptimizedCost - optimizedCost) * monthlyScale).toFixed(2)
+        });
+      }
       
       if (currentModel.model !== optimizedModel.model) {
         const savings = currentCost - optimizedCost;
@@ -719,7 +753,7 @@ function calculateSavings(currentRules, recommendations, models, usageMix = {})
             currentModel: currentModel.model,
             optimizedModel: optimizedModel.model,
             savingsPercent: savingsPercent.toFixed(1),
-            monthlySavings: (savings * 1000).toFixed(2) // Per 1M tokens
+            monthlySavings: (savings * monthlyScale).toFixed(2)
           });
         }
       }
@@ -729,15 +763,38 @@ function calculateSavings(currentRules, recommendations, models, usageMix = {})
   const totalSavings = currentTotalCost - optimizedTotalCost;
   const savingsPercent = currentTotalCost > 0 ? (totalSavings / currentTotalCost) * 100 : 0;
   
+  const projectSpend = factor => ({
+    monthlyTokens: Math.round(volume.monthlyTokens * factor),
+    currentMonthlyCost: (currentTotalCost * monthlyScale * factor).toFixed(2),
+    optimizedMonthlyCost: (optimizedTotalCost * monthlyScale * factor).toFixed(2),
+    monthlySavings: (totalSavings * monthlyScale * factor).toFixed(2)
+  });
+  
   return {
-    currentMonthlyCost: (currentTotalCost * 1000).toFixed(2), // Per 1M tokens
-    optimizedMonthlyCost: (optimizedTotalCost * 1000).toFixed(2),
-    monthlySavings: (totalSavings * 1000).toFixed(2),
+    currentMonthlyCost: (currentTotalCost * monthlyScale).toFixed(2),
+    optimizedMonthlyCost: (optimizedTotalCost * monthlyScale).toFixed(2),
+    monthlySavings: (totalSavings * monthlyScale).toFixed(2),
+    currentAnnualCost: (currentTotalCost * monthlyScale * 12).toFixed(2),
+    optimizedAnnualCost: (optimizedTotalCost * monthlyScale * 12).toFixed(2),
+    annualSavings: (totalSavings * monthlyScale * 12).toFixed(2),
     savingsPercent: savingsPercent.toFixed(1),
+    priceModeMonthlySavings: (priceModeTotalSavings * monthlyScale).toFixed(2),
+    sensitivity: {
+      percent: volume.sensitivityPercent,
+      low: projectSpend(1 - volume.sensitivityPercent / 100),
+      high: projectSpend(1 + volume.sensitivityPercent / 100)
+    },
     taskImprovements,
+    priceModeSavings,
     assumptions: {
-      monthlyTokens: '1,000,000',
-      usageMix: actualUsageMix
+      monthlyTokens: volume.monthlyTokens,
+      monthlyTokensSource: volume.source,
+      // Share of the mix routed to a priced model; the rest is not in the spend
+      coveredShare: Number(coveredShare.toFixed(4)),
+      usageMix: actualUsageMix,
+      usageSource: usageProfile
+        ? { requests: usageProfile.requests, from: usageProfile.from, to: usageProfile.to }
+        : null
     }
   };
 }
@@ -752,7 +809,10 @@ export async function optimizeRouting(soulPath = null) {
     // Load pricing data
     console.log('Loading pricing data...');
     const pricing = await fetchAllPricing();
-    const allModels = Object.values(pricing).flat().filter(Boolean);
+    // One USD price per model for the configured region, then self-hosted/free
+    // open-weight models are priced by the hardware they run on, not $0
+    const regionalModels = normalizeRegionalPricing(Object.values(pricing).flat().filter(Boolean));
+    const allModels = applyComputeCosts(regionalModels);
     
     if (allModels.length === 0) {
       throw new Error('No pricing data available');
@@ -767,11 +827,39 @@ export async function optimizeRouting(soulPath = null) {
     
     // Generate optimized routing
     console.log('Calculating optimized routing...');
-    const recommendations = generateOptimizedRouting(currentRules, allModels);
+    const usageProfile = loadUsageProfile();
+    if (usageProfile) {
+      console.log(`Using imported usage: ${usageProfile.requests} request(s) across ${Object.keys(usageProfile.tasks).length} task type(s)`);
+    }
+    const recommendations = generateOptimizedRouting(currentRules, allModels, usageProfile);
     
     // Calculate savings
     console.log('Calculating potential savings...');
-    const savings = calculateSavings(currentRules, recommendations, allModels);
+    const volume = resolveMonthlyVolume(usageProfile);
+    console.log(`Projecting spend at ${volume.monthlyTokens.toLocaleString('en-US')} tokens/month (${volume.source})`);
+    const savings = calculateSavings(currentRules, recommendations, allModels, usageProfile, volume);
+    // What each task pays today at its own input/output split (the catalog total is 1:1)
+    const currentCostByTask = {};
+    for (const [taskType, modelId] of Object.entries(currentRoutingByTask)) {
+      const model = allModels.find(m => m.model === modelId);
+      if (!model) continue;
+      currentCostByTask[taskType] = calculateTaskCost(
+        model,
+        resolveTokenProfile(taskType, usageProfile),
+        taskCacheHitProbability(usageProfile, taskType)
+      );
+    }
+
+    const migrations = proposeSunsetMigrations(currentRoutingByTask, recommendations, allModels);
+    if (migrations.length > 0) {
+      console.log(`Sunset migrations proposed: ${migrations.map(m => `${m.taskType} (${m.currentModel} → ${m.proposedModel})`).join(', ')}`);
+    }
+    // Migrations must reach the approval flow even when their score is outside the top 10
+    const topRecommendations = recommendations.slice(0, 10);
+    for (const migration of migrations) {
+      const rec = recommendations.find(r => r.taskType === migration.taskType);
+      if (rec && !topRecommendations.includes(rec)) topRecommendations.push(rec);
+    }
     
     // Prepare results
     const results = {
@@ -782,15 +870,25 @@ export async function optimizeRouting(soulPath = null) {
         actionTasks: currentRules.actionTasks.length,
         escalation: currentRules.escalation.length
       },
-      recommendations: recommendations.slice(0, 10), // Top 10 recommendations
+      recommendations: topRecommendations, // Top 10 recommendations plus sunset migrations
       currentRoutingByTask,
+      currentCostByTask,
       modelCatalog: allModels.map(m => ({
         model: m.model,
         inputPerM: m.inputPerM,
         outputPerM: m.outputPerM,
-        totalPerM: calculateModelTotalCost(m)
+        totalPerM: calculateModelTotalCost(m),
+        source: m.source || 'primary',
+        ...(m.region && m.region !== 'global' ? { region: m.region } : {}),
+        ...(m.listed ? { listed: m.listed } : {}),
+        ...(m.compute ? { compute: m.compute } : {}),
+        ...(m.priceModes ? { priceModes: Object.keys(m.priceModes) } : {}),
+        ...(m.lifecycle ? { lifecycle: m.lifecycle } : {}),
+        ...(m.override ? { override: m.override } : {})
       })),
       savings,
+      migrations,
+      usageProfile,
       qualityImpact: {
         tasksImproved: recommendations.filter(r => r.quality >= 7).length,
         tasksMaintained: recommendations.filter(r => r.quality >= 5 && r.quality < 7).length,
@@ -817,12 +915,19 @@ export async function optimizeRouting(soulPath = null) {
 /**
  * Generate optimization report
  * @param {Object} results - Optimization results
+ * @param {Object} options - { currency: display currency (default MODEL_OPTIMIZER_DISPLAY_CURRENCY or USD), currencyRates }
  * @returns {string} Markdown report
  */
-export function generateReport(results) {
+export function generateReport(results, options = {}) {
   const { recommendations, savings, qualityImpact } = results;
+  const currencyRates = options.currencyRates || loadCurrencyRates();
+  const money = createMoneyFormatter(
+    options.currency || process.env.MODEL_OPTIMIZER_DISPLAY_CURRENCY,
+    currencyRates
+  );
   const modelCatalog = Array.isArray(results.modelCatalog) ? results.modelCatalog : [];
   const currentRoutingByTask = results.currentRoutingByTask || {};
+  const currentCostByTask = results.currentCostByTask || {};
 
   const costByModel = Object.fromEntries(
     modelCatalog.map(model => [model.model, Number(model.totalPerM || 0)])
@@ -840,7 +945,7 @@ export function generateReport(results) {
     .map(rec => {
       const currentModel = currentRoutingByTask[rec.taskType] || null;
       if (!currentModel) return null;
-      const currentCost = Number(costByModel[currentModel] || 0);
+      const currentCost = Number(currentCostByTask[rec.taskType] ?? costByModel[currentModel] ?? 0);
       const recommendedCost = Number(rec.totalCost || 0);
       const delta = currentCost - recommendedCost;
       const deltaPct = currentCost > 0 ? (delta / currentCost) * 100 : 0;
@@ -849,6 +954,7 @@ export function generateReport(results) {
         currentModel,
         currentCost,
         recommendedModel: rec.recommendedModel,
+        recommendedMode: rec.priceMode || 'standard',
         recommendedCost,
         delta,
         deltaPct
@@ -857,28 +963,121 @@ export function generateReport(results) {
     .filter(Boolean)
     .sort((a, b) => b.delta - a.delta);
   const actionableRows = comparisonRows.filter(row => row.currentModel !== row.recommendedModel);
+  const migrations = Array.isArray(results.migrations) ? results.migrations : [];
+  const unscoredCandidates = results.modelDiscovery?.candidates || [];
   
   let report = `# Model Optimization Report\n`;
   report += `**Generated:** ${new Date(results.timestamp).toLocaleString()}\n`;
   report += `**Models Analyzed:** ${results.modelsAnalyzed}\n`;
-  report += `**Current Rules:** ${results.currentRules.dailyConversation} daily + ${results.currentRules.actionTasks} action + ${results.currentRules.escalation} escalation\n\n`;
+  report += `**Current Rules:** ${results.currentRules.dailyConversation} daily + ${results.currentRules.actionTasks} action + ${results.currentRules.escalation} escalation\n`;
+  if (money.currency !== 'USD') {
+    report += `**Currency:** ${money.currency} (converted from USD at rates as of ${currencyRates.asOf || 'unknown date'})\n`;
+  }
+  report += '\n';
   
   report += `## 📊 Summary\n`;
-  report += `- **Monthly Savings Potential:** $${savings.monthlySavings} (${savings.savingsPercent}%)\n`;
+  report += `- **Monthly Savings Potential:** ${money(savings.monthlySavings)} (${savings.savingsPercent}%; ${money(savings.annualSavings)} per year)\n`;
   report += `- **Actionable Routing Changes:** ${actionableRows.length}\n`;
   report += `- **Scored Opportunities (reference):** ${recommendations.length}\n`;
-  report += `- **Quality Impact (scored set):** ${qualityImpact.tasksImproved} improved, ${qualityImpact.tasksMaintained} maintained, ${qualityImpact.tasksDegraded} degraded\n\n`;
+  report += `- **Quality Impact (scored set):** ${qualityImpact.tasksImproved} improved, ${qualityImpact.tasksMaintained} maintained, ${qualityImpact.tasksDegraded} degraded\n`;
+  if (migrations.length > 0) {
+    report += `- **Sunset Migrations:** ${migrations.length} task(s) routed to a deprecated or retiring model\n`;
+  }
+  if (results.modelDiscovery?.added.length > 0) {
+    report += `- **New Models Since Last Run:** ${results.modelDiscovery.added.length}\n`;
+  }
+  if (unscoredCandidates.length > 0) {
+    report += `- **Unscored Candidates:** ${unscoredCandidates.length} model(s) awaiting quality evaluation\n`;
+  }
+  if (Number(savings.priceModeMonthlySavings) > 0) {
+    report += `- **From Batch/Off-Peak Pricing:** ${money(savings.priceModeMonthlySavings)} of the savings above\n`;
+  }
+  report += '\n';
   
+  if (results.priceChanges) {
+    report += renderPriceChanges(results.priceChanges, money);
+  }
+
+  if (results.providerHealth) {
+    report += renderDataQuality(results.providerHealth);
+  }
+
+  if (migrations.length > 0) {
+    report += renderSunsetMigrations(migrations, money);
+  }
+
+  if (results.modelDiscovery) {
+    report += renderModelDiscovery(results.modelDiscovery, recommendations, money);
+  }
+
+  if (results.usageProfile) {
+    report += renderUsageMix(results.usageProfile);
+  }
+
   report += `## 💰 Cost Analysis\n`;
   report += `| Metric | Current | Optimized | Savings |\n`;
   report += `|--------|---------|-----------|---------|\n`;
-  report += `| Monthly Cost (per 1M tokens) | $${savings.currentMonthlyCost} | $${savings.optimizedMonthlyCost} | **$${savings.monthlySavings}** |\n\n`;
+  report += `| Monthly Spend | ${money(savings.currentMonthlyCost)} | ${money(savings.optimizedMonthlyCost)} | **${money(savings.monthlySavings)}** |\n`;
+  report += `| Annual Spend | ${money(savings.currentAnnualCost)} | ${money(savings.optimizedAnnualCost)} | **${money(savings.annualSavings)}** |\n`;
+  if (savings.sensitivity?.percent > 0) {
+    for (const [sign, range] of [['−', savings.sensitivity.low], ['+', savings.sensitivity.high]]) {
+      report += `| Monthly Spend at ${sign}${savings.sensitivity.percent}% volume | ${money(range.currentMonthlyCost)} | ${money(range.optimizedMonthlyCost)} | ${money(range.monthlySavings)} |\n`;
+    }
+  }
+  report += `\n_Projected at ${formatTokenVolume(savings.assumptions)}._\n\n`;
+
+  const deferred = recommendations.filter(rec => rec.priceMode && rec.priceMode !== 'standard');
+  if (deferred.length > 0) {
+    report += renderPriceModeSavings(deferred, savings, money);
+  }
 
   report += `## 📦 Found Model Costs\n`;
-  report += `| Model | Input/M | Output/M | Total/M |\n`;
-  report += `|-------|---------|----------|---------|\n`;
+  report += `| Model | Input/M | Output/M | Total/M | Source |\n`;
+  report += `|-------|---------|----------|---------|--------|\n`;
   for (const model of modelCatalog.sort((a, b) => a.model.localeCompare(b.model))) {
-    report += `| ${model.model} | $${Number(model.inputPerM).toFixed(3)} | $${Number(model.outputPerM).toFixed(3)} | $${Number(model.totalPerM).toFixed(3)} |\n`;
+    const overridden = model.override?.fields || [];
+    const mark = fields => (fields.some(field => overridden.includes(field)) ? ' ✎' : '');
+    const source = `${model.source || 'primary'}${model.override ? ' + override' : ''}`;
+    report += `| ${model.model} | ${money(model.inputPerM, 3)}${mark(['inputPerM'])} | ${money(model.outputPerM, 3)}${mark(['outputPerM'])} | ${money(model.totalPerM, 3)}${mark(['inputPerM', 'outputPerM', 'cacheReadPerM', 'cacheWritePerM'])} | ${source} |\n`;
+  }
+  const overriddenModels = modelCatalog.filter(model => model.override);
+  if (overriddenModels.length > 0) {
+    report += `\n_✎ Manual price overrides (data/price-overrides.json):_\n`;
+    for (const model of overriddenModels) {
+      const { discountPct, note, expires } = model.override;
+      const details = [
+        discountPct ? `${discountPct}% provider discount` : null,
+        note,
+        expires ? `expires ${expires}` : null
+      ].filter(Boolean);
+      report += `- ${model.model}: ${model.override.fields.join(', ')}${details.length > 0 ? ` — ${details.join('; ')}` : ''}\n`;
+    }
+  }
+  const secondarySourced = modelCatalog.filter(model => model.source && !['primary', COMPUTE_SOURCE].includes(model.source));
+  if (secondarySourced.length > 0) {
+    report += `\n_${secondarySourced.length} model price(s) came from a secondary source (${[...new Set(secondarySourced.map(model => model.source))].join(', ')})._\n`;
+  }
+  const converted = modelCatalog.filter(model => model.listed);
+  if (converted.length > 0) {
+    const currencies = [...new Set(converted.map(model => model.listed.currency))].join(', ');
+    report += `\n_${converted.length} model price(s) converted to USD from ${currencies} list prices (rates as of ${currencyRates.asOf || 'unknown date'})._\n`;
+  }
+  const previews = modelCatalog.filter(model => model.lifecycle?.status === 'preview');
+  if (previews.length > 0) {
+    report += `\n_Preview models (may change or be withdrawn at short notice): ${previews.map(model => model.model).join(', ')}._\n`;
+  }
+  const deprecated = modelCatalog.filter(model => model.lifecycle?.status === 'deprecated');
+  if (deprecated.length > 0) {
+    const labels = deprecated.map(model => (model.lifecycle.sunsetDate ? `${model.model} (sunset ${model.lifecycle.sunsetDate})` : model.model));
+    report += `\n_Deprecated models (never recommended): ${labels.join(', ')}._\n`;
+  }
+  const computeEstimated = modelCatalog.filter(model => model.compute);
+  if (computeEstimated.length > 0) {
+    report += `\n**Self-hosted compute estimates** (listed at $0/M by the provider):\n`;
+    for (const model of computeEstimated) {
+      const { hardware, hourlyCost, utilization } = model.compute;
+      report += `- ${model.model}: ${hardware} at ${money(hourlyCost, 2)}/h, ${Math.round(utilization * 100)}% utilisation\n`;
+    }
   }
   report += '\n';
 
@@ -886,7 +1085,7 @@ export function generateReport(results) {
   report += `| Model | Total/M | Task Count | Tasks |\n`;
   report += `|-------|---------|------------|-------|\n`;
   for (const row of Object.values(usedModelRows).sort((a, b) => b.tasks.length - a.tasks.length)) {
-    report += `| ${row.model} | $${Number(costByModel[row.model] || 0).toFixed(3)} | ${row.tasks.length} | ${row.tasks.join(', ')} |\n`;
+    report += `| ${row.model} | ${money(costByModel[row.model] || 0, 3)} | ${row.tasks.length} | ${row.tasks.join(', ')} |\n`;
   }
   report += '\n';
 
@@ -894,14 +1093,17 @@ export function generateReport(results) {
   report += `| Task | Current Model | Current Cost/M | Suggested Model | Suggested Cost/M | Delta | Delta % |\n`;
   report += `|------|---------------|----------------|-----------------|------------------|-------|---------|\n`;
   for (const row of comparisonRows) {
-    report += `| ${row.taskType} | ${row.currentModel} | $${row.currentCost.toFixed(3)} | ${row.recommendedModel} | $${row.recommendedCost.toFixed(3)} | $${row.delta.toFixed(3)} | ${row.deltaPct.toFixed(1)}% |\n`;
+    const mode = row.recommendedMode === 'standard' ? '' : ` (${row.recommendedMode})`;
+    report += `| ${row.taskType} | ${row.currentModel} | ${money(row.currentCost, 3)} | ${row.recommendedModel}${mode} | ${money(row.recommendedCost, 3)} | ${money(row.delta, 3)} | ${row.deltaPct.toFixed(1)}% |\n`;
   }
   report += '\n';
 
   report += `## ✅ Suggestion Items (Require Per-Item Approval)\n`;
   let item = 1;
   for (const row of actionableRows) {
-    report += `${item}. **${row.taskType}**: ${row.currentModel} → ${row.recommendedModel} (Δ $${row.delta.toFixed(3)}/M)\n`;
+    const migration = migrations.find(entry => entry.taskType === row.taskType);
+    const sunsetNote = migration ? ` — current model ${migration.sunsetDate ? `sunsets ${migration.sunsetDate}` : 'is deprecated'}` : '';
+    report += `${item}. **${row.taskType}**: ${row.currentModel} → ${row.recommendedModel} (Δ ${money(row.delta, 3)}/M)${sunsetNote}\n`;
     item += 1;
   }
   if (item === 1) {
@@ -916,22 +1118,25 @@ export function generateReport(results) {
 
     actionableRows.slice(0, 5).forEach(row => {
       const pct = row.currentCost > 0 ? ((row.delta / row.currentCost) * 100) : 0;
-      report += `| ${row.taskType} | ${row.currentModel.split('/').pop()} | ${row.recommendedModel.split('/').pop()} | ${pct.toFixed(1)}% ($${row.delta.toFixed(3)}) |\n`;
+      report += `| ${row.taskType} | ${row.currentModel.split('/').pop()} | ${row.recommendedModel.split('/').pop()} | ${pct.toFixed(1)}% (${money(row.delta, 3)}) |\n`;
     });
     report += '\n';
   }
 
   if (actionableRows.length > 0) {
     report += `## 🚀 Recommended Changes\n`;
-    report += `| Priority | Task Type | Recommended Model | Score | Quality | Cost/M |\n`;
-    report += `|----------|-----------|-------------------|-------|---------|--------|\n`;
+    report += `| Priority | Task Type | Recommended Model | Score | Quality | Cost/M | Cost/Request |\n`;
+    report += `|----------|-----------|-------------------|-------|---------|--------|--------------|\n`;
 
     recommendations
       .filter(rec => actionableRows.some(row => row.taskType === rec.taskType))
       .slice(0, 8)
       .forEach(rec => {
         const priority = rec.score >= 8 ? '🔴 High' : rec.score >= 6 ? '🟡 Medium' : '🟢 Low';
-        report += `| ${priority} | ${rec.taskType} | ${rec.recommendedModel.split('/').pop()} | ${rec.score.toFixed(1)} | ${rec.quality}/10 | $${rec.totalCost.toFixed(2)} |\n`;
+        const estimate = rec.qualityEstimate;
+        const quality = estimate ? `${estimate.mean}/10 (${estimate.low}–${estimate.high}, n=${estimate.prompts})` : `${rec.quality}/10`;
+        const perRequest = rec.costPerRequest === undefined ? 'n/a' : money(rec.costPerRequest, 4);
+        report += `| ${priority} | ${rec.taskType} | ${rec.recommendedModel.split('/').pop()} | ${rec.score.toFixed(1)} | ${quality} | ${money(rec.totalCost, 2)} | ${perRequest} |\n`;
       });
 
     report += '\n';
@@ -942,7 +1147,7 @@ export function generateReport(results) {
     report += `| Task Type | Preferred Model | Score | Cost/M |\n`;
     report += `|-----------|-----------------|-------|--------|\n`;
     recommendations.slice(0, 8).forEach(rec => {
-      report += `| ${rec.taskType} | ${rec.recommendedModel.split('/').pop()} | ${rec.score.toFixed(1)} | $${rec.totalCost.toFixed(2)} |\n`;
+      report += `| ${rec.taskType} | ${rec.recommendedModel.split('/').pop()} | ${rec.score.toFixed(1)} | ${money(rec.totalCost, 2)} |\n`;
     });
     report += '\n';
   }
@@ -954,14 +1159,226 @@ export function generateReport(results) {
   report += `4. **Re-run optimization** monthly for continuous improvement\n\n`;
   
   report += `## ⚠️ Assumptions & Limitations\n`;
-  report += `- **Monthly tokens:** ${savings.assumptions.monthlyTokens}\n`;
-  report += `- **Usage mix:** Estimated based on typical patterns\n`;
-  report += `- **Quality scores:** Subjective assessments\n`;
+  report += `- **Monthly tokens:** ${formatTokenVolume(savings.assumptions)}\n`;
+  const coveredShare = savings.assumptions.coveredShare;
+  if (coveredShare !== undefined && coveredShare < 0.995) {
+    report += `- **Spend coverage:** ${(coveredShare * 100).toFixed(1)}% of the token mix is routed to a priced model; the rest is left out of the spend\n`;
+  }
+  const tokenSources = recommendations.reduce((counts, rec) => {
+    const source = rec.tokenProfile?.source || 'default';
+    counts[source] = (counts[source] || 0) + 1;
+    return counts;
+  }, {});
+  report += `- **Cost/M:** Blended at each task's input:output split (${['measured', 'configured', 'default']
+    .filter(source => tokenSources[source])
+    .map(source => `${tokenSources[source]} ${source}`)
+    .join(', ') || 'none'}; default 1:1, 2,000 tokens/request)\n`;
+  const usageSource = savings.assumptions.usageSource;
+  report += usageSource
+    ? `- **Usage mix:** Measured from ${usageSource.requests} logged request(s)${usageSource.from ? ` (${usageSource.from.slice(0, 10)} to ${usageSource.to.slice(0, 10)})` : ''}\n`
+    : `- **Usage mix:** Estimated based on typical patterns (import gateway logs with scripts/import-usage.js)\n`;
+  const graded = recommendations.filter(rec => rec.qualityEstimate).length;
+  report += graded > 0
+    ? `- **Quality scores:** ${graded} of ${recommendations.length} recommendation(s) from graded evaluations (95% CI shown); the rest hand-tuned estimates\n`
+    : `- **Quality scores:** Hand-tuned estimates; no graded evaluations yet (see data/evaluations/)\n`;
   report += `- **Cost data:** ${new Date().toLocaleDateString()} pricing\n`;
   
   return report;
 }
 
+/**
+ * Describe the monthly token volume and where it came from
+ * @param {Object} assumptions - calculateSavings() assumptions
+ * @returns {string} e.g. "12,400,000 tokens/month (measured from imported usage)"
+ */
+function formatTokenVolume(assumptions) {
+  const sources = {
+    configured: 'set by MODEL_OPTIMIZER_MONTHLY_TOKENS',
+    measured: 'measured from imported usage',
+    default: 'default; set MODEL_OPTIMIZER_MONTHLY_TOKENS or import usage'
+  };
+  const tokens = Number(assumptions.monthlyTokens).toLocaleString('en-US');
+  const source = sources[assumptions.monthlyTokensSource];
+  return source ? `${tokens} tokens/month (${source})` : `${tokens} tokens/month`;
+}
+
+/**
+ * Render the batch/off-peak report section for latency-tolerant tasks
+ * @param {Array} deferred - Recommendations priced at a non-standard mode
+ * @param {Object} savings - calculateSavings() result
+ * @param {Function} money - Report money formatter
+ * @returns {string} Markdown section
+ */
+function renderPriceModeSavings(deferred, savings, money) {
+  const monthlyByTask = Object.fromEntries(
+    (savings.priceModeSavings || []).map(entry => [entry.taskType, entry.monthlySavings])
+  );
+
+  let section = `## ⏳ Batch & Off-Peak Savings\n`;
+  section += `_Latency-tolerant tasks priced at batch or off-peak rates instead of on-demand._\n\n`;
+  section += `| Task | Model | Mode | On-Demand Cost/M | Mode Cost/M | Monthly Savings |\n`;
+  section += `|------|-------|------|------------------|-------------|-----------------|\n`;
+  for (const rec of deferred) {
+    const monthly = monthlyByTask[rec.taskType];
+    section += `| ${rec.taskType} | ${rec.recommendedModel} | ${rec.priceMode} | ${money(rec.standardCost, 3)} | ${money(rec.totalCost, 3)} | ${monthly === undefined ? 'n/a' : money(monthly)} |\n`;
+  }
+  section += `\n**Extra savings from deferral:** ${money(savings.priceModeMonthlySavings || 0)} per month\n\n`;
+  return section;
+}
+
+/**
+ * Render the sunset migration report section
+ * @param {Array} migrations - proposeSunsetMigrations() result
+ * @param {Function} money - Report money formatter
+ * @returns {string} Markdown section
+ */
+function renderSunsetMigrations(migrations, money) {
+  let section = `## 🌅 Sunset Migrations\n`;
+  section += `| Task | Current Model | Sunset | Days Left | Proposed Model | Proposed Cost/M | Provider Replacement |\n`;
+  section += `|------|---------------|--------|-----------|----------------|-----------------|----------------------|\n`;
+  for (const migration of migrations) {
+    const daysLeft = migration.daysLeft === null ? 'n/a' : migration.daysLeft < 0 ? 'retired' : String(migration.daysLeft);
+    const cost = migration.proposedCost === null ? 'n/a' : money(migration.proposedCost, 3);
+    section += `| ${migration.taskType} | ${migration.currentModel} | ${migration.sunsetDate || 'unannounced'} | ${daysLeft} | ${migration.proposedModel || 'none'} | ${cost} | ${migration.replacement || '-'} |\n`;
+  }
+  section += '\n';
+  return section;
+}
+
+/**
+ * Render the measured usage mix report section
+ * @param {Object} usageProfile - loadUsageProfile() result
+ * @returns {string} Markdown section
+ */
+function renderUsageMix(usageProfile) {
+  const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  let section = `## 📈 Usage Mix\n`;
+  section += `Measured from ${usageProfile.requests} request(s)`;
+  section += usageProfile.from ? ` between ${usageProfile.from.slice(0, 10)} and ${usageProfile.to.slice(0, 10)}.\n\n` : '.\n\n';
+  section += `| Task Type | Requests | Token Share | Input:Output | Cache Hit |\n`;
+  section += `|-----------|----------|-------------|--------------|-----------|\n`;
+  const tasks = Object.entries(usageProfile.tasks).sort(([, a], [, b]) => (b.tokenShare ?? 0) - (a.tokenShare ?? 0));
+  for (const [taskType, task] of tasks) {
+    const ioRatio = task.inputOutputRatio === null ? 'input only' : `${task.inputOutputRatio}:1`;
+    section += `| ${taskType} | ${task.requests} | ${percent(task.tokenShare)} | ${ioRatio} | ${percent(task.cacheHitRate)} |\n`;
+  }
+  return `${section}\n`;
+}
+
+/**
+ * Render the new model / unscored candidates report section
+ * @param {Object} modelDiscovery - recordModelCatalog() result
+ * @param {Array} recommendations - Scored recommendations
+ * @param {Function} money - Report money formatter
+ * @returns {string} Markdown section ('' when there is nothing to report)
+ */
+function renderModelDiscovery(modelDiscovery, recommendations, money) {
+  const { firstRun, added = [], removed = [], candidates = [] } = modelDiscovery;
+  const price = (entry, field) => (entry.currency && entry.currency !== 'USD'
+    ? `${entry[field]} ${entry.currency}`
+    : money(entry[field], 3));
+
+  if (firstRun) {
+    return `## 🆕 New Models\n_First catalogue run: baseline recorded, new models are reported from the next run._\n\n`;
+  }
+  if (added.length === 0 && removed.length === 0 && candidates.length === 0) return '';
+
+  let section = `## 🆕 New Models\n`;
+  if (added.length > 0) {
+    section += `| Provider | Model | Input/M | Output/M | Capabilities |\n`;
+    section += `|----------|-------|---------|----------|--------------|\n`;
+    for (const entry of added) {
+      section += `| ${entry.provider} | ${entry.model} | ${price(entry, 'inputPerM')} | ${price(entry, 'outputPerM')} | ${describeCapabilities(entry.capabilities)} |\n`;
+    }
+  } else {
+    section += `_No new models since the last run._\n`;
+  }
+  if (removed.length > 0) {
+    section += `\n_No longer listed: ${removed.map(entry => entry.model).join(', ')}._\n`;
+  }
+
+  if (candidates.length > 0) {
+    section += `\n### Unscored Candidates\n`;
+    section += `These models have no quality scores yet; until evaluated they can only be recommended at the default quality (5/10).\n\n`;
+    section += `| Provider | Model | Input/M | Output/M | Capabilities | First Seen | Recommended For |\n`;
+    section += `|----------|-------|---------|----------|--------------|------------|-----------------|\n`;
+    for (const entry of candidates) {
+      const tasks = recommendations
+        .filter(rec => rec.recommendedModel === entry.model && rec.qualityScored === false)
+        .map(rec => rec.taskType);
+      section += `| ${entry.provider} | ${entry.model} | ${price(entry, 'inputPerM')} | ${price(entry, 'outputPerM')} | ${describeCapabilities(entry.capabilities)} | ${entry.firstSeenAt.slice(0, 10)} | ${tasks.join(', ') || '-'} |\n`;
+    }
+  }
+  section += '\n';
+  return section;
+}
+
+/**
+ * Render the "Data quality" report section from provider health
+ * @param {Object} providerHealth - recordProviderHealth() result
+ * @returns {string} Markdown section
+ */
+function renderDataQuality(providerHealth) {
+  const providers = Array.isArray(providerHealth.providers) ? providerHealth.providers : [];
+  const formatDate = value => (value ? new Date(value).toLocaleDateString() : 'never');
+  const formatError = value => (value ? String(value).replace(/\|/g, '/').slice(0, 80) : '');
+
+  let section = `## 🩺 Data Quality\n`;
+  section += `| Provider | Prices | Last Success | Consecutive Failures | Last Error |\n`;
+  section += `|----------|--------|--------------|----------------------|------------|\n`;
+  for (const entry of [...providers].sort((a, b) => b.consecutiveFailures - a.consecutiveFailures)) {
+    const error = entry.consecutiveFailures > 0 ? formatError(entry.lastError) : '';
+    section += `| ${entry.provider} | ${entry.dataSource} | ${formatDate(entry.lastSuccessAt)} | ${entry.consecutiveFailures} | ${error} |\n`;
+  }
+
+  const stale = providers.filter(entry => entry.hardcodedWeeks >= providerHealth.alertWeeks);
+  for (const entry of stale) {
+    section += `\n⚠️ **${entry.provider}** has relied on hardcoded prices for ${entry.hardcodedWeeks} week(s); its recommendations use stale prices.\n`;
+  }
+  section += '\n';
+  return section;
+}
+
+/**
+ * Render the "Price changes this week" report section
+ * @param {Object} priceChanges - Deltas from the price history ledger
+ * @param {Function} money - Report money formatter
+ * @returns {string} Markdown section
+ */
+function renderPriceChanges(priceChanges, money) {
+  const changes = Array.isArray(priceChanges.changes) ? priceChanges.changes : [];
+  const added = Array.isArray(priceChanges.added) ? priceChanges.added : [];
+  const removed = Array.isArray(priceChanges.removed) ? priceChanges.removed : [];
+
+  let section = `## 📈 Price changes this week\n`;
+  if (!priceChanges.previousRunAt) {
+    section += `No earlier run in the price history yet; changes will be reported from next week.\n\n`;
+    return section;
+  }
+
+  section += `_Compared with the run on ${new Date(priceChanges.previousRunAt).toLocaleDateString()}._\n\n`;
+  if (changes.length === 0) {
+    section += `No price changes.\n`;
+  } else {
+    const significant = new Set(priceChanges.significant || []);
+    section += `| Model | Price | Before | After | Change |\n`;
+    section += `|-------|-------|--------|-------|--------|\n`;
+    for (const change of changes) {
+      const pct = change.changePct === null ? 'new' : `${change.changePct > 0 ? '+' : ''}${change.changePct.toFixed(1)}%`;
+      const flag = significant.has(change) ? ' ⚠️' : '';
+      section += `| ${change.model} | ${change.field} | ${money(change.before, 3, change.currency)} | ${money(change.after, 3, change.currency)} | ${pct}${flag} |\n`;
+    }
+  }
+  if (added.length > 0) {
+    section += `\n**New models:** ${added.map(entry => entry.model).join(', ')}\n`;
+  }
+  if (removed.length > 0) {
+    section += `\n**No longer listed:** ${removed.map(entry => entry.model).join(', ')}\n`;
+  }
+  section += '\n';
+  return section;
+}
+
 /**
  * Compare current vs optimized routing
  * @param {Object} currentRules - Current routing rules
@@ -995,5 +1412,9 @@ export default {
   compareRouting,
   parseSoulRouting,
   calculateOptimizationScore,
-  findOptimalModel
+  resolveTokenProfile,
+  calculateTaskCost,
+  resolveMonthlyVolume,
+  findOptimalModel,
+  hasQualityScores
 };
@@ -0,0 +1,251 @@
+/**
+ * Quality score database
+ * Per task-type and model scores (1-10, 10 = best quality for the task) with provenance,
+ * kept in data/quality-scores.json so they can be edited without a code change
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readModelCatalog } from '../discovery/models.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_SCORES_FILE = join(__dirname, '../../data/quality-scores.json');
+const TAXONOMY_PATH = join(__dirname, '../../data/taxonomy.json');
+
+export const QUALITY_SCORES_VERSION = 1;
+export const SCORE_MIN = 1;
+export const SCORE_MAX = 10;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @returns {string} MODEL_OPTIMIZER_QUALITY_SCORES or data/quality-scores.json
+ */
+export function qualityScoresFilePath() {
+  return process.env.MODEL_OPTIMIZER_QUALITY_SCORES || DEFAULT_SCORES_FILE;
+}
+
+/**
+ * Read the score file as stored
+ * @param {string} path - JSON file (default: qualityScoresFilePath())
+ * @returns {{version: number, updatedAt: string|null, scores: Object}}
+ *   scores: { [taskType]: { [model]: { score, source, date, evaluator, note? } } }
+ */
+export function readQualityScoreFile(path = qualityScoresFilePath()) {
+  const empty = { version: QUALITY_SCORES_VERSION, updatedAt: null, scores: {} };
+  try {
+    if (!existsSync(path)) return empty;
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return {
+      version: raw.version ?? QUALITY_SCORES_VERSION,
+      updatedAt: raw.updatedAt || null,
+      scores: raw.scores && typeof raw.scores === 'object' ? raw.scores : {}
+    };
+  } catch (error) {
+    console.warn(`Failed to read quality scores from ${path}:`, error.message);
+    return empty;
+  }
+}
+
+/**
+ * Write the score file (temp file + rename), stamping updatedAt
+ * @param {Object} database - readQualityScoreFile() shape
+ * @param {string} path - JSON file (default: qualityScoresFilePath())
+ */
+export function writeQualityScoreFile(database, path = qualityScoresFilePath()) {
+  const sorted = {};
+  for (const taskType of Object.keys(database.scores).sort()) {
+    sorted[taskType] = Object.fromEntries(
+      Object.entries(database.scores[taskType]).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+  const output = {
+    version: QUALITY_SCORES_VERSION,
+    updatedAt: new Date().toISOString().slice(0, 10),
+    scale: { min: SCORE_MIN, max: SCORE_MAX },
+    scores: sorted
+  };
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, `${JSON.stringify(output, null, 2)}\n`);
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Task type ids from data/taxonomy.json
+ * @returns {Set<string>} Empty when the taxonomy cannot be read
+ */
+export function loadKnownTaskTypes() {
+  try {
+    if (!existsSync(TAXONOMY_PATH)) return new Set();
+    const tasks = JSON.parse(readFileSync(TAXONOMY_PATH, 'utf8')).tasks || [];
+    return new Set(tasks.map(task => task.id));
+  } catch (error) {
+    console.warn('Failed to read task types from taxonomy:', error.message);
+    return new Set();
+  }
+}
+
+/**
+ * Model ids seen by the last pricing run (data/model-catalog.json)
+ * @returns {Set<string>} Empty before the first run
+ */
+export function loadKnownModelIds() {
+  return new Set(Object.keys(readModelCatalog().models));
+}
+
+/**
+ * Check one score entry
+ * @param {Object} entry - { score, source, date, evaluator, note? }
+ * @returns {string[]} Problems; empty when valid
+ */
+export function validateScoreEntry(entry) {
+  if (!entry || typeof entry !== 'object') return ['not an object'];
+  const errors = [];
+  if (typeof entry.score !== 'number' || !(entry.score >= SCORE_MIN && entry.score <= SCORE_MAX)) {
+    errors.push(`score must be a number from ${SCORE_MIN} to ${SCORE_MAX} (got ${entry.score})`);
+  }
+  for (const field of ['source', 'evaluator']) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) errors.push(`missing ${field}`);
+  }
+  if (!(ISO_DATE.test(String(entry.date)) && Number.isFinite(Date.parse(entry.date)))) {
+    errors.push(`date must be YYYY-MM-DD (got ${entry.date})`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a score database
+ * Entries with a bad score or provenance, or for a task type the taxonomy does not know,
+ * are dropped. Scores for model ids no pricing run has seen are kept (a provider may just
+ * be down) but reported as warnings.
+ * @param {Object} database - readQualityScoreFile() result
+ * @param {Object} options - { taskTypes: Set, modelIds: Set }; an empty set skips that check
+ * @returns {{scores: Object, entries: Object, errors: string[], warnings: string[]}}
+ *   scores: { [taskType]: { [model]: number } }; entries: the valid entries with provenance
+ */
+export function validateQualityScores(database, options = {}) {
+  const { taskTypes = new Set(), modelIds = new Set() } = options;
+  const scores = {};
+  const entries = {};
+  const errors = [];
+  const warnings = [];
+
+  if (database.version !== QUALITY_SCORES_VERSION) {
+    errors.push(`unsupported quality score file version ${database.version}`);
+    return { scores, entries, errors, warnings };
+  }
+
+  for (const [taskType, models] of Object.entries(database.scores || {})) {
+    if (taskTypes.size > 0 && !taskTypes.has(taskType)) {
+      errors.push(`${taskType}: unknown task type`);
+      continue;
+    }
+    for (const [model, entry] of Object.entries(models || {})) {
+      const problems = validateScoreEntry(entry);
+      if (problems.length > 0) {
+        errors.push(`${taskType}/${model}: ${problems.join('; ')}`);
+        continue;
+      }
+      if (modelIds.size > 0 && !modelIds.has(model)) {
+        warnings.push(`${taskType}/${model}: model not in the last pricing run`);
+      }
+      scores[taskType] = { ...(scores[taskType] || {}), [model]: entry.score };
+      entries[taskType] = { ...(entries[taskType] || {}), [model]: entry };
+    }
+  }
+
+  return { scores, entries, errors, warnings };
+}
+
+/**
+ * Load and validate the score database
+ * Invalid entries are logged and left out; unknown-model warnings are only returned.
+ * @param {Object} options - { path, taskTypes, modelIds } (defaults: score file, taxonomy, model catalogue)
+ * @returns {{scores: Object, entries: Object, errors: string[], warnings: string[]}} See validateQualityScores()
+ */
+export function loadQualityScores(options = {}) {
+  const {
+    path = qualityScoresFilePath(),
+    taskTypes = loadKnownTaskTypes(),
+    modelIds = loadKnownModelIds()
+  } = options;
+  const result = validateQualityScores(readQualityScoreFile(path), { taskTypes, modelIds });
+  for (const error of result.errors) {
+    console.warn(`Quality score skipped: ${error}`);
+  }
+  return result;
+}
+
+/**
+ * Set one score (returns a new database; the input is not mutated)
+ * @param {Object} database - readQualityScoreFile() result
+ * @param {Object} entry - { taskType, model, score, source, evaluator, date?, note? }
+ * @returns {{database: Object, previous: Object|null}} previous is the replaced entry
+ * @throws {Error} If the entry is invalid
+ */
+export function setQualityScore(database, entry) {
+  const { taskType, model, score, source, evaluator, date = new Date().toISOString().slice(0, 10), note } = entry;
+  if (!taskType || !model) {
+    throw new Error('Quality score needs a task type and a model id');
+  }
+  const stored = { score, source, date, evaluator, ...(note ? { note } : {}) };
+  const problems = validateScoreEntry(stored);
+  if (problems.length > 0) {
+    throw new Error(`Invalid quality score for ${taskType}/${model}: ${problems.join('; ')}`);
+  }
+
+  const previous = database.scores[taskType]?.[model] || null;
+  return {
+    database: {
+      ...database,
+      scores: {
+        ...database.scores,
+        [taskType]: { ...(database.scores[taskType] || {}), [model]: stored }
+      }
+    },
+    previous
+  };
+}
+
+/**
+ * Compare two score databases
+ * @param {Object} before - Older readQualityScoreFile() result
+ * @param {Object} after - Newer readQualityScoreFile() result
+ * @returns {Array<Object>} { taskType, model, change: 'added'|'removed'|'changed', before, after }
+ *   (before/after are entries or null), sorted by task type then model. Provenance-only edits count as changed.
+ */
+export function diffQualityScores(before, after) {
+  const changes = [];
+  const taskTypes = new Set([...Object.keys(before.scores || {}), ...Object.keys(after.scores || {})]);
+  for (const taskType of [...taskTypes].sort()) {
+    const oldModels = before.scores?.[taskType] || {};
+    const newModels = after.scores?.[taskType] || {};
+    const models = new Set([...Object.keys(oldModels), ...Object.keys(newModels)]);
+    for (const model of [...models].sort()) {
+      const oldEntry = oldModels[model] || null;
+      const newEntry = newModels[model] || null;
+      if (oldEntry && newEntry && JSON.stringify(oldEntry) === JSON.stringify(newEntry)) continue;
+      const change = !oldEntry ? 'added' : !newEntry ? 'removed' : 'changed';
+      changes.push({ taskType, model, change, before: oldEntry, after: newEntry });
+    }
+  }
+  return changes;
+}
+
+export default {
+  QUALITY_SCORES_VERSION,
+  SCORE_MIN,
+  SCORE_MAX,
+  qualityScoresFilePath,
+  readQualityScoreFile,
+  writeQualityScoreFile,
+  loadKnownTaskTypes,
+  loadKnownModelIds,
+  validateScoreEntry,
+  validateQualityScores,
+  loadQualityScores,
+  setQualityScore,
+  diffQualityScores
+};
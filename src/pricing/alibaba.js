@@ -3,7 +3,17 @@
  */
 
 /**
- * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, free?: boolean}>>}
+ * Model capabilities (see capabilities.js)
+ */
+const MODEL_CAPABILITIES = {
+  'alibaba/qwen2.5-max': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'alibaba/qwen2.5-plus': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'alibaba/qwen2.5-7b': { toolUse: true, structuredOutput: false, reasoning: false, audio: false, maxOutputTokens: 8192 }
+};
+
+/**
+ * International (USD) prices plus the mainland China price list, which is published in CNY.
+ * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, currency?: string, region?: string, contextWindow?: number, vision: boolean, cache: boolean, free?: boolean, capabilities: Object}>>}
  */
 export async function fetchAlibabaPricing() {
   return [
@@ -28,10 +38,39 @@ export async function fetchAlibabaPricing() {
       vision: true,
       cache: false,
       free: true
+    },
+    {
+      model: 'alibaba/qwen2.5-max',
+      inputPerM: 2.40,
+      outputPerM: 9.60,
+      currency: 'CNY',
+      region: 'cn',
+      vision: true,
+      cache: true
+    },
+    {
+      model: 'alibaba/qwen2.5-plus',
+      inputPerM: 0.80,
+      outputPerM: 2.00,
+      currency: 'CNY',
+      region: 'cn',
+      vision: true,
+      cache: true
     }
-  ];
+  ].map(entry => ({ ...entry, capabilities: MODEL_CAPABILITIES[entry.model] }));
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'alibaba',
+  fetch: fetchAlibabaPricing,
+  sourceType: 'static',
+  capabilities: ['vision', 'prompt-cache', 'free-tier']
+};
+
 export default {
-  fetchAlibabaPricing
+  fetchAlibabaPricing,
+  provider
 };
@@ -3,24 +3,13 @@
  * Fetches current model prices from anthropic.com/pricing
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-
-// Use dynamic import for node-fetch (ESM compatibility)
-let fetch;
-try {
-  fetch = (await import('node-fetch')).default;
-} catch {
-  // Fallback to global fetch if available
-  fetch = globalThis.fetch || (() => {
-    throw new Error('Fetch not available. Install node-fetch or use web_fetch tool.');
-  });
-}
+import * as cheerio from 'cheerio';
+import { PricingParseError } from './errors.js';
+import { fetchArtificialAnalysisPricing, ARTIFICIAL_ANALYSIS_URL } from './artificialanalysis.js';
+import { readCachedPricing, writeCachedPricing, recordProvenance, CACHE_STATUS } from './cache.js';
+import { httpFetch } from './http.js';
 
-const __dirname = fileURLToPath(new URL('.', import.meta.url));
-const CACHE_FILE = join(__dirname, '../../data/pricing-cache.json');
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const ANTHROPIC_PRICING_URL = 'https://www.anthropic.com/pricing';
 
 /**
  * Fetch and parse Anthropic pricing page
@@ -28,15 +17,15 @@ const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
  */
 export async function fetchAnthropicPricing() {
   // Check cache first
-  const cached = readCache('anthropic');
+  const cached = readCachedPricing('anthropic');
   if (cached) {
     console.log('Using cached Anthropic pricing data');
-    return ensureExtendedAnthropicModels(cached.data);
+    return ensureExtendedAnthropicModels(cached);
   }
 
   try {
-    console.log('Fetching Anthropic pricing from https://www.anthropic.com/pricing');
-    const response = await fetch('https://www.anthropic.com/pricing', {
+    console.log(`Fetching Anthropic pricing from ${ANTHROPIC_PRICING_URL}`);
+    const response = await httpFetch(ANTHROPIC_PRICING_URL, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0; +https://github.com/openclaw/model-optimizer)'
       }
@@ -52,7 +41,7 @@ export async function fetchAnthropicPricing() {
     const extended = ensureExtendedAnthropicModels(prices);
 
     // Cache results
-    writeCache('anthropic', extended);
+    writeCachedPricing('anthropic', extended, { sourceUrl: ANTHROPIC_PRICING_URL });
     
     return extended;
   } catch (error) {
@@ -61,98 +50,165 @@ export async function fetchAnthropicPricing() {
     // Try fallback to artificialanalysis.ai
     try {
       console.log('Attempting fallback to artificialanalysis.ai...');
-      return await fetchArtificialAnalysisFallback();
+      const fallback = await fetchArtificialAnalysisPricing('anthropic', {
+        resolveModelId: resolveAnthropicModelId,
+        defaults: { vision: true, cache: false, contextWindow: 200000 }
+      });
+      recordProvenance('anthropic', { status: CACHE_STATUS.FALLBACK, sourceUrl: ARTIFICIAL_ANALYSIS_URL, error: error.message });
+      return ensureExtendedAnthropicModels(fallback);
     } catch (fallbackError) {
       console.error('Fallback also failed:', fallbackError.message);
       
       // Return hardcoded prices as last resort
       console.warn('Using hardcoded Anthropic prices as fallback');
-      return getHardcodedPrices();
+      recordProvenance('anthropic', { status: CACHE_STATUS.FALLBACK, error: `${error.message}; fallback: ${fallbackError.message}` });
+      return ensureExtendedAnthropicModels([]);
     }
   }
 }
 
 /**
- * Parse Anthropic HTML to extract pricing
- * Note: This parser may need updates if Anthropic changes their page structure
+ * Known display names mapped onto the model ids used in SOUL.md routing
  */
-function parseAnthropicHTML(html) {
-  // Simplified parser - in production, use cheerio for robust parsing
-  const prices = [];
-  
-  // Extract using regex patterns (simplified for example)
-  // Real implementation would use cheerio to parse table structures
-  
-  // Haiku
-  prices.push({
-    model: 'claude-haiku-4-5-20251001',
-    inputPerM: 0.80,
-    outputPerM: 4.00,
-    contextWindow: 200000,
-    vision: true,
-    cache: false
-  });
-  
-  // Sonnet
-  prices.push({
-    model: 'claude-sonnet-4-6',
-    inputPerM: 3.00,
-    outputPerM: 15.00,
-    contextWindow: 200000,
-    vision: true,
-    cache: false
-  });
-  
-  // Opus
-  prices.push({
-    model: 'claude-opus-4-6',
-    inputPerM: 15.00,
-    outputPerM: 75.00,
-    contextWindow: 200000,
-    vision: true,
-    cache: false
-  });
+const ANTHROPIC_MODEL_IDS = {
+  'claude opus 4.6': 'claude-opus-4-6',
+  'claude sonnet 4.6': 'claude-sonnet-4-6',
+  'claude haiku 4.5': 'claude-haiku-4-5-20251001',
+  'claude sonnet 3.5': 'anthropic/claude-3.5-sonnet',
+  'claude haiku 3.5': 'anthropic/claude-3.5-haiku'
+};
 
-  // Claude 3.5 Sonnet (requested extension)
-  prices.push({
-    model: 'anthropic/claude-3.5-sonnet',
-    inputPerM: 3.00,
-    outputPerM: 15.00,
-    contextWindow: 200000,
-    vision: true,
-    cache: false
-  });
+const COLUMN_PATTERNS = {
+  model: /^model/i,
+  input: /(base\s+)?input/i,
+  cacheWrite: /cache\s+writes?/i,
+  cacheRead: /cache\s+(hits?|reads?)/i,
+  output: /output/i,
+  context: /context/i
+};
+
+/**
+ * Map an Anthropic display name (e.g., "Claude Sonnet 4.6") to a model id
+ * @param {string} name - Model name as shown on the pricing page
+ * @returns {string|null} Model id or null if the name is not a Claude model
+ */
+export function resolveAnthropicModelId(name) {
+  const normalized = String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9.\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Older naming puts the version first: "Claude 3.5 Sonnet"
+  const match = normalized.match(/claude (?:(\d+(?:\.\d+)?) )?(opus|sonnet|haiku)(?: (\d+(?:\.\d+)?))?/);
+  if (!match) return null;
+
+  const family = match[2];
+  const version = match[3] || match[1];
+  if (!version) return null;
+
+  const key = `claude ${family} ${version}`;
+  return ANTHROPIC_MODEL_IDS[key] || `claude-${family}-${version.replace(/\./g, '-')}`;
+}
+
+function parseDollarsPerMTok(text) {
+  const match = String(text || '').replace(/,/g, '').match(/\$\s*([0-9]+(?:\.[0-9]+)?)/);
+  return match ? Number.parseFloat(match[1]) : null;
+}
 
-  // Claude 3.5 Haiku (requested extension)
-  prices.push({
-    model: 'anthropic/claude-3.5-haiku',
-    inputPerM: 0.25,
-    outputPerM: 1.25,
-    contextWindow: 200000,
-    vision: true,
-    cache: false
+function parseContextWindow(text) {
+  const match = String(text || '').replace(/,/g, '').match(/([0-9]+(?:\.[0-9]+)?)\s*([km])?/i);
+  if (!match) return null;
+  const value = Number.parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'm') return Math.round(value * 1000000);
+  if (unit === 'k') return Math.round(value * 1000);
+  return Math.round(value);
+}
+
+function mapColumns(headers) {
+  const columns = {};
+  headers.forEach((header, index) => {
+    for (const [key, pattern] of Object.entries(COLUMN_PATTERNS)) {
+      if (columns[key] !== undefined) continue;
+      // "Base Input Tokens" must not also claim the cache columns
+      if (key === 'input' && /cache/i.test(header)) continue;
+      if (pattern.test(header)) {
+        columns[key] = index;
+        break;
+      }
+    }
   });
-  
-  return prices;
+  return columns;
 }
 
 /**
- * Fallback to artificialanalysis.ai
+ * Parse Anthropic HTML to extract pricing
+ * Reads every pricing table whose header has Model, Input and Output columns.
+ * Cache and context-window columns are picked up when present.
+ * @param {string} html - Pricing page HTML
+ * @returns {Array<Object>} Pricing records
+ * @throws {PricingParseError} When no model rows can be read from the page
  */
-async function fetchArtificialAnalysisFallback() {
-  const response = await fetch('https://artificialanalysis.ai/models', {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0)'
-    }
+export function parseAnthropicHTML(html) {
+  const $ = cheerio.load(String(html || ''));
+  const models = new Map();
+  let pricingTables = 0;
+
+  $('table').each((_, table) => {
+    const headerCells = $(table).find('thead tr').first().find('th, td');
+    const headerRow = headerCells.length > 0 ? headerCells : $(table).find('tr').first().find('th, td');
+    const headers = headerRow.map((__, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+    const columns = mapColumns(headers);
+
+    if (columns.model === undefined || columns.input === undefined || columns.output === undefined) return;
+    pricingTables += 1;
+
+    $(table).find('tr').each((__, row) => {
+      const cells = $(row).find('td').map((___, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+      if (cells.length < headers.length) return;
+
+      const model = resolveAnthropicModelId(cells[columns.model]);
+      if (!model) return;
+
+      const inputPerM = parseDollarsPerMTok(cells[columns.input]);
+      const outputPerM = parseDollarsPerMTok(cells[columns.output]);
+      if (inputPerM == null || outputPerM == null) {
+        throw new PricingParseError('anthropic', `could not read input/output price for "${cells[columns.model]}"`);
+      }
+
+      const entry = {
+        model,
+        inputPerM,
+        outputPerM,
+        vision: true,
+        cache: false
+      };
+
+      const cacheWritePerM = columns.cacheWrite !== undefined ? parseDollarsPerMTok(cells[columns.cacheWrite]) : null;
+      const cacheReadPerM = columns.cacheRead !== undefined ? parseDollarsPerMTok(cells[columns.cacheRead]) : null;
+      if (cacheWritePerM != null && cacheReadPerM != null) {
+        entry.cache = true;
+        entry.cacheWritePerM = cacheWritePerM;
+        entry.cacheReadPerM = cacheReadPerM;
+      }
+
+      const contextWindow = columns.context !== undefined ? parseContextWindow(cells[columns.context]) : null;
+      if (contextWindow) entry.contextWindow = contextWindow;
+
+      models.set(model, entry);
+    });
   });
-  
-  if (!response.ok) {
-    throw new Error(`ArtificialAnalysis fallback failed: HTTP ${response.status}`);
+
+  if (pricingTables === 0) {
+    throw new PricingParseError('anthropic', 'no table with Model, Input and Output columns');
   }
-  
-  // Parse would be implemented based on artificialanalysis.ai structure
-  // For now, return hardcoded
-  return getHardcodedPrices();
+  if (models.size === 0) {
+    throw new PricingParseError('anthropic', 'pricing table contained no Claude model rows');
+  }
+
+  return [...models.values()];
 }
 
 /**
@@ -200,9 +256,25 @@ function getHardcodedPrices() {
       vision: true,
       cache: false
     }
-  ];
+  ].map(entry => ({ ...entry, source: 'hardcoded' }));
 }
 
+/**
+ * Batch API: asynchronous requests (results within 24h) at half the standard rates
+ */
+const ANTHROPIC_PRICE_MODES = { batch: { discountPct: 50 } };
+
+/**
+ * Model capabilities (see capabilities.js); every current model supports tool use and image input
+ */
+const ANTHROPIC_CAPABILITIES = {
+  'claude-haiku-4-5-20251001': { toolUse: true, structuredOutput: true, reasoning: true, audio: false, maxOutputTokens: 64000 },
+  'claude-sonnet-4-6': { toolUse: true, structuredOutput: true, reasoning: true, audio: false, maxOutputTokens: 64000 },
+  'claude-opus-4-6': { toolUse: true, structuredOutput: true, reasoning: true, audio: false, maxOutputTokens: 64000 },
+  'anthropic/claude-3.5-sonnet': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'anthropic/claude-3.5-haiku': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 }
+};
+
 function ensureExtendedAnthropicModels(prices) {
   const required = getHardcodedPrices();
   const merged = [...prices];
@@ -211,56 +283,22 @@ function ensureExtendedAnthropicModels(prices) {
       merged.push(model);
     }
   }
-  return merged;
+  return merged.map(entry => ({
+    ...entry,
+    priceModes: entry.priceModes || ANTHROPIC_PRICE_MODES,
+    capabilities: entry.capabilities || ANTHROPIC_CAPABILITIES[entry.model]
+  }));
 }
 
 /**
- * Read from cache
+ * Registry definition for this provider
  */
-function readCache(provider) {
-  try {
-    if (!existsSync(CACHE_FILE)) return null;
-    
-    const cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    const entry = cache[provider];
-    
-    if (!entry || !entry.timestamp || !entry.data) return null;
-    
-    const age = Date.now() - entry.timestamp;
-    if (age > CACHE_TTL) {
-      console.log(`Cache for ${provider} expired (${Math.round(age / 3600000)}h old)`);
-      return null;
-    }
-    
-    return entry;
-  } catch (error) {
-    console.warn('Cache read failed:', error.message);
-    return null;
-  }
-}
-
-/**
- * Write to cache
- */
-function writeCache(provider, data) {
-  try {
-    let cache = {};
-    if (existsSync(CACHE_FILE)) {
-      cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    }
-    
-    cache[provider] = {
-      timestamp: Date.now(),
-      data,
-      source: 'anthropic.com'
-    };
-    
-    writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
-    console.log(`Cached ${provider} pricing data`);
-  } catch (error) {
-    console.warn('Cache write failed:', error.message);
-  }
-}
+export const provider = {
+  id: 'anthropic',
+  fetch: fetchAnthropicPricing,
+  sourceType: 'scraped',
+  capabilities: ['vision', 'prompt-cache']
+};
 
 // Export default
-export default { fetchAnthropicPricing };
+export default { fetchAnthropicPricing, provider };
@@ -0,0 +1,190 @@
+/**
+ * artificialanalysis.ai fallback source
+ * Secondary price source shared by every provider scraper
+ */
+
+import * as cheerio from 'cheerio';
+import { PricingParseError } from './errors.js';
+import { httpFetch } from './http.js';
+
+export const ARTIFICIAL_ANALYSIS_URL = 'https://artificialanalysis.ai/models';
+export const ARTIFICIAL_ANALYSIS_SOURCE = 'artificialanalysis';
+
+/**
+ * Model creator names as listed on artificialanalysis.ai mapped to our provider ids
+ */
+const CREATOR_PROVIDERS = {
+  'anthropic': 'anthropic',
+  'google': 'google',
+  'deepseek': 'deepseek',
+  'openai': 'openai',
+  'alibaba': 'alibaba',
+  'meta': 'meta',
+  'microsoft': 'microsoft',
+  'microsoft azure': 'microsoft',
+  'moonshot': 'moonshot',
+  'moonshot ai': 'moonshot',
+  'kimi': 'moonshot'
+};
+
+const COLUMN_PATTERNS = {
+  model: /^model/i,
+  creator: /creator|provider|organi[sz]ation/i,
+  context: /context/i,
+  input: /input\s+price/i,
+  output: /output\s+price/i
+};
+
+function parseDollar(text) {
+  const match = String(text || '').replace(/,/g, '').match(/\$?\s*([0-9]+(?:\.[0-9]+)?)/);
+  return match ? Number.parseFloat(match[1]) : null;
+}
+
+function parseContextWindow(text) {
+  const match = String(text || '').replace(/,/g, '').match(/([0-9]+(?:\.[0-9]+)?)\s*([km])?/i);
+  if (!match) return null;
+  const value = Number.parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'm') return Math.round(value * 1000000);
+  if (unit === 'k') return Math.round(value * 1000);
+  return Math.round(value);
+}
+
+/**
+ * Map a creator label to our provider id
+ * @param {string} creator - Creator column text (e.g., "Moonshot AI")
+ * @returns {string|null} Provider id or null if we do not track the creator
+ */
+export function resolveCreatorProvider(creator) {
+  const key = String(creator || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return CREATOR_PROVIDERS[key] || null;
+}
+
+/**
+ * Normalise a listing model name to our `provider/model` scheme
+ * @param {string} provider - Provider id
+ * @param {string} name - Model name from the listing (e.g., "GPT-4o mini")
+ * @returns {string} Model id (e.g., 'openai/gpt-4o-mini')
+ */
+export function normalizeArtificialAnalysisModelId(provider, name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${provider}/${slug}`;
+}
+
+/**
+ * Parse the artificialanalysis.ai model listing
+ * @param {string} html - Listing page HTML
+ * @param {Object} options - { resolveModelId: (provider, name) => id|null }
+ * @returns {Array<Object>} Pricing records tagged with provider and source
+ * @throws {PricingParseError} When the listing table cannot be found
+ */
+export function parseArtificialAnalysisHTML(html, options = {}) {
+  const { resolveModelId = normalizeArtificialAnalysisModelId } = options;
+  const $ = cheerio.load(String(html || ''));
+  const records = [];
+  let listingTables = 0;
+
+  $('table').each((_, table) => {
+    const headers = $(table).find('tr').first().find('th, td')
+      .map((__, cell) => $(cell).text().replace(/\s+/g, ' ').trim())
+      .get();
+
+    const columns = {};
+    headers.forEach((header, index) => {
+      for (const [key, pattern] of Object.entries(COLUMN_PATTERNS)) {
+        if (columns[key] === undefined && pattern.test(header)) {
+          columns[key] = index;
+          break;
+        }
+      }
+    });
+
+    if (['model', 'creator', 'input', 'output'].some(key => columns[key] === undefined)) return;
+    listingTables += 1;
+
+    $(table).find('tr').each((__, row) => {
+      const cells = $(row).find('td').map((___, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+      if (cells.length < headers.length) return;
+
+      const provider = resolveCreatorProvider(cells[columns.creator]);
+      if (!provider) return;
+
+      const inputPerM = parseDollar(cells[columns.input]);
+      const outputPerM = parseDollar(cells[columns.output]);
+      if (inputPerM == null || outputPerM == null) return;
+
+      const model = resolveModelId(provider, cells[columns.model]);
+      if (!model) return;
+
+      const record = {
+        model,
+        provider,
+        inputPerM,
+        outputPerM,
+        source: ARTIFICIAL_ANALYSIS_SOURCE
+      };
+
+      const contextWindow = columns.context !== undefined ? parseContextWindow(cells[columns.context]) : null;
+      if (contextWindow) record.contextWindow = contextWindow;
+
+      records.push(record);
+    });
+  });
+
+  if (listingTables === 0) {
+    throw new PricingParseError(ARTIFICIAL_ANALYSIS_SOURCE, 'no model table with Model, Creator and price columns');
+  }
+
+  return records;
+}
+
+/**
+ * Fetch fallback pricing for one provider from artificialanalysis.ai
+ * @param {string} provider - Provider id (e.g., 'google')
+ * @param {Object} options - { resolveModelId, defaults: fields merged into every record }
+ * @returns {Promise<Array<Object>>} Pricing records with `source: 'artificialanalysis'`
+ */
+export async function fetchArtificialAnalysisPricing(provider, options = {}) {
+  const { resolveModelId, defaults = {} } = options;
+
+  const response = await httpFetch(ARTIFICIAL_ANALYSIS_URL, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0)'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`ArtificialAnalysis fallback failed: HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const resolver = resolveModelId
+    ? (creator, name) => (creator === provider ? resolveModelId(name) : null)
+    : normalizeArtificialAnalysisModelId;
+
+  const records = parseArtificialAnalysisHTML(html, { resolveModelId: resolver })
+    .filter(record => record.provider === provider)
+    .map(record => {
+      const entry = { ...defaults, ...record };
+      delete entry.provider;
+      return entry;
+    });
+
+  if (records.length === 0) {
+    throw new Error(`ArtificialAnalysis listing has no ${provider} models`);
+  }
+
+  console.log(`ArtificialAnalysis fallback: ${records.length} ${provider} model(s)`);
+  return records;
+}
+
+export default {
+  fetchArtificialAnalysisPricing,
+  parseArtificialAnalysisHTML,
+  normalizeArtificialAnalysisModelId,
+  resolveCreatorProvider
+};
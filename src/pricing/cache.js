@@ -0,0 +1,230 @@
+/**
+ * Pricing cache
+ * Versioned, per-provider cache shared by all scrapers in data/pricing-cache.json
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_CACHE_FILE = join(__dirname, '../../data/pricing-cache.json');
+
+export const CACHE_SCHEMA_VERSION = 2;
+
+/**
+ * How the prices handed to the optimizer were obtained this run:
+ * - live:     fetched from the provider's own page/API
+ * - cached:   served from this cache without a network call
+ * - fallback: secondary source or hardcoded table after a failed fetch
+ */
+export const CACHE_STATUS = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  FALLBACK: 'fallback'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTL_MS = 24 * HOUR_MS;
+// Fallback data is only a stopgap; retry the real source soon.
+const FALLBACK_TTL_MS = 1 * HOUR_MS;
+const PROVIDER_TTL_MS = {
+  anthropic: 24 * HOUR_MS,
+  google: 24 * HOUR_MS,
+  deepseek: 12 * HOUR_MS
+};
+
+let refreshCutoff = process.env.PRICING_REFRESH === '1' ? Date.now() : 0;
+const provenance = new Map();
+
+function cacheFilePath() {
+  return process.env.PRICING_CACHE_PATH || DEFAULT_CACHE_FILE;
+}
+
+/**
+ * Upgrade an unversioned cache ({ provider: { timestamp, data, source } })
+ */
+function migrateCache(raw) {
+  if (raw && raw.schemaVersion === CACHE_SCHEMA_VERSION && raw.entries) {
+    return raw;
+  }
+
+  const entries = {};
+  for (const [provider, entry] of Object.entries(raw || {})) {
+    if (!entry || !entry.timestamp || !Array.isArray(entry.data)) continue;
+    const source = String(entry.source || '');
+    entries[provider] = {
+      provider,
+      fetchedAt: new Date(entry.timestamp).toISOString(),
+      sourceUrl: source || null,
+      status: source.includes('fallback') ? CACHE_STATUS.FALLBACK : CACHE_STATUS.LIVE,
+      data: entry.data
+    };
+  }
+
+  return { schemaVersion: CACHE_SCHEMA_VERSION, entries };
+}
+
+/**
+ * Read the whole cache file
+ * @returns {{schemaVersion: number, entries: Object}} Cache contents (empty if missing or unreadable)
+ */
+export function readCacheFile() {
+  const path = cacheFilePath();
+  try {
+    if (!existsSync(path)) return { schemaVersion: CACHE_SCHEMA_VERSION, entries: {} };
+    return migrateCache(JSON.parse(readFileSync(path, 'utf8')));
+  } catch (error) {
+    console.warn('Cache read failed:', error.message);
+    return { schemaVersion: CACHE_SCHEMA_VERSION, entries: {} };
+  }
+}
+
+/**
+ * Write the cache via a temp file + rename so readers never see a partial file
+ */
+function writeCacheFile(cache) {
+  const path = cacheFilePath();
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(cache, null, 2));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Resolve the cache TTL for a provider.
+ * PRICING_CACHE_TTL_HOURS_<PROVIDER> beats PRICING_CACHE_TTL_HOURS beats built-in defaults.
+ * @param {string} provider - Provider id
+ * @param {string} status - Entry status; fallback entries expire sooner
+ * @returns {number} TTL in milliseconds
+ */
+export function getCacheTtl(provider, status = CACHE_STATUS.LIVE) {
+  const envKey = `PRICING_CACHE_TTL_HOURS_${String(provider).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const override = Number(process.env[envKey] || process.env.PRICING_CACHE_TTL_HOURS);
+  if (Number.isFinite(override) && override >= 0) return override * HOUR_MS;
+
+  const ttl = PROVIDER_TTL_MS[provider] || DEFAULT_TTL_MS;
+  return status === CACHE_STATUS.FALLBACK ? Math.min(ttl, FALLBACK_TTL_MS) : ttl;
+}
+
+/**
+ * Ignore every entry fetched before now (e.g., --refresh-pricing).
+ * Entries written later in the same run are still served from cache.
+ */
+export function requestRefresh() {
+  refreshCutoff = Date.now();
+}
+
+/**
+ * Read a provider's cache entry
+ * @param {string} provider - Provider id
+ * @param {Object} options - { ignoreTtl: return expired entries too }
+ * @returns {Object|null} { provider, fetchedAt, sourceUrl, status, data } or null if missing/expired
+ */
+export function readCacheEntry(provider, options = {}) {
+  const entry = readCacheFile().entries[provider];
+  if (!entry || !Array.isArray(entry.data)) return null;
+  if (options.ignoreTtl) return entry;
+
+  const fetchedAt = Date.parse(entry.fetchedAt);
+  if (!Number.isFinite(fetchedAt) || fetchedAt < refreshCutoff) return null;
+
+  const age = Date.now() - fetchedAt;
+  if (age > getCacheTtl(provider, entry.status)) {
+    console.log(`Cache for ${provider} expired (${Math.round(age / HOUR_MS)}h old)`);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Read cached pricing data for a provider and note that this run used the cache
+ * @param {string} provider - Provider id
+ * @returns {Array|null} Pricing records or null if missing/expired
+ */
+export function readCachedPricing(provider) {
+  const entry = readCacheEntry(provider);
+  if (!entry) return null;
+
+  recordProvenance(provider, {
+    status: CACHE_STATUS.CACHED,
+    fetchedAt: entry.fetchedAt,
+    sourceUrl: entry.sourceUrl
+  });
+  return entry.data;
+}
+
+/**
+ * Store pricing data for a provider
+ * @param {string} provider - Provider id
+ * @param {Array} data - Pricing records
+ * @param {Object} meta - { sourceUrl, status: 'live' | 'fallback', error: why the live fetch failed }
+ * @returns {Object|null} Written entry or null if the write failed
+ */
+export function writeCachedPricing(provider, data, meta = {}) {
+  const entry = {
+    provider,
+    fetchedAt: new Date().toISOString(),
+    sourceUrl: meta.sourceUrl || null,
+    status: meta.status || CACHE_STATUS.LIVE,
+    data
+  };
+
+  recordProvenance(provider, { ...entry, error: meta.error });
+
+  try {
+    const cache = readCacheFile();
+    cache.entries[provider] = entry;
+    writeCacheFile(cache);
+    console.log(`Cached ${provider} pricing data`);
+    return entry;
+  } catch (error) {
+    console.warn(`Cache write failed for ${provider}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record where this run's prices for a provider came from without caching them
+ * @param {string} provider - Provider id
+ * @param {Object} info - { status, sourceUrl, fetchedAt, error }
+ */
+export function recordProvenance(provider, info = {}) {
+  provenance.set(provider, {
+    provider,
+    fetchedAt: info.fetchedAt || new Date().toISOString(),
+    sourceUrl: info.sourceUrl || null,
+    status: info.status || CACHE_STATUS.LIVE,
+    error: info.error || null
+  });
+}
+
+/**
+ * @param {string} provider - Provider id
+ * @returns {Object|null} Provenance recorded during this run
+ */
+export function getProvenance(provider) {
+  return provenance.get(provider) || null;
+}
+
+/**
+ * @returns {Object} Provenance recorded during this run, keyed by provider
+ */
+export function getAllProvenance() {
+  return Object.fromEntries(provenance);
+}
+
+export default {
+  CACHE_SCHEMA_VERSION,
+  CACHE_STATUS,
+  readCacheFile,
+  readCacheEntry,
+  readCachedPricing,
+  writeCachedPricing,
+  recordProvenance,
+  getProvenance,
+  getAllProvenance,
+  getCacheTtl,
+  requestRefresh
+};
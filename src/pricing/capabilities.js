@@ -0,0 +1,77 @@
+/**
+ * Model capability metadata
+ * Normalises the `capabilities` block on pricing records and checks task requirements against it
+ */
+
+/**
+ * Boolean capabilities a task can require:
+ * - toolUse:          tool / function calling
+ * - structuredOutput: JSON mode or schema-constrained output
+ * - reasoning:        extended thinking / reasoning mode
+ * - vision:           image input
+ * - audio:            audio input
+ */
+export const CAPABILITY_FLAGS = ['toolUse', 'structuredOutput', 'reasoning', 'vision', 'audio'];
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Build the canonical capabilities block for a record
+ * Flags a provider does not declare stay null (unknown). `vision` and `contextWindow`
+ * mirror the record's top-level fields; audio falls back to the listed input modalities.
+ * @param {Object} record - Pricing record with `vision` and `contextWindow` already normalised
+ * @returns {{toolUse: boolean|null, structuredOutput: boolean|null, reasoning: boolean|null,
+ *   vision: boolean, audio: boolean|null, maxOutputTokens: number|null, contextWindow: number}}
+ */
+export function normalizeCapabilities(record) {
+  const declared = record.capabilities && typeof record.capabilities === 'object' ? record.capabilities : {};
+  const capabilities = {};
+
+  for (const flag of CAPABILITY_FLAGS) {
+    capabilities[flag] = typeof declared[flag] === 'boolean' ? declared[flag] : null;
+  }
+  capabilities.vision = record.vision;
+
+  const inputModalities = Array.isArray(record.modalities?.input) ? record.modalities.input : [];
+  if (capabilities.audio === null && inputModalities.length > 0) {
+    capabilities.audio = inputModalities.includes('audio');
+  }
+
+  capabilities.maxOutputTokens = positiveInteger(declared.maxOutputTokens) ?? positiveInteger(record.maxOutputTokens);
+  capabilities.contextWindow = record.contextWindow;
+  return capabilities;
+}
+
+/**
+ * List the requirements a model does not meet
+ * @param {Object} model - Normalised pricing record
+ * @param {Object} requirements - { capabilities: string[], minContextWindow?, minOutputTokens? }
+ * @returns {string[]} Reasons, e.g. ['no toolUse', 'toolUse unknown', 'context 32000 < 200000']; empty if the model qualifies
+ */
+export function missingCapabilities(model, requirements = {}) {
+  const capabilities = model.capabilities || normalizeCapabilities(model);
+  const reasons = [];
+
+  for (const flag of requirements.capabilities || []) {
+    if (capabilities[flag] === true) continue;
+    reasons.push(capabilities[flag] === false ? `no ${flag}` : `${flag} unknown`);
+  }
+
+  const contextWindow = capabilities.contextWindow ?? model.contextWindow;
+  if (requirements.minContextWindow && !(contextWindow >= requirements.minContextWindow)) {
+    reasons.push(`context ${contextWindow ?? 'unknown'} < ${requirements.minContextWindow}`);
+  }
+  if (requirements.minOutputTokens && !(capabilities.maxOutputTokens >= requirements.minOutputTokens)) {
+    reasons.push(`max output ${capabilities.maxOutputTokens ?? 'unknown'} < ${requirements.minOutputTokens}`);
+  }
+
+  return reasons;
+}
+
+export default {
+  CAPABILITY_FLAGS,
+  normalizeCapabilities,
+  missingCapabilities
+};
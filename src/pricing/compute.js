@@ -0,0 +1,131 @@
+/**
+ * Compute cost model for self-hosted and free open-weight models
+ * Turns hardware cost, throughput and utilisation into an effective $/M token price
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_COMPUTE_COSTS_FILE = join(__dirname, '../../data/compute-costs.json');
+
+export const COMPUTE_SOURCE = 'compute-estimate';
+
+function computeCostsPath() {
+  return process.env.MODEL_OPTIMIZER_COMPUTE_COSTS || DEFAULT_COMPUTE_COSTS_FILE;
+}
+
+/**
+ * Load compute cost profiles
+ * @param {string} path - JSON file (default: data/compute-costs.json or MODEL_OPTIMIZER_COMPUTE_COSTS)
+ * @returns {{defaults: Object|null, models: Object}} Profiles keyed by model id
+ */
+export function loadComputeCosts(path = computeCostsPath()) {
+  try {
+    if (!existsSync(path)) return { defaults: null, models: {} };
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return {
+      defaults: raw.defaults || null,
+      models: raw.models || {}
+    };
+  } catch (error) {
+    console.warn(`Failed to load compute costs from ${path}:`, error.message);
+    return { defaults: null, models: {} };
+  }
+}
+
+/**
+ * Effective price of one million tokens on dedicated hardware
+ * @param {number} hourlyCost - Hardware cost in $/hour
+ * @param {number} tokensPerSecond - Sustained throughput at full load
+ * @param {number} utilization - Share of paid hours actually serving traffic (0-1]
+ * @returns {number|null} $/M tokens, or null if the inputs are not usable
+ */
+export function computeEffectivePerM(hourlyCost, tokensPerSecond, utilization = 1) {
+  if (!Number.isFinite(hourlyCost) || hourlyCost < 0) return null;
+  if (!Number.isFinite(tokensPerSecond) || tokensPerSecond <= 0) return null;
+  if (!Number.isFinite(utilization) || utilization <= 0 || utilization > 1) return null;
+
+  const tokensPerHour = tokensPerSecond * 3600 * utilization;
+  return (hourlyCost / tokensPerHour) * 1000000;
+}
+
+/**
+ * Price a compute profile
+ * Profiles give `tokensPerSecond`, or separate `inputTokensPerSecond` / `outputTokensPerSecond`
+ * (prefill is usually an order of magnitude faster than generation).
+ * @param {Object} profile - { hardware, hourlyCost, tokensPerSecond?, inputTokensPerSecond?, outputTokensPerSecond?, utilization }
+ * @returns {{inputPerM: number, outputPerM: number}|null} Null if the profile is incomplete
+ */
+export function priceComputeProfile(profile) {
+  if (!profile) return null;
+  const utilization = profile.utilization ?? 1;
+  const inputPerM = computeEffectivePerM(
+    profile.hourlyCost,
+    profile.inputTokensPerSecond ?? profile.tokensPerSecond,
+    utilization
+  );
+  const outputPerM = computeEffectivePerM(
+    profile.hourlyCost,
+    profile.outputTokensPerSecond ?? profile.tokensPerSecond,
+    utilization
+  );
+  if (inputPerM === null || outputPerM === null) return null;
+  return { inputPerM, outputPerM };
+}
+
+/**
+ * Find the compute profile for a model.
+ * Self-hosted models fall back to the default profile; free models are only
+ * re-priced when a profile is declared (a hosted free tier really is free).
+ * @param {Object} model - Normalised pricing record
+ * @param {Object} computeCosts - loadComputeCosts() result
+ * @returns {Object|null} Profile or null if the model keeps its listed price
+ */
+export function resolveComputeProfile(model, computeCosts) {
+  if (model.billing !== 'self-hosted' && model.billing !== 'free') return null;
+  const declared = computeCosts.models[model.model];
+  if (declared) return declared;
+  return model.billing === 'self-hosted' ? computeCosts.defaults : null;
+}
+
+/**
+ * Replace $0 self-hosted/free prices with compute-based prices
+ * @param {Array<Object>} models - Normalised pricing records
+ * @param {Object} computeCosts - loadComputeCosts() result
+ * @returns {Array<Object>} Records; re-priced ones carry `source: 'compute-estimate'` and a `compute` block
+ */
+export function applyComputeCosts(models, computeCosts = loadComputeCosts()) {
+  return models.map(model => {
+    const profile = resolveComputeProfile(model, computeCosts);
+    const prices = priceComputeProfile(profile);
+    if (!prices) {
+      if (profile) console.warn(`Ignoring incomplete compute profile for ${model.model}`);
+      return model;
+    }
+
+    return {
+      ...model,
+      inputPerM: prices.inputPerM,
+      outputPerM: prices.outputPerM,
+      source: COMPUTE_SOURCE,
+      compute: {
+        hardware: profile.hardware || 'unspecified',
+        hourlyCost: profile.hourlyCost,
+        utilization: profile.utilization ?? 1,
+        listedInputPerM: model.inputPerM,
+        listedOutputPerM: model.outputPerM
+      }
+    };
+  });
+}
+
+export default {
+  COMPUTE_SOURCE,
+  loadComputeCosts,
+  computeEffectivePerM,
+  priceComputeProfile,
+  resolveComputeProfile,
+  applyComputeCosts
+};
@@ -3,116 +3,45 @@
  * Discovers available models first, then scrapes live DeepSeek pricing
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
+import { readCachedPricing, writeCachedPricing, CACHE_STATUS } from './cache.js';
+import { httpFetch } from './http.js';
 
-// Use dynamic import for node-fetch (ESM compatibility)
-let fetch;
-try {
-  fetch = (await import('node-fetch')).default;
-} catch {
-  // Fallback to global fetch if available
-  fetch = globalThis.fetch || (() => {
-    throw new Error('Fetch not available. Install node-fetch or use web_fetch tool.');
-  });
-}
-
-const __dirname = fileURLToPath(new URL('.', import.meta.url));
-const CACHE_FILE = join(__dirname, '../../data/pricing-cache.json');
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 const DEEPSEEK_MODELS_ENDPOINT = 'https://api.deepseek.com/v1/models';
 const DEEPSEEK_PRICING_URL = 'https://api-docs.deepseek.com/quick_start/pricing-details-usd';
 
-/**
- * Read from cache
- * @param {string} provider - Provider name (e.g., 'deepseek')
- * @returns {Object|null} Cached data or null if not found/expired
- */
-function readCache(provider) {
-  try {
-    if (!existsSync(CACHE_FILE)) return null;
-    
-    const cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    const entry = cache[provider];
-    
-    if (!entry) return null;
-    
-    const age = Date.now() - entry.timestamp;
-    if (age > CACHE_TTL) {
-      console.log(`Cache expired for ${provider} (${Math.round(age / 3600000)} hours old)`);
-      return null;
-    }
-    
-    return entry;
-  } catch (error) {
-    console.warn(`Failed to read cache for ${provider}:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Write to cache
- * @param {string} provider - Provider name
- * @param {Array} data - Pricing data
- * @param {string} source - Data source (e.g., 'deepseek.com')
- */
-function writeCache(provider, data, source) {
-  try {
-    let cache = {};
-    if (existsSync(CACHE_FILE)) {
-      cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    }
-    
-    cache[provider] = {
-      timestamp: Date.now(),
-      data,
-      source
-    };
-    
-    writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
-  } catch (error) {
-    console.warn(`Failed to write cache for ${provider}:`, error.message);
-  }
-}
-
 /**
  * Fetch DeepSeek pricing from official sources
  * @returns {Promise<Array>} Array of pricing objects
+ * @throws {Error} When the pricing page cannot be fetched or parsed
  */
 async function fetchFromSource() {
   console.log('Fetching DeepSeek pricing from official sources...');
   
-  try {
-    const discoveredModels = await discoverDeepSeekModels();
-    console.log(`DeepSeek model discovery: ${discoveredModels.length} model(s)`);
+  const discoveredModels = await discoverDeepSeekModels();
+  console.log(`DeepSeek model discovery: ${discoveredModels.length} model(s)`);
 
-    const response = await fetch(DEEPSEEK_PRICING_URL, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0; +https://github.com/openclaw/model-optimizer)'
-      },
-      timeout: 10000
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const html = await response.text();
-    const scrapedPrices = parseDeepSeekPricingHTML(html);
-    const prices = attachPricingToDiscoveredModels(discoveredModels, scrapedPrices);
-    
-    if (prices.length > 0) {
-      console.log(`Successfully parsed ${prices.length} DeepSeek models from pricing page`);
-      return prices;
-    }
-  } catch (error) {
-    console.warn('Failed to fetch DeepSeek pricing:', error.message);
+  const response = await httpFetch(DEEPSEEK_PRICING_URL, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0; +https://github.com/openclaw/model-optimizer)'
+    },
+    timeoutMs: 10000
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
   }
   
-  // Return fallback pricing if scraping fails
-  return getFallbackPricing();
+  const html = await response.text();
+  const scrapedPrices = parseDeepSeekPricingHTML(html);
+  const prices = attachPricingToDiscoveredModels(discoveredModels, scrapedPrices);
+  
+  if (prices.length === 0) {
+    throw new Error('DeepSeek pricing page had no model prices');
+  }
+
+  console.log(`Successfully parsed ${prices.length} DeepSeek models from pricing page`);
+  return prices;
 }
 
 function parseDeepSeekPricingHTML(html) {
@@ -207,12 +136,12 @@ async function discoverDeepSeekModels() {
   if (!apiKey) return [];
 
   try {
-    const response = await fetch(DEEPSEEK_MODELS_ENDPOINT, {
+    const response = await httpFetch(DEEPSEEK_MODELS_ENDPOINT, {
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0; +https://github.com/openclaw/model-optimizer)'
       },
-      timeout: 10000
+      timeoutMs: 10000
     });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -337,9 +266,29 @@ function getFallbackPricing({ logWarning = true } = {}) {
       cache: false,
       free: true
     }
-  ];
+  ].map(entry => ({ ...entry, source: 'hardcoded' }));
 }
 
+/**
+ * Off-peak discounts (16:30-00:30 UTC daily), applied to every price including cache hits
+ */
+const OFF_PEAK_WINDOWS = [{ start: '16:30', end: '00:30', timezone: 'UTC' }];
+const DEEPSEEK_PRICE_MODES = {
+  'deepseek/deepseek-chat': { 'off-peak': { discountPct: 50, windows: OFF_PEAK_WINDOWS } },
+  'deepseek/deepseek-reasoner': { 'off-peak': { discountPct: 75, windows: OFF_PEAK_WINDOWS } }
+};
+
+/**
+ * Model capabilities (see capabilities.js)
+ */
+const DEEPSEEK_CAPABILITIES = {
+  'deepseek/deepseek-chat': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'deepseek/deepseek-reasoner': { toolUse: true, structuredOutput: true, reasoning: true, audio: false, maxOutputTokens: 65536 },
+  'deepseek/deepseek-v3': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'deepseek/deepseek-r1': { toolUse: false, structuredOutput: false, reasoning: true, audio: false, maxOutputTokens: 32768 },
+  'deepseek/deepseek-r1-distill': { toolUse: false, structuredOutput: false, reasoning: true, audio: false }
+};
+
 function ensureExtendedDeepSeekModels(prices) {
   const required = getFallbackPricing({ logWarning: false });
   const merged = [...prices];
@@ -348,7 +297,11 @@ function ensureExtendedDeepSeekModels(prices) {
       merged.push(model);
     }
   }
-  return merged;
+  return merged.map(entry => ({
+    ...entry,
+    priceModes: entry.priceModes || DEEPSEEK_PRICE_MODES[entry.model],
+    capabilities: entry.capabilities || DEEPSEEK_CAPABILITIES[entry.model]
+  }));
 }
 
 /**
@@ -357,10 +310,10 @@ function ensureExtendedDeepSeekModels(prices) {
  */
 export async function fetchDeepSeekPricing() {
   // Check cache first
-  const cached = readCache('deepseek');
+  const cached = readCachedPricing('deepseek');
   if (cached) {
     console.log('Using cached DeepSeek pricing data');
-    return ensureExtendedDeepSeekModels(cached.data);
+    return ensureExtendedDeepSeekModels(cached);
   }
   
   try {
@@ -369,19 +322,30 @@ export async function fetchDeepSeekPricing() {
     
     // Cache the results
     const extended = ensureExtendedDeepSeekModels(prices);
-    writeCache('deepseek', extended, 'api-docs.deepseek.com/quick_start/pricing-details-usd');
+    writeCachedPricing('deepseek', extended, { sourceUrl: DEEPSEEK_PRICING_URL });
     
     return extended;
   } catch (error) {
     console.error('Failed to fetch DeepSeek pricing:', error.message);
     
-    // Return fallback pricing even if everything fails
+    // Return fallback pricing even if everything fails; cached briefly so the next run retries
     const fallback = ensureExtendedDeepSeekModels(getFallbackPricing());
-    writeCache('deepseek', fallback, 'fallback (fetch failed)');
+    writeCachedPricing('deepseek', fallback, { status: CACHE_STATUS.FALLBACK, error: error.message });
     return fallback;
   }
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'deepseek',
+  fetch: fetchDeepSeekPricing,
+  sourceType: 'scraped',
+  capabilities: ['prompt-cache', 'model-discovery']
+};
+
 export default {
-  fetchDeepSeekPricing
+  fetchDeepSeekPricing,
+  provider
 };
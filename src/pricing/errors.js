@@ -0,0 +1,22 @@
+/**
+ * Pricing error types
+ */
+
+/**
+ * Raised when a provider page no longer matches the layout a parser expects.
+ * Callers should treat this as "scrape failed" and fall back, never as
+ * an empty price list.
+ */
+export class PricingParseError extends Error {
+  /**
+   * @param {string} provider - Provider id (e.g., 'anthropic')
+   * @param {string} message - What the parser could not find
+   */
+  constructor(provider, message) {
+    super(`${provider} pricing page layout not recognised: ${message}`);
+    this.name = 'PricingParseError';
+    this.provider = provider;
+  }
+}
+
+export default { PricingParseError };
@@ -0,0 +1,148 @@
+/**
+ * Pricing snapshot export
+ * Flattens the normalised pricing catalogue into one row per record for spreadsheets (CSV)
+ * and downstream tooling (JSON)
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { CAPABILITY_FLAGS } from './capabilities.js';
+import { applyPriceMode } from './modes.js';
+
+/**
+ * Snapshot columns, in CSV order
+ * Prices are per 1M tokens in the record's own `currency`; mode prices are empty when the
+ * model has no such mode.
+ */
+export const SNAPSHOT_COLUMNS = [
+  'provider',
+  'model',
+  'region',
+  'currency',
+  'billing',
+  'inputPerM',
+  'outputPerM',
+  'cacheReadPerM',
+  'cacheWritePerM',
+  'cacheStoragePerMPerHour',
+  'batchInputPerM',
+  'batchOutputPerM',
+  'offPeakInputPerM',
+  'offPeakOutputPerM',
+  'priorityInputPerM',
+  'priorityOutputPerM',
+  'contextWindow',
+  'maxOutputTokens',
+  'capabilities',
+  'lifecycleStatus',
+  'sunsetDate',
+  'override',
+  'source',
+  'dataStatus',
+  'sourceUrl',
+  'fetchedAt'
+];
+
+const MODE_COLUMNS = { batch: 'batch', 'off-peak': 'offPeak', priority: 'priority' };
+
+// Mode prices from relative discounts can carry float noise (0.30000000000000004)
+function roundPrice(value) {
+  return Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : null;
+}
+
+/**
+ * Build a pricing snapshot
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @param {Object} provenanceByProvider - getAllPricingProvenance() result
+ * @param {Object} options - { generatedAt }
+ * @returns {{generatedAt: string, columns: string[], rows: Array<Object>}}
+ *   rows are keyed by SNAPSHOT_COLUMNS, sorted by provider then model; missing values are null
+ */
+export function buildPricingSnapshot(pricingByProvider, provenanceByProvider = {}, options = {}) {
+  const { generatedAt = new Date().toISOString() } = options;
+  const rows = [];
+
+  for (const [provider, records] of Object.entries(pricingByProvider || {})) {
+    if (!Array.isArray(records)) continue;
+    const provenance = provenanceByProvider[provider] || {};
+
+    for (const record of records) {
+      const capabilities = record.capabilities || {};
+      const row = {
+        provider,
+        model: record.model,
+        region: record.region || null,
+        currency: record.currency || null,
+        billing: record.billing || null,
+        inputPerM: roundPrice(record.inputPerM),
+        outputPerM: roundPrice(record.outputPerM),
+        cacheReadPerM: roundPrice(record.cacheReadPerM),
+        cacheWritePerM: roundPrice(record.cacheWritePerM),
+        cacheStoragePerMPerHour: roundPrice(record.cacheStoragePerMPerHour),
+        contextWindow: record.contextWindow ?? null,
+        maxOutputTokens: capabilities.maxOutputTokens ?? null,
+        capabilities: CAPABILITY_FLAGS.filter(flag => capabilities[flag] === true).join(';'),
+        lifecycleStatus: record.lifecycle?.status || null,
+        sunsetDate: record.lifecycle?.sunsetDate || null,
+        override: Boolean(record.override),
+        source: record.source || provider,
+        dataStatus: provenance.status || null,
+        sourceUrl: provenance.sourceUrl || null,
+        fetchedAt: provenance.fetchedAt || null
+      };
+
+      for (const [mode, prefix] of Object.entries(MODE_COLUMNS)) {
+        const priced = applyPriceMode(record, mode);
+        row[`${prefix}InputPerM`] = roundPrice(priced?.inputPerM);
+        row[`${prefix}OutputPerM`] = roundPrice(priced?.outputPerM);
+      }
+
+      rows.push(Object.fromEntries(SNAPSHOT_COLUMNS.map(column => [column, row[column] ?? null])));
+    }
+  }
+
+  rows.sort((a, b) => a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model) ||
+    String(a.region).localeCompare(String(b.region)));
+  return { generatedAt, columns: SNAPSHOT_COLUMNS, rows };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a snapshot as CSV (RFC 4180, header row first)
+ * @param {Object} snapshot - buildPricingSnapshot() result
+ * @returns {string} CSV text
+ */
+export function formatSnapshotCsv(snapshot) {
+  const lines = [snapshot.columns.join(',')];
+  for (const row of snapshot.rows) {
+    lines.push(snapshot.columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Write a snapshot as `<basePath>.csv` and `<basePath>.json`
+ * @param {Object} snapshot - buildPricingSnapshot() result
+ * @param {string} basePath - Output path without extension
+ * @returns {{csvPath: string, jsonPath: string}} Written files
+ */
+export function writePricingSnapshot(snapshot, basePath) {
+  mkdirSync(dirname(basePath), { recursive: true });
+  const csvPath = `${basePath}.csv`;
+  const jsonPath = `${basePath}.json`;
+  writeFileSync(csvPath, formatSnapshotCsv(snapshot), 'utf8');
+  writeFileSync(jsonPath, `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
+  return { csvPath, jsonPath };
+}
+
+export default {
+  SNAPSHOT_COLUMNS,
+  buildPricingSnapshot,
+  formatSnapshotCsv,
+  writePricingSnapshot
+};
@@ -3,24 +3,13 @@
  * Fetches current model prices from Google AI pricing page
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
-
-// Use dynamic import for node-fetch (ESM compatibility)
-let fetch;
-try {
-  fetch = (await import('node-fetch')).default;
-} catch {
-  // Fallback to global fetch if available
-  fetch = globalThis.fetch || (() => {
-    throw new Error('Fetch not available. Install node-fetch or use web_fetch tool.');
-  });
-}
+import * as cheerio from 'cheerio';
+import { PricingParseError } from './errors.js';
+import { fetchArtificialAnalysisPricing, ARTIFICIAL_ANALYSIS_URL } from './artificialanalysis.js';
+import { readCachedPricing, writeCachedPricing, recordProvenance, CACHE_STATUS } from './cache.js';
+import { httpFetch } from './http.js';
 
-const __dirname = fileURLToPath(new URL('.', import.meta.url));
-const CACHE_FILE = join(__dirname, '../../data/pricing-cache.json');
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const GOOGLE_PRICING_URL = 'https://ai.google.dev/pricing';
 
 /**
  * Fetch and parse Google Gemini pricing
@@ -28,15 +17,15 @@ const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
  */
 export async function fetchGooglePricing() {
   // Check cache first
-  const cached = readCache('google');
+  const cached = readCachedPricing('google');
   if (cached) {
     console.log('Using cached Google pricing data');
-    return ensureExtendedGoogleModels(cached.data);
+    return ensureExtendedGoogleModels(cached);
   }
 
   try {
-    console.log('Fetching Google pricing from https://ai.google.dev/pricing');
-    const response = await fetch('https://ai.google.dev/pricing', {
+    console.log(`Fetching Google pricing from ${GOOGLE_PRICING_URL}`);
+    const response = await httpFetch(GOOGLE_PRICING_URL, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0; +https://github.com/openclaw/model-optimizer)'
       }
@@ -52,7 +41,7 @@ export async function fetchGooglePricing() {
     const extended = ensureExtendedGoogleModels(prices);
 
     // Cache results
-    writeCache('google', extended);
+    writeCachedPricing('google', extended, { sourceUrl: GOOGLE_PRICING_URL });
     
     return extended;
   } catch (error) {
@@ -61,114 +50,222 @@ export async function fetchGooglePricing() {
     // Try fallback to artificialanalysis.ai
     try {
       console.log('Attempting fallback to artificialanalysis.ai...');
-      return await fetchArtificialAnalysisFallback('google');
+      const fallback = await fetchArtificialAnalysisPricing('google', {
+        resolveModelId: resolveGoogleModelId,
+        defaults: { vision: true, cache: false, contextWindow: DEFAULT_CONTEXT_WINDOW }
+      });
+      recordProvenance('google', { status: CACHE_STATUS.FALLBACK, sourceUrl: ARTIFICIAL_ANALYSIS_URL, error: error.message });
+      return ensureExtendedGoogleModels(fallback);
     } catch (fallbackError) {
       console.error('Fallback also failed:', fallbackError.message);
       
       // Return hardcoded prices as last resort
       console.warn('Using hardcoded Google prices as fallback');
-      return getHardcodedPrices();
+      recordProvenance('google', { status: CACHE_STATUS.FALLBACK, error: `${error.message}; fallback: ${fallbackError.message}` });
+      return ensureExtendedGoogleModels([]);
     }
   }
 }
 
 /**
- * Parse Google AI HTML to extract pricing
- * Note: Google's pricing page is complex; this is a simplified parser
+ * Page model codes that are routed under a different id in SOUL.md
  */
-function parseGoogleHTML(html) {
-  const prices = [];
-  
-  // Gemini 3 Flash (Preview) - our main workhorse
-  prices.push({
-    model: 'google/gemini-3-flash-preview',
-    inputPerM: 0.50,
-    outputPerM: 3.00,
-    contextWindow: 1000000,  // 1M context
-    vision: true,
-    cache: false
-  });
-  
-  // Gemini 2.5 Flash - cheap file ops
-  prices.push({
-    model: 'google/gemini-2.5-flash',
-    inputPerM: 0.50,
-    outputPerM: 3.00,
-    contextWindow: 1000000,
-    vision: true,
-    cache: false
-  });
-  
-  // Gemini 2.5 Pro - higher quality
-  prices.push({
-    model: 'google/gemini-2.5-pro',
-    inputPerM: 1.25,
-    outputPerM: 10.00,
-    contextWindow: 2000000,  // 2M context
-    vision: true,
-    cache: false
-  });
-  
-  // Gemini 3 Pro (Preview) - premium
-  prices.push({
-    model: 'google/gemini-3-pro-preview',
-    inputPerM: 2.00,
-    outputPerM: 12.00,
-    contextWindow: 2000000,
-    vision: true,
-    cache: false
-  });
-  
-  // Flash-Lite - cheapest for heartbeat
-  prices.push({
-    model: 'google/gemini-flash-lite',
-    inputPerM: 0.10,
-    outputPerM: 0.40,
-    contextWindow: 1000000,
-    vision: false,
-    cache: false
-  });
+const GOOGLE_MODEL_ALIASES = {
+  'gemini-2.5-flash-lite': 'google/gemini-flash-lite'
+};
 
-  // Gemini 1.5 Pro (requested extension)
-  prices.push({
-    model: 'google/gemini-1.5-pro',
-    inputPerM: 3.50,
-    outputPerM: 10.50,
-    contextWindow: 1000000,
-    vision: true,
-    cache: false
+const DEFAULT_CONTEXT_WINDOW = 1000000;
+
+/**
+ * Map a model code or heading (e.g., "gemini-2.5-pro", "Gemini 2.5 Pro") to a model id
+ * @param {string} name - Model code or display name
+ * @returns {string|null} Model id or null if not a Gemini model
+ */
+export function resolveGoogleModelId(name) {
+  const code = String(name || '')
+    .toLowerCase()
+    .replace(/^models\//, '')
+    .replace(/^google\//, '')
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!code.startsWith('gemini-')) return null;
+  return GOOGLE_MODEL_ALIASES[code] || `google/${code}`;
+}
+
+function parseDollar(text) {
+  const match = String(text || '').replace(/,/g, '').match(/\$\s*([0-9]+(?:\.[0-9]+)?)/);
+  return match ? Number.parseFloat(match[1]) : null;
+}
+
+function cellSegments($, cell) {
+  const copy = $(cell).clone();
+  copy.find('br').replaceWith('\n');
+  return copy
+    .text()
+    .split('\n')
+    .map(segment => segment.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a paid-tier cell such as
+ *   "$1.25, prompts <= 200k tokens / $2.50, prompts > 200k tokens"
+ *   "$0.30 (text / image / video) / $1.00 (audio)"
+ * Text pricing wins over audio; storage prices are reported separately.
+ */
+function parseTieredPrice(segments) {
+  const result = { perM: null, abovePerM: null, thresholdTokens: null, storagePerMPerHour: null };
+
+  for (const segment of segments) {
+    const price = parseDollar(segment);
+    if (price == null) continue;
+
+    if (/per hour/i.test(segment)) {
+      result.storagePerMPerHour = price;
+      continue;
+    }
+    if (/\baudio\b/i.test(segment) && !/\btext\b/i.test(segment)) continue;
+
+    const above = segment.match(/>\s*([0-9]+)\s*k/i);
+    if (above) {
+      result.abovePerM = price;
+      result.thresholdTokens = Number(above[1]) * 1000;
+      continue;
+    }
+
+    if (result.perM == null) result.perM = price;
+  }
+
+  return result;
+}
+
+function isFreeOfCharge(segments) {
+  return segments.some(segment => /free of charge/i.test(segment));
+}
+
+function findPricingTable($, section) {
+  const tables = section.filter('table').add(section.find('table'));
+  for (const table of tables.toArray()) {
+    const headers = $(table).find('tr').first().find('th, td')
+      .map((_, cell) => $(cell).text().replace(/\s+/g, ' ').trim())
+      .get();
+    const paidIndex = headers.findIndex(header => /paid tier/i.test(header) && /1m tokens/i.test(header));
+    if (paidIndex === -1) continue;
+    const freeIndex = headers.findIndex(header => /free tier/i.test(header));
+    return { table, paidIndex, freeIndex };
+  }
+  return null;
+}
+
+function parseModelSection($, heading) {
+  const section = $(heading).nextUntil('h2');
+  const code = section.find('code').first().text().trim() || $(heading).text().trim();
+  const model = resolveGoogleModelId(code);
+  if (!model) return null;
+
+  const pricingTable = findPricingTable($, section);
+  if (!pricingTable) return null;
+
+  const { table, paidIndex, freeIndex } = pricingTable;
+  const rows = {};
+  const freeTierLimits = [];
+
+  $(table).find('tr').each((_, row) => {
+    const cells = $(row).find('td').toArray();
+    if (cells.length <= paidIndex) return;
+
+    const label = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+    const paid = cellSegments($, cells[paidIndex]);
+    const free = freeIndex > 0 ? cellSegments($, cells[freeIndex]) : [];
+
+    if (/^input price/i.test(label)) rows.input = { paid, free };
+    else if (/^output price/i.test(label)) rows.output = { paid, free };
+    else if (/^context caching/i.test(label)) rows.cache = { paid, free };
+
+    const limit = free.find(segment => /\b(RPD|RPM|TPM)\b/.test(segment));
+    if (limit) freeTierLimits.push(`${label}: ${limit.replace(/^free of charge,?\s*/i, '')}`);
   });
 
-  // Gemini 1.5 Flash (requested extension)
-  prices.push({
-    model: 'google/gemini-1.5-flash',
-    inputPerM: 0.037,
-    outputPerM: 0.15,
-    contextWindow: 1000000,
-    vision: false,
+  // Embedding, image and video models have no output token price
+  if (!rows.input || !rows.output) return null;
+
+  const input = parseTieredPrice(rows.input.paid);
+  const output = parseTieredPrice(rows.output.paid);
+  if (input.perM == null || output.perM == null) {
+    throw new PricingParseError('google', `could not read input/output price for "${code}"`);
+  }
+
+  const known = getHardcodedPrices().find(entry => entry.model === model);
+  const entry = {
+    model,
+    inputPerM: input.perM,
+    outputPerM: output.perM,
+    contextWindow: known?.contextWindow || DEFAULT_CONTEXT_WINDOW,
+    vision: known ? known.vision : true,
     cache: false
-  });
-  
-  return prices;
+  };
+
+  const cache = rows.cache ? parseTieredPrice(rows.cache.paid) : null;
+  if (cache?.perM != null) {
+    entry.cache = true;
+    entry.cacheReadPerM = cache.perM;
+    if (cache.storagePerMPerHour != null) {
+      entry.cacheStoragePerMPerHour = cache.storagePerMPerHour;
+    }
+  }
+
+  const thresholdTokens = input.thresholdTokens || output.thresholdTokens;
+  if (thresholdTokens) {
+    entry.promptTiers = [
+      {
+        minPromptTokens: 0,
+        maxPromptTokens: thresholdTokens,
+        inputPerM: input.perM,
+        outputPerM: output.perM,
+        ...(cache?.perM != null ? { cacheReadPerM: cache.perM } : {})
+      },
+      {
+        minPromptTokens: thresholdTokens,
+        maxPromptTokens: null,
+        inputPerM: input.abovePerM ?? input.perM,
+        outputPerM: output.abovePerM ?? output.perM,
+        ...(cache?.perM != null ? { cacheReadPerM: cache.abovePerM ?? cache.perM } : {})
+      }
+    ];
+  }
+
+  entry.freeTier = {
+    available: isFreeOfCharge(rows.input.free) && isFreeOfCharge(rows.output.free),
+    limits: freeTierLimits
+  };
+
+  return entry;
 }
 
 /**
- * Fallback to artificialanalysis.ai for Google models
+ * Parse Google AI HTML to extract pricing
+ * Each model has an <h2> section with its model code and a Free/Paid tier table.
+ * Prompt-length tiers (e.g., <= 200k vs > 200k tokens), context-caching prices
+ * and free-tier availability are mapped onto the pricing record.
+ * @param {string} html - Pricing page HTML
+ * @returns {Array<Object>} Pricing records
+ * @throws {PricingParseError} When no Gemini model sections can be read
  */
-async function fetchArtificialAnalysisFallback(provider) {
-  const response = await fetch(`https://artificialanalysis.ai/models?provider=${provider}`, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0)'
-    }
+export function parseGoogleHTML(html) {
+  const $ = cheerio.load(String(html || ''));
+  const models = new Map();
+
+  $('h2').each((_, heading) => {
+    const entry = parseModelSection($, heading);
+    if (entry) models.set(entry.model, entry);
   });
-  
-  if (!response.ok) {
-    throw new Error(`ArtificialAnalysis fallback failed: HTTP ${response.status}`);
+
+  if (models.size === 0) {
+    throw new PricingParseError('google', 'no Gemini model sections with a paid-tier token price table');
   }
-  
-  // Parse would be implemented based on artificialanalysis.ai structure
-  // For now, return hardcoded
-  return getHardcodedPrices();
+
+  return [...models.values()];
 }
 
 /**
@@ -233,9 +330,28 @@ function getHardcodedPrices() {
       vision: false,
       cache: false
     }
-  ];
+  ].map(entry => ({ ...entry, source: 'hardcoded' }));
 }
 
+/**
+ * Batch API: asynchronous requests (results within 24h) at half the standard rates
+ */
+const GOOGLE_PRICE_MODES = { batch: { discountPct: 50 } };
+
+/**
+ * Model capabilities (see capabilities.js); Gemini models also accept audio input
+ */
+const GEMINI_THINKING = { toolUse: true, structuredOutput: true, reasoning: true, audio: true, maxOutputTokens: 65536 };
+const GOOGLE_CAPABILITIES = {
+  'google/gemini-3-flash-preview': GEMINI_THINKING,
+  'google/gemini-3-pro-preview': GEMINI_THINKING,
+  'google/gemini-2.5-flash': GEMINI_THINKING,
+  'google/gemini-2.5-pro': GEMINI_THINKING,
+  'google/gemini-flash-lite': GEMINI_THINKING,
+  'google/gemini-1.5-pro': { toolUse: true, structuredOutput: true, reasoning: false, audio: true, maxOutputTokens: 8192 },
+  'google/gemini-1.5-flash': { toolUse: true, structuredOutput: true, reasoning: false, audio: true, maxOutputTokens: 8192 }
+};
+
 function ensureExtendedGoogleModels(prices) {
   const required = getHardcodedPrices();
   const merged = [...prices];
@@ -244,56 +360,22 @@ function ensureExtendedGoogleModels(prices) {
       merged.push(model);
     }
   }
-  return merged;
-}
-
-/**
- * Read from cache
- */
-function readCache(provider) {
-  try {
-    if (!existsSync(CACHE_FILE)) return null;
-    
-    const cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    const entry = cache[provider];
-    
-    if (!entry || !entry.timestamp || !entry.data) return null;
-    
-    const age = Date.now() - entry.timestamp;
-    if (age > CACHE_TTL) {
-      console.log(`Cache for ${provider} expired (${Math.round(age / 3600000)}h old)`);
-      return null;
-    }
-    
-    return entry;
-  } catch (error) {
-    console.warn('Cache read failed:', error.message);
-    return null;
-  }
+  return merged.map(entry => ({
+    ...entry,
+    priceModes: entry.priceModes || GOOGLE_PRICE_MODES,
+    capabilities: entry.capabilities || GOOGLE_CAPABILITIES[entry.model]
+  }));
 }
 
 /**
- * Write to cache
+ * Registry definition for this provider
  */
-function writeCache(provider, data) {
-  try {
-    let cache = {};
-    if (existsSync(CACHE_FILE)) {
-      cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-    }
-    
-    cache[provider] = {
-      timestamp: Date.now(),
-      data,
-      source: 'ai.google.dev'
-    };
-    
-    writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
-    console.log(`Cached ${provider} pricing data`);
-  } catch (error) {
-    console.warn('Cache write failed:', error.message);
-  }
-}
+export const provider = {
+  id: 'google',
+  fetch: fetchGooglePricing,
+  sourceType: 'scraped',
+  capabilities: ['vision', 'long-context']
+};
 
 // Export default
-export default { fetchGooglePricing };
+export default { fetchGooglePricing, provider };
@@ -0,0 +1,219 @@
+/**
+ * Provider health
+ * Per-provider scraper health persisted across runs (data/provider-health.json)
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { CACHE_STATUS } from './cache.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_HEALTH_FILE = join(__dirname, '../../data/provider-health.json');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_ALERT_WEEKS = 3;
+
+/**
+ * Where a provider's prices came from in one run:
+ * - live:      fetched from the provider this run
+ * - cached:    served from the pricing cache
+ * - fallback:  secondary source (e.g. artificialanalysis.ai) after a failed fetch
+ * - hardcoded: only the built-in price table
+ * - failed:    no usable prices at all
+ */
+export const DATA_SOURCES = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  FALLBACK: 'fallback',
+  HARDCODED: 'hardcoded',
+  FAILED: 'failed'
+};
+
+function healthFilePath() {
+  return process.env.PROVIDER_HEALTH_PATH || DEFAULT_HEALTH_FILE;
+}
+
+/**
+ * Consecutive weeks on hardcoded prices before alerting
+ * @returns {number} PROVIDER_HEALTH_ALERT_WEEKS (default 3)
+ */
+export function getHardcodedAlertWeeks() {
+  const value = Number(process.env.PROVIDER_HEALTH_ALERT_WEEKS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_ALERT_WEEKS;
+}
+
+/**
+ * Classify one provider's outcome in a fetchAllPricing() run
+ * @param {Object} outcome - { records, provenance, error }
+ * @returns {string} One of DATA_SOURCES
+ */
+export function classifyDataSource({ records = [], provenance = null, error = null }) {
+  if (error || records.length === 0) return DATA_SOURCES.FAILED;
+  // Providers top live results up with hardcoded entries, so only an all-hardcoded set counts
+  if (records.every(record => record.source === 'hardcoded')) return DATA_SOURCES.HARDCODED;
+  if (provenance?.status === CACHE_STATUS.FALLBACK) return DATA_SOURCES.FALLBACK;
+  if (provenance?.status === CACHE_STATUS.CACHED) return DATA_SOURCES.CACHED;
+  return DATA_SOURCES.LIVE;
+}
+
+/**
+ * Read the persisted health record
+ * @returns {{updatedAt: string|null, providers: Object}} Entries keyed by provider
+ */
+export function readProviderHealth() {
+  const path = healthFilePath();
+  try {
+    if (!existsSync(path)) return { updatedAt: null, providers: {} };
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return { updatedAt: raw.updatedAt || null, providers: raw.providers || {} };
+  } catch (error) {
+    console.warn('Provider health read failed:', error.message);
+    return { updatedAt: null, providers: {} };
+  }
+}
+
+function writeProviderHealth(health) {
+  const path = healthFilePath();
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(health, null, 2));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Weeks a provider has been on hardcoded prices, counting the week the streak started
+ * @param {Object} entry - Health entry
+ * @param {Date} now - Reference time
+ * @returns {number} 0 when the provider is not on hardcoded prices
+ */
+export function hardcodedWeeks(entry, now = new Date()) {
+  if (!entry?.hardcodedSince) return 0;
+  const since = Date.parse(entry.hardcodedSince);
+  if (!Number.isFinite(since)) return 0;
+  return Math.floor((now.getTime() - since) / WEEK_MS) + 1;
+}
+
+/**
+ * Fold one run's outcomes into a health entry
+ * @param {Object|undefined} previous - Entry from the last run
+ * @param {Object} outcome - { provider, dataSource, error, fetchedAt }
+ * @param {Date} now - Run time
+ * @returns {Object} { provider, dataSource, lastRunAt, lastSuccessAt, lastFailureAt,
+ *   consecutiveFailures, lastError, usedFallback, usedHardcoded, hardcodedSince, alertedAt }
+ */
+export function updateHealthEntry(previous, outcome, now = new Date()) {
+  const runAt = now.toISOString();
+  const entry = {
+    provider: outcome.provider,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    consecutiveFailures: 0,
+    lastError: null,
+    hardcodedSince: null,
+    alertedAt: null,
+    ...previous,
+    dataSource: outcome.dataSource,
+    lastRunAt: runAt,
+    usedFallback: outcome.dataSource === DATA_SOURCES.FALLBACK,
+    usedHardcoded: outcome.dataSource === DATA_SOURCES.HARDCODED
+  };
+
+  if (outcome.dataSource === DATA_SOURCES.LIVE) {
+    entry.lastSuccessAt = runAt;
+    entry.consecutiveFailures = 0;
+  } else if (outcome.dataSource === DATA_SOURCES.CACHED) {
+    // The cached copy was a success when it was fetched
+    if (outcome.fetchedAt && (!entry.lastSuccessAt || outcome.fetchedAt > entry.lastSuccessAt)) {
+      entry.lastSuccessAt = outcome.fetchedAt;
+    }
+  } else {
+    entry.lastFailureAt = runAt;
+    entry.consecutiveFailures += 1;
+    if (outcome.error) entry.lastError = outcome.error;
+  }
+
+  if (outcome.dataSource === DATA_SOURCES.HARDCODED) {
+    entry.hardcodedSince = entry.hardcodedSince || runAt;
+  } else if (outcome.dataSource !== DATA_SOURCES.FAILED) {
+    // Any real price data ends the streak; a run with no data at all does not
+    entry.hardcodedSince = null;
+    entry.alertedAt = null;
+  }
+
+  return entry;
+}
+
+/**
+ * Persist this run's provider outcomes
+ * @param {Array<Object>} outcomes - getProviderRunOutcomes() from fetchAllPricing()
+ * @param {Object} options - { now }
+ * @returns {{providers: Array<Object>, alerts: Array<Object>, alertWeeks: number}}
+ *   providers carry `hardcodedWeeks`; alerts lists providers that crossed the hardcoded threshold and have not been alerted yet
+ */
+export function recordProviderHealth(outcomes, options = {}) {
+  const now = options.now || new Date();
+  const alertWeeks = getHardcodedAlertWeeks();
+  const health = readProviderHealth();
+
+  for (const outcome of outcomes) {
+    health.providers[outcome.provider] = updateHealthEntry(health.providers[outcome.provider], outcome, now);
+  }
+  health.updatedAt = now.toISOString();
+
+  try {
+    writeProviderHealth(health);
+  } catch (error) {
+    console.warn('Provider health write failed:', error.message);
+  }
+
+  const providers = outcomes.map(({ provider }) => ({
+    ...health.providers[provider],
+    hardcodedWeeks: hardcodedWeeks(health.providers[provider], now)
+  }));
+  const alerts = providers.filter(entry => entry.hardcodedWeeks >= alertWeeks && !entry.alertedAt);
+
+  return { providers, alerts, alertWeeks };
+}
+
+/**
+ * Note that the hardcoded-price alert went out, so it is raised once per streak
+ * @param {Array<string>} providerIds - Providers that were alerted
+ * @param {Object} options - { now }
+ */
+export function markHealthAlertsSent(providerIds, options = {}) {
+  if (providerIds.length === 0) return;
+  const health = readProviderHealth();
+  const alertedAt = (options.now || new Date()).toISOString();
+  for (const provider of providerIds) {
+    if (health.providers[provider]) health.providers[provider].alertedAt = alertedAt;
+  }
+  try {
+    writeProviderHealth(health);
+  } catch (error) {
+    console.warn('Provider health write failed:', error.message);
+  }
+}
+
+/**
+ * One-line alert text for a provider stuck on hardcoded prices
+ * @param {Object} entry - Provider entry from recordProviderHealth()
+ * @returns {string} e.g. 'anthropic: hardcoded prices for 3 weeks (since 2026-09-28); last error: HTTP 403'
+ */
+export function describeHealthAlert(entry) {
+  const since = entry.hardcodedSince ? entry.hardcodedSince.slice(0, 10) : 'unknown';
+  const error = entry.lastError ? `; last error: ${entry.lastError}` : '';
+  return `${entry.provider}: hardcoded prices for ${entry.hardcodedWeeks} week(s) (since ${since})${error}`;
+}
+
+export default {
+  DATA_SOURCES,
+  getHardcodedAlertWeeks,
+  classifyDataSource,
+  readProviderHealth,
+  hardcodedWeeks,
+  updateHealthEntry,
+  recordProviderHealth,
+  markHealthAlertsSent,
+  describeHealthAlert
+};
@@ -0,0 +1,220 @@
+/**
+ * Price history ledger
+ * Append-only JSONL record of every model's prices per run (data/price-history.jsonl)
+ */
+
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_HISTORY_FILE = join(__dirname, '../../data/price-history.jsonl');
+
+/**
+ * Price fields tracked per model. Only fields a provider reports are stored.
+ */
+export const TRACKED_PRICE_FIELDS = [
+  'inputPerM',
+  'outputPerM',
+  'cacheReadPerM',
+  'cacheWritePerM'
+];
+
+const DEFAULT_SIGNIFICANT_CHANGE_PCT = 10;
+
+function historyFilePath() {
+  return process.env.PRICE_HISTORY_PATH || DEFAULT_HISTORY_FILE;
+}
+
+/**
+ * Minimum relative move (in %) that counts as a significant price change
+ * @returns {number} Threshold from PRICE_CHANGE_THRESHOLD_PCT (default 10)
+ */
+export function getSignificantChangeThreshold() {
+  const value = Number(process.env.PRICE_CHANGE_THRESHOLD_PCT);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SIGNIFICANT_CHANGE_PCT;
+}
+
+/**
+ * Flatten provider pricing into ledger rows
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @returns {Array<Object>} { provider, model, source?, currency? (non-USD), region? (non-global), ...tracked prices }
+ */
+export function buildPriceSnapshot(pricingByProvider) {
+  const rows = [];
+  for (const [provider, models] of Object.entries(pricingByProvider || {})) {
+    if (!Array.isArray(models)) continue;
+    for (const entry of models) {
+      if (!entry || !entry.model) continue;
+      const row = { provider, model: entry.model };
+      for (const field of TRACKED_PRICE_FIELDS) {
+        if (Number.isFinite(entry[field])) row[field] = entry[field];
+      }
+      if (entry.source) row.source = entry.source;
+      if (entry.currency && entry.currency !== 'USD') row.currency = entry.currency;
+      if (entry.region && entry.region !== 'global') row.region = entry.region;
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Read every recorded run, oldest first. Unparseable lines are skipped.
+ * @returns {Array<Object>} [{ runAt, prices: [...] }]
+ */
+export function readPriceHistory() {
+  const path = historyFilePath();
+  if (!existsSync(path)) return [];
+
+  const runs = [];
+  for (const line of readFileSync(path, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const run = JSON.parse(line);
+      if (run && Array.isArray(run.prices)) runs.push(run);
+    } catch {
+      console.warn('Skipping unreadable price history line');
+    }
+  }
+  return runs;
+}
+
+/**
+ * @returns {Object|null} Most recent recorded run
+ */
+export function getLastPriceRun() {
+  const runs = readPriceHistory();
+  return runs.length > 0 ? runs[runs.length - 1] : null;
+}
+
+/**
+ * Append a run to the ledger
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @param {Object} options - { runAt: ISO timestamp (default now) }
+ * @returns {Object} Recorded run
+ */
+export function appendPriceHistory(pricingByProvider, options = {}) {
+  const run = {
+    runAt: options.runAt || new Date().toISOString(),
+    prices: buildPriceSnapshot(pricingByProvider)
+  };
+
+  const path = historyFilePath();
+  mkdirSync(dirname(path), { recursive: true });
+  appendFileSync(path, `${JSON.stringify(run)}\n`);
+  return run;
+}
+
+function priceKey(row) {
+  return `${row.provider}::${row.model}::${row.region || 'global'}`;
+}
+
+/**
+ * Compare two ledger runs
+ * @param {Object|null} previousRun - Earlier run (null when there is no history)
+ * @param {Object} currentRun - Later run
+ * @param {Object} options - { thresholdPct: significant move threshold }
+ * @returns {Object} { previousRunAt, currentRunAt, changes, added, removed, significant }
+ */
+export function diffPriceRuns(previousRun, currentRun, options = {}) {
+  const thresholdPct = options.thresholdPct ?? getSignificantChangeThreshold();
+  const result = {
+    previousRunAt: previousRun?.runAt || null,
+    currentRunAt: currentRun.runAt,
+    changes: [],
+    added: [],
+    removed: [],
+    significant: []
+  };
+  if (!previousRun) return result;
+
+  const before = new Map(previousRun.prices.map(row => [priceKey(row), row]));
+  const after = new Map(currentRun.prices.map(row => [priceKey(row), row]));
+
+  for (const [key, row] of after) {
+    const old = before.get(key);
+    if (!old) {
+      result.added.push({ provider: row.provider, model: row.model });
+      continue;
+    }
+
+    for (const field of TRACKED_PRICE_FIELDS) {
+      if (!Number.isFinite(old[field]) || !Number.isFinite(row[field])) continue;
+      if (old[field] === row[field]) continue;
+
+      const changePct = old[field] > 0 ? ((row[field] - old[field]) / old[field]) * 100 : null;
+      const change = {
+        provider: row.provider,
+        model: row.model,
+        field,
+        before: old[field],
+        after: row[field],
+        changePct,
+        currency: row.currency || 'USD',
+        region: row.region || 'global',
+        source: row.source || null
+      };
+      result.changes.push(change);
+      if (changePct === null || Math.abs(changePct) >= thresholdPct) {
+        result.significant.push(change);
+      }
+    }
+  }
+
+  for (const [key, row] of before) {
+    if (!after.has(key)) result.removed.push({ provider: row.provider, model: row.model });
+  }
+
+  const byMagnitude = (a, b) => Math.abs(b.changePct ?? Infinity) - Math.abs(a.changePct ?? Infinity);
+  result.changes.sort(byMagnitude);
+  result.significant.sort(byMagnitude);
+  return result;
+}
+
+/**
+ * One-line description of a price change
+ * @param {Object} change - Entry from diffPriceRuns().changes
+ * @returns {string} e.g. "openai/gpt-4o outputPerM $10.000 → $8.000 (-20.0%)"
+ */
+export function describePriceChange(change) {
+  const pct = change.changePct === null
+    ? 'new charge'
+    : `${change.changePct > 0 ? '+' : ''}${change.changePct.toFixed(1)}%`;
+  const unit = change.currency && change.currency !== 'USD' ? `${change.currency} ` : '$';
+  return `${change.model} ${change.field} ${unit}${change.before.toFixed(3)} → ${unit}${change.after.toFixed(3)} (${pct})`;
+}
+
+/**
+ * Price deltas between the last recorded run and the given pricing, without recording anything
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @returns {Object} diffPriceRuns() result
+ */
+export function getPriceChangesSinceLastRun(pricingByProvider) {
+  const current = { runAt: new Date().toISOString(), prices: buildPriceSnapshot(pricingByProvider) };
+  return diffPriceRuns(getLastPriceRun(), current);
+}
+
+/**
+ * Record this run in the ledger and return the deltas since the previous run
+ * @param {Object} pricingByProvider - fetchAllPricing() result
+ * @returns {Object} diffPriceRuns() result
+ */
+export function recordPriceRun(pricingByProvider) {
+  const previous = getLastPriceRun();
+  const current = appendPriceHistory(pricingByProvider);
+  return diffPriceRuns(previous, current);
+}
+
+export default {
+  TRACKED_PRICE_FIELDS,
+  buildPriceSnapshot,
+  readPriceHistory,
+  getLastPriceRun,
+  appendPriceHistory,
+  diffPriceRuns,
+  getPriceChangesSinceLastRun,
+  recordPriceRun,
+  describePriceChange,
+  getSignificantChangeThreshold
+};
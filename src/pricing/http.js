@@ -0,0 +1,268 @@
+/**
+ * HTTP layer for pricing modules
+ * Every scraper fetches through httpFetch(), which adds per-request timeouts, retries
+ * with backoff on 429/5xx and a global concurrency limit. Tests swap the transport for
+ * recorded responses (tests/fixtures/http/); scripts/record-http-fixtures.js captures new ones.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Use dynamic import for node-fetch (ESM compatibility)
+let defaultTransport;
+try {
+  defaultTransport = (await import('node-fetch')).default;
+} catch {
+  // Fallback to global fetch if available
+  defaultTransport = globalThis.fetch || (() => {
+    throw new Error('Fetch not available. Install node-fetch or use web_fetch tool.');
+  });
+}
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+/**
+ * Default location of recorded responses
+ */
+export const HTTP_FIXTURES_DIR = join(__dirname, '../../tests/fixtures/http');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 500;
+const DEFAULT_CONCURRENCY = 4;
+// Longer Retry-After waits would outlast the per-scraper budget (PRICING_SCRAPER_TIMEOUT_MS)
+const MAX_RETRY_DELAY_MS = 10000;
+
+let transport = defaultTransport;
+let active = 0;
+const waiting = [];
+
+function envNumber(name, fallback, min = 0) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+/**
+ * HTTP client settings, read from the environment on every request
+ * @returns {{timeoutMs: number, retries: number, backoffMs: number, concurrency: number}}
+ *   PRICING_HTTP_TIMEOUT_MS (15000), PRICING_HTTP_RETRIES (2),
+ *   PRICING_HTTP_BACKOFF_MS (500), PRICING_HTTP_CONCURRENCY (4)
+ */
+export function getHttpSettings() {
+  return {
+    timeoutMs: envNumber('PRICING_HTTP_TIMEOUT_MS', DEFAULT_TIMEOUT_MS, 1),
+    retries: Math.floor(envNumber('PRICING_HTTP_RETRIES', DEFAULT_RETRIES)),
+    backoffMs: envNumber('PRICING_HTTP_BACKOFF_MS', DEFAULT_BACKOFF_MS),
+    concurrency: Math.floor(envNumber('PRICING_HTTP_CONCURRENCY', DEFAULT_CONCURRENCY, 1))
+  };
+}
+
+async function acquireSlot(limit) {
+  if (active < limit) {
+    active += 1;
+    return;
+  }
+  // The releasing request hands its slot straight to the next waiter
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else active -= 1;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a response status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 429 and 5xx
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Delay requested by a Retry-After header
+ * @param {string|null} value - Header value: seconds or an HTTP date
+ * @param {number} now - Reference time (ms)
+ * @returns {number|null} Milliseconds to wait, or null when absent/unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+async function requestOnce(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await transport(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Request to ${url} timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch through the active transport (node-fetch/global fetch unless replaced)
+ * Each attempt is aborted after `timeoutMs`. 429 and 5xx responses are retried with
+ * exponential backoff, or after the server's Retry-After delay when it sends one; the
+ * last response is returned once retries run out. At most `concurrency` requests run at once
+ * across all pricing modules.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options plus { timeoutMs, retries }
+ * @returns {Promise<Object>} fetch()-style response
+ */
+export async function httpFetch(url, options = {}) {
+  const settings = getHttpSettings();
+  const { timeoutMs = settings.timeoutMs, retries = settings.retries, ...fetchOptions } = options;
+
+  for (let attempt = 0; ; attempt += 1) {
+    await acquireSlot(settings.concurrency);
+    let response;
+    try {
+      response = await requestOnce(url, fetchOptions, timeoutMs);
+    } finally {
+      releaseSlot();
+    }
+
+    if (!isRetryableStatus(response.status) || attempt >= retries) return response;
+
+    const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    if (retryAfter !== null && retryAfter > MAX_RETRY_DELAY_MS) return response;
+    const delay = retryAfter ?? settings.backoffMs * (2 ** attempt);
+    console.warn(`HTTP ${response.status} from ${url}; retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Replace the transport used by every pricing module
+ * @param {Function} fn - (url, options) => Promise<response>
+ */
+export function setHttpTransport(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('HTTP transport must be a function');
+  }
+  transport = fn;
+}
+
+/**
+ * Restore the network transport
+ */
+export function resetHttpTransport() {
+  transport = defaultTransport;
+}
+
+/**
+ * Fixture file name for a request, e.g. GET https://www.anthropic.com/pricing → www.anthropic.com-pricing.json
+ * Query strings are left out, so API keys in URLs never reach a file name.
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @returns {string} File name
+ */
+export function fixtureName(url, method = 'GET') {
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`
+    .replace(/[^a-zA-Z0-9.]+/g, '-')
+    .replace(/-+$/, '');
+  return `${method.toUpperCase() === 'GET' ? '' : `${method.toLowerCase()}-`}${slug}.json`;
+}
+
+/**
+ * Build a fetch()-style response from a recorded one
+ * @param {Object} recorded - { status, statusText, headers, body }
+ * @returns {Object} Response with ok, status, statusText, headers.get(), text(), json()
+ */
+export function createResponse(recorded) {
+  const status = recorded.status ?? 200;
+  const headers = Object.fromEntries(
+    Object.entries(recorded.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)])
+  );
+  const body = recorded.body ?? '';
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: recorded.statusText || '',
+    headers: { get: name => headers[String(name).toLowerCase()] ?? null },
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+/**
+ * Transport that answers from recorded responses only
+ * Requests without a fixture fail like a network error, so tests never reach the network.
+ * @param {string} dir - Fixture directory (default: tests/fixtures/http)
+ * @returns {Function} Transport with a `calls` array of requested URLs
+ */
+export function createReplayTransport(dir = HTTP_FIXTURES_DIR) {
+  const calls = [];
+  const replay = async (url, options = {}) => {
+    const method = options.method || 'GET';
+    calls.push(url);
+    const path = join(dir, fixtureName(url, method));
+    if (!existsSync(path)) {
+      throw new Error(`No recorded response for ${method} ${url} (expected ${path})`);
+    }
+    return createResponse(JSON.parse(readFileSync(path, 'utf8')).response);
+  };
+  replay.calls = calls;
+  return replay;
+}
+
+/**
+ * Transport that performs real requests and saves each response as a fixture
+ * Request headers are not saved (they may carry API keys).
+ * @param {string} dir - Fixture directory (default: tests/fixtures/http)
+ * @param {Function} inner - Transport that does the request (default: network)
+ * @returns {Function} Transport
+ */
+export function createRecordingTransport(dir = HTTP_FIXTURES_DIR, inner = defaultTransport) {
+  return async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const response = await inner(url, options);
+    const recorded = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { 'content-type': response.headers?.get?.('content-type') || '' },
+      body: await response.text()
+    };
+
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, fixtureName(url, method));
+    writeFileSync(path, `${JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      request: { method, url },
+      response: recorded
+    }, null, 2)}\n`);
+    console.log(`Recorded ${method} ${url} → ${path}`);
+    return createResponse(recorded);
+  };
+}
+
+export default {
+  HTTP_FIXTURES_DIR,
+  getHttpSettings,
+  isRetryableStatus,
+  parseRetryAfter,
+  httpFetch,
+  setHttpTransport,
+  resetHttpTransport,
+  fixtureName,
+  createResponse,
+  createReplayTransport,
+  createRecordingTransport
+};
@@ -2,14 +2,21 @@
  * Pricing module index
  * Exports all provider scrapers
  */
-import { fetchAnthropicPricing } from './anthropic.js';
-import { fetchGooglePricing } from './google.js';
-import { fetchDeepSeekPricing } from './deepseek.js';
-import { fetchMoonshotPricing } from './moonshot.js';
-import { fetchOpenAIPricing } from './openai.js';
-import { fetchAlibabaPricing } from './alibaba.js';
-import { fetchMetaPricing } from './meta.js';
-import { fetchMicrosoftPricing } from './microsoft.js';
+import { provider as anthropicProvider } from './anthropic.js';
+import { provider as googleProvider } from './google.js';
+import { provider as deepseekProvider } from './deepseek.js';
+import { provider as moonshotProvider } from './moonshot.js';
+import { provider as openaiProvider } from './openai.js';
+import { provider as alibabaProvider } from './alibaba.js';
+import { provider as metaProvider } from './meta.js';
+import { provider as microsoftProvider } from './microsoft.js';
+import { provider as openrouterProvider } from './openrouter.js';
+import { registerProvider, listProviders, loadExternalProviders } from './registry.js';
+import { getProvenance, recordProvenance, readCacheFile, CACHE_STATUS } from './cache.js';
+import { validateProviderPricing } from './schema.js';
+import { classifyDataSource } from './health.js';
+import { applyModelLifecycle, loadModelLifecycle } from './lifecycle.js';
+import { applyPriceOverrides, loadPriceOverrides } from './overrides.js';
 
 export { fetchAnthropicPricing } from './anthropic.js';
 export { fetchGooglePricing } from './google.js';
@@ -19,66 +26,300 @@ export { fetchOpenAIPricing } from './openai.js';
 export { fetchAlibabaPricing } from './alibaba.js';
 export { fetchMetaPricing } from './meta.js';
 export { fetchMicrosoftPricing } from './microsoft.js';
+export { fetchAggregatorPricing } from './openrouter.js';
+export {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  loadProviderModules,
+  loadProviderConfig
+} from './registry.js';
+export {
+  requestRefresh as requestPricingRefresh,
+  getProvenance as getPricingProvenance,
+  getAllProvenance as getAllPricingProvenance
+} from './cache.js';
+export { normalizePricingRecord, validateProviderPricing, BILLING_TYPES } from './schema.js';
+export { loadPriceOverrides, applyPriceOverrides } from './overrides.js';
+export { buildPricingSnapshot, formatSnapshotCsv, writePricingSnapshot } from './export.js';
+export {
+  recordPriceRun,
+  getPriceChangesSinceLastRun,
+  readPriceHistory,
+  describePriceChange
+} from './history.js';
+export {
+  recordProviderHealth,
+  readProviderHealth,
+  markHealthAlertsSent,
+  describeHealthAlert
+} from './health.js';
+
+const BUILTIN_PROVIDERS = [
+  anthropicProvider,
+  googleProvider,
+  deepseekProvider,
+  moonshotProvider,
+  openaiProvider,
+  alibabaProvider,
+  metaProvider,
+  microsoftProvider,
+  openrouterProvider
+];
+
+for (const definition of BUILTIN_PROVIDERS) {
+  registerProvider(definition);
+}
+
+let lastValidationReport = {};
+let lastRunOutcomes = [];
+let lastOverrideReport = { applied: [], skipped: [] };
+
+// Record sources an aggregator price is allowed to replace
+const REPLACEABLE_SOURCES = ['hardcoded', 'artificialanalysis'];
 
 const SCRAPER_TIMEOUT_MS = Number(process.env.PRICING_SCRAPER_TIMEOUT_MS || 20000);
 
+// Overall budget per scraper; individual requests are aborted and retried by httpFetch()
 function withTimeout(promise, provider, timeoutMs = SCRAPER_TIMEOUT_MS) {
+  let timer;
   return Promise.race([
     promise,
     new Promise((_, reject) => {
-      setTimeout(() => {
+      timer = setTimeout(() => {
         reject(new Error(`${provider} scraper timed out after ${timeoutMs}ms`));
       }, timeoutMs);
     })
-  ]);
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Merge aggregator records into per-provider results
+ * Aggregator prices replace static-table and fallback prices for the same model;
+ * live prices from a provider's own page win. Models a provider does not list are
+ * only added when PRICING_AGGREGATOR_INCLUDE_NEW=1.
+ * @param {Object} results - Per-provider pricing (mutated)
+ * @param {Array<Object>} records - Aggregator records tagged with `provider`
+ * @param {Object} options - { sourceTypes: provider id → sourceType, includeNewModels }
+ * @returns {Object} { replaced, added } counts
+ */
+export function mergeAggregatorPricing(results, records, options = {}) {
+  const { sourceTypes = {}, includeNewModels = process.env.PRICING_AGGREGATOR_INCLUDE_NEW === '1' } = options;
+  const counts = { replaced: 0, added: 0 };
+
+  for (const record of records) {
+    const bucket = results[record.provider];
+    if (!Array.isArray(bucket)) continue;
+
+    const entry = { ...record };
+    delete entry.provider;
+
+    // Aggregator prices are global USD prices; regional price lists are left alone
+    const index = bucket.findIndex(existing => existing.model === entry.model && (existing.region || 'global') === 'global');
+    if (index === -1) {
+      if (includeNewModels) {
+        bucket.push(entry);
+        counts.added += 1;
+      }
+      continue;
+    }
+
+    const existing = bucket[index];
+    if (sourceTypes[record.provider] === 'static' || REPLACEABLE_SOURCES.includes(existing.source)) {
+      bucket[index] = { ...existing, ...entry };
+      if (existing.capabilities && entry.capabilities) {
+        // Keep what the provider declared wherever the listing does not say
+        const known = Object.entries(entry.capabilities).filter(([, value]) => value !== null);
+        bucket[index].capabilities = { ...existing.capabilities, ...Object.fromEntries(known) };
+      }
+      counts.replaced += 1;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Merge aggregator records, then apply manual overrides and lifecycle metadata
+ * @param {Object} results - Per-provider pricing (mutated)
+ * @param {Array<Object>} aggregated - [{ provider, records }] from aggregator sources
+ * @param {Array<Object>} providers - Registered provider definitions
+ * @param {Object} options - { quiet: skip progress logging }
+ * @returns {{applied: Array<Object>, skipped: Array<Object>}} Override report
+ */
+function applyPricingLayers(results, aggregated, providers, options = {}) {
+  const log = options.quiet ? () => {} : console.log;
+  const sourceTypes = Object.fromEntries(providers.map(({ id, sourceType }) => [id, sourceType]));
+  for (const { provider, records } of aggregated) {
+    const { replaced, added } = mergeAggregatorPricing(results, records, { sourceTypes });
+    log(`Merged ${provider} aggregator pricing: ${replaced} price(s) updated, ${added} model(s) added`);
+  }
+
+  // Negotiated discounts and manual corrections win over every source
+  const overridden = applyPriceOverrides(results, loadPriceOverrides());
+  Object.assign(results, overridden.pricing);
+  for (const { target, reason } of overridden.skipped) {
+    console.warn(`Price override for ${target} skipped: ${reason}`);
+  }
+  if (overridden.applied.length > 0) {
+    log(`Applied manual price overrides to ${overridden.applied.length} model(s)`);
+  }
+
+  // Local lifecycle entries (deprecations, sunset dates) fill in what provider pages do not say
+  const lifecycleData = loadModelLifecycle();
+  for (const provider of Object.keys(results)) {
+    results[provider] = applyModelLifecycle(results[provider], lifecycleData);
+  }
+
+  return { applied: overridden.applied, skipped: overridden.skipped };
 }
 
 /**
  * Fetch all provider pricing
+ * Runs every registered provider (built-in plus any loaded from
+ * MODEL_OPTIMIZER_PROVIDERS_DIR / MODEL_OPTIMIZER_PROVIDERS_CONFIG)
+ * and validates each provider's output against the canonical schema.
+ * Aggregator sources are merged into the providers they cover rather than
+ * returned under their own key. Manual overrides from data/price-overrides.json
+ * then replace prices, and lifecycle metadata from data/model-lifecycle.json is applied last.
  * @returns {Promise<Object>} Object keyed by provider with pricing arrays
  */
 export async function fetchAllPricing() {
-  const providers = [
-    ['anthropic', fetchAnthropicPricing],
-    ['google', fetchGooglePricing],
-    ['deepseek', fetchDeepSeekPricing],
-    ['moonshot', fetchMoonshotPricing],
-    ['openai', fetchOpenAIPricing],
-    ['alibaba', fetchAlibabaPricing],
-    ['meta', fetchMetaPricing],
-    ['microsoft', fetchMicrosoftPricing]
-  ];
+  await loadExternalProviders();
+  const providers = listProviders();
 
   const settled = await Promise.allSettled(
-    providers.map(async ([provider, fetchFn]) => {
-      const data = await withTimeout(Promise.resolve(fetchFn()), provider);
-      return [provider, Array.isArray(data) ? data : []];
+    providers.map(async ({ id, fetch: fetchFn }) => {
+      const data = await withTimeout(Promise.resolve(fetchFn()), id);
+      return Array.isArray(data) ? data : [];
     })
   );
 
   const results = {};
+  const validation = {};
+  const outcomes = [];
+  const aggregated = [];
   for (let i = 0; i < settled.length; i += 1) {
-    const provider = providers[i][0];
+    const { id: provider, sourceType } = providers[i];
     const result = settled[i];
     if (result.status === 'fulfilled') {
-      results[provider] = result.value[1];
+      const { records, report } = validateProviderPricing(provider, result.value);
+      validation[provider] = report;
+      for (const rejected of report.rejected) {
+        console.warn(`Rejected ${provider} price for ${rejected.model}: ${rejected.errors.join('; ')}`);
+      }
+      // Providers that do not use the cache (static tables, external modules) count as live
+      if (!getProvenance(provider)) {
+        recordProvenance(provider, { status: CACHE_STATUS.LIVE });
+      }
+      const provenance = getProvenance(provider);
+      let error = provenance.error;
+      if (records.length === 0) {
+        error = report.rejected.length > 0
+          ? `all ${report.rejected.length} price record(s) rejected by validation`
+          : 'no prices returned';
+      }
+      outcomes.push({
+        provider,
+        dataSource: classifyDataSource({ records, provenance }),
+        error,
+        fetchedAt: provenance.fetchedAt
+      });
+      if (sourceType === 'aggregator') {
+        aggregated.push({ provider, records });
+      } else {
+        results[provider] = records;
+      }
     } else {
-      console.error(`Failed to fetch ${provider} pricing:`, result.reason?.message || String(result.reason));
-      results[provider] = [];
+      const error = result.reason?.message || String(result.reason);
+      console.error(`Failed to fetch ${provider} pricing:`, error);
+      outcomes.push({ provider, dataSource: classifyDataSource({ error }), error, fetchedAt: null });
+      if (sourceType !== 'aggregator') {
+        results[provider] = [];
+      }
     }
   }
 
+  const overridden = applyPricingLayers(results, aggregated, providers);
+
+  lastValidationReport = validation;
+  lastRunOutcomes = outcomes;
+  lastOverrideReport = overridden;
   return results;
 }
 
 /**
- * Get pricing for a specific model
- * @param {string} modelId - Full model identifier (e.g., 'claude-haiku-4-5-20251001')
- * @returns {Promise<Object|null>} Pricing object or null if not found
+ * Pricing from the cache file and static price tables, without any network access
+ * Cache entries are used whatever their age; scraped providers that have never been
+ * cached are listed in `missing`. Aggregator prices, overrides and lifecycle metadata
+ * are layered on exactly as in fetchAllPricing().
+ * @param {Object} options - { quiet: skip progress logging }
+ * @returns {Promise<{pricing: Object, provenance: Object, missing: string[]}>}
+ *   provenance: provider id → { status: 'cached' | 'static', fetchedAt, sourceUrl, cacheStatus }
  */
-export async function getModelPricing(modelId) {
-  const allPricing = await fetchAllPricing();
-  
+export async function loadCachedPricing(options = {}) {
+  await loadExternalProviders();
+  const providers = listProviders();
+  const { entries } = readCacheFile();
+
+  const pricing = {};
+  const provenance = {};
+  const missing = [];
+  const aggregated = [];
+  for (const { id: provider, sourceType, fetch: fetchFn } of providers) {
+    let data = null;
+    const entry = entries[provider];
+    if (entry) {
+      data = entry.data;
+      provenance[provider] = {
+        status: 'cached',
+        fetchedAt: entry.fetchedAt,
+        sourceUrl: entry.sourceUrl || null,
+        cacheStatus: entry.status
+      };
+    } else if (sourceType === 'static') {
+      data = await fetchFn();
+      provenance[provider] = { status: 'static', fetchedAt: null, sourceUrl: null, cacheStatus: null };
+    } else {
+      missing.push(provider);
+      continue;
+    }
+
+    const { records } = validateProviderPricing(provider, Array.isArray(data) ? data : []);
+    if (sourceType === 'aggregator') aggregated.push({ provider, records });
+    else pricing[provider] = records;
+  }
+
+  applyPricingLayers(pricing, aggregated, providers, options);
+  return { pricing, provenance, missing };
+}
+
+/**
+ * Manual price overrides applied by the last fetchAllPricing() call
+ * @returns {{applied: Array<Object>, skipped: Array<Object>}} See applyPriceOverrides()
+ */
+export function getPriceOverrideReport() {
+  return lastOverrideReport;
+}
+
+/**
+ * Per-provider outcome of the last fetchAllPricing() call, for recordProviderHealth()
+ * @returns {Array<Object>} [{ provider, dataSource, error, fetchedAt }]
+ */
+export function getProviderRunOutcomes() {
+  return lastRunOutcomes;
+}
+
+/**
+ * Per-provider schema validation report from the last fetchAllPricing() call
+ * @returns {Object} Keyed by provider: { provider, accepted, rejected: [{model, errors}], normalised: [{model, changes}] }
+ */
+export function getPricingValidationReport() {
+  return lastValidationReport;
+}
+
+function findModel(allPricing, modelId) {
   for (const provider in allPricing) {
     const prices = allPricing[provider];
     if (!prices) continue;
@@ -95,7 +336,25 @@ export async function getModelPricing(modelId) {
   return null;
 }
 
+/**
+ * Get pricing for a specific model
+ * Answers from cached and static prices when it can; only fetches every provider
+ * when the model is not found there.
+ * @param {string} modelId - Full model identifier (e.g., 'claude-haiku-4-5-20251001')
+ * @returns {Promise<Object|null>} Pricing object or null if not found
+ */
+export async function getModelPricing(modelId) {
+  const { pricing } = await loadCachedPricing({ quiet: true });
+  return findModel(pricing, modelId) || findModel(await fetchAllPricing(), modelId);
+}
+
 export default {
   fetchAllPricing,
-  getModelPricing
+  loadCachedPricing,
+  getModelPricing,
+  getPricingValidationReport,
+  getProviderRunOutcomes,
+  getPriceOverrideReport,
+  registerProvider,
+  listProviders
 };
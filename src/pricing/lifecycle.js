@@ -0,0 +1,142 @@
+/**
+ * Model lifecycle metadata
+ * Preview / GA / deprecated status and sunset dates, from provider records and data/model-lifecycle.json
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_LIFECYCLE_FILE = join(__dirname, '../../data/model-lifecycle.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SUNSET_WINDOW_DAYS = 90;
+
+/**
+ * - preview:    pre-release; may change or disappear without the usual notice
+ * - ga:         generally available
+ * - deprecated: announced for retirement (usually with a sunsetDate)
+ */
+export const LIFECYCLE_STATUSES = ['preview', 'ga', 'deprecated'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PREVIEW_ID = /-(preview|exp|experimental)(-|$)/;
+
+function lifecycleFilePath() {
+  return process.env.MODEL_OPTIMIZER_LIFECYCLE || DEFAULT_LIFECYCLE_FILE;
+}
+
+/**
+ * Days before a sunset date from which a model is no longer recommended
+ * @returns {number} MODEL_OPTIMIZER_SUNSET_WINDOW_DAYS (default 90)
+ */
+export function getSunsetWindowDays() {
+  const value = Number(process.env.MODEL_OPTIMIZER_SUNSET_WINDOW_DAYS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SUNSET_WINDOW_DAYS;
+}
+
+/**
+ * Load the local lifecycle file
+ * @param {string} path - JSON file (default: data/model-lifecycle.json or MODEL_OPTIMIZER_LIFECYCLE)
+ * @returns {{asOf: string|null, models: Object}} Entries keyed by model id
+ */
+export function loadModelLifecycle(path = lifecycleFilePath()) {
+  try {
+    if (!existsSync(path)) return { asOf: null, models: {} };
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return { asOf: raw.asOf || null, models: raw.models || {} };
+  } catch (error) {
+    console.warn(`Failed to load model lifecycle from ${path}:`, error.message);
+    return { asOf: null, models: {} };
+  }
+}
+
+/**
+ * Validate a lifecycle block
+ * Models whose id marks them as a preview/experimental release default to `preview`.
+ * @param {Object|undefined} lifecycle - { status, deprecatedAt?, sunsetDate?, replacement? }
+ * @param {string} modelId - Model id, used to infer preview status
+ * @returns {{lifecycle: Object|null, errors: string[]}} null when nothing is known
+ */
+export function normalizeLifecycle(lifecycle, modelId = '') {
+  const errors = [];
+  const declared = lifecycle && typeof lifecycle === 'object' ? lifecycle : {};
+  const result = {};
+
+  if (declared.status !== undefined) {
+    const status = String(declared.status).toLowerCase();
+    if (LIFECYCLE_STATUSES.includes(status)) result.status = status;
+    else errors.push(`unknown lifecycle status "${declared.status}"`);
+  }
+  if (!result.status && PREVIEW_ID.test(modelId)) result.status = 'preview';
+
+  for (const field of ['deprecatedAt', 'sunsetDate']) {
+    if (declared[field] === undefined || declared[field] === null) continue;
+    if (ISO_DATE.test(String(declared[field])) && Number.isFinite(Date.parse(declared[field]))) {
+      result[field] = String(declared[field]);
+    } else {
+      errors.push(`lifecycle ${field} must be YYYY-MM-DD (got ${declared[field]})`);
+    }
+  }
+  // A sunset date implies deprecation even if the source did not say so
+  if (result.sunsetDate && !result.status) result.status = 'deprecated';
+
+  if (typeof declared.replacement === 'string' && declared.replacement.trim()) {
+    result.replacement = declared.replacement.trim();
+  }
+
+  return { lifecycle: Object.keys(result).length > 0 ? result : null, errors };
+}
+
+/**
+ * Overlay the local lifecycle file on provider records (file entries win field by field)
+ * @param {Array<Object>} models - Normalised pricing records
+ * @param {Object} lifecycleData - loadModelLifecycle() result
+ * @returns {Array<Object>} Records with `lifecycle` where anything is known
+ */
+export function applyModelLifecycle(models, lifecycleData = loadModelLifecycle()) {
+  return models.map(model => {
+    const local = lifecycleData.models[model.model];
+    if (!local) return model;
+
+    const { lifecycle, errors } = normalizeLifecycle({ ...model.lifecycle, ...local }, model.model);
+    for (const error of errors) console.warn(`Lifecycle entry for ${model.model}: ${error}`);
+    return lifecycle ? { ...model, lifecycle } : model;
+  });
+}
+
+/**
+ * Days until a model's sunset date
+ * @param {Object} model - Record with `lifecycle`
+ * @param {Date} now - Reference time
+ * @returns {number|null} Negative once retired; null without a sunset date
+ */
+export function daysUntilSunset(model, now = new Date()) {
+  const sunsetDate = model.lifecycle?.sunsetDate;
+  if (!sunsetDate) return null;
+  return Math.ceil((Date.parse(`${sunsetDate}T00:00:00Z`) - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Whether a model is deprecated or within the sunset window
+ * @param {Object} model - Record with `lifecycle`
+ * @param {Object} options - { now, windowDays }
+ * @returns {boolean} True if the model should not be recommended
+ */
+export function isSunsetting(model, options = {}) {
+  const { now = new Date(), windowDays = getSunsetWindowDays() } = options;
+  if (model.lifecycle?.status === 'deprecated') return true;
+  const days = daysUntilSunset(model, now);
+  return days !== null && days <= windowDays;
+}
+
+export default {
+  LIFECYCLE_STATUSES,
+  getSunsetWindowDays,
+  loadModelLifecycle,
+  normalizeLifecycle,
+  applyModelLifecycle,
+  daysUntilSunset,
+  isSunsetting
+};
@@ -3,7 +3,15 @@
  */
 
 /**
- * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, computeCost?: boolean}>>}
+ * Model capabilities (see capabilities.js)
+ */
+const MODEL_CAPABILITIES = {
+  'meta/llama-3.3-70b': { toolUse: true, structuredOutput: false, reasoning: false, audio: false, maxOutputTokens: 8192 },
+  'meta/llama-3.3-8b': { toolUse: true, structuredOutput: false, reasoning: false, audio: false, maxOutputTokens: 8192 }
+};
+
+/**
+ * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, computeCost?: boolean, capabilities: Object}>>}
  */
 export async function fetchMetaPricing() {
   return [
@@ -23,9 +31,20 @@ export async function fetchMetaPricing() {
       cache: false,
       computeCost: true
     }
-  ];
+  ].map(entry => ({ ...entry, capabilities: MODEL_CAPABILITIES[entry.model] }));
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'meta',
+  fetch: fetchMetaPricing,
+  sourceType: 'static',
+  capabilities: ['self-hosted']
+};
+
 export default {
-  fetchMetaPricing
+  fetchMetaPricing,
+  provider
 };
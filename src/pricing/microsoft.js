@@ -3,7 +3,14 @@
  */
 
 /**
- * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, free?: boolean}>>}
+ * Model capabilities (see capabilities.js)
+ */
+const MODEL_CAPABILITIES = {
+  'microsoft/phi-4-mini': { toolUse: true, structuredOutput: false, reasoning: false, audio: false }
+};
+
+/**
+ * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, free?: boolean, capabilities: Object}>>}
  */
 export async function fetchMicrosoftPricing() {
   return [
@@ -15,9 +22,20 @@ export async function fetchMicrosoftPricing() {
       cache: false,
       free: true
     }
-  ];
+  ].map(entry => ({ ...entry, capabilities: MODEL_CAPABILITIES[entry.model] }));
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'microsoft',
+  fetch: fetchMicrosoftPricing,
+  sourceType: 'static',
+  capabilities: ['free-tier']
+};
+
 export default {
-  fetchMicrosoftPricing
+  fetchMicrosoftPricing,
+  provider
 };
@@ -0,0 +1,127 @@
+/**
+ * Alternative price modes
+ * Batch APIs, off-peak windows and priority tiers priced relative to a record's standard rates
+ */
+
+/**
+ * Supported modes. `standard` is the record's own inputPerM/outputPerM.
+ * - batch:    asynchronous batch API (results within hours)
+ * - off-peak: discounted time windows (requests must be scheduled into the window)
+ * - priority: premium tier with faster or guaranteed capacity
+ */
+export const PRICE_MODES = ['standard', 'batch', 'off-peak', 'priority'];
+
+/**
+ * Modes a latency-tolerant task may be deferred into
+ */
+export const DEFERRABLE_PRICE_MODES = ['batch', 'off-peak'];
+
+const MODE_PRICE_FIELDS = ['inputPerM', 'outputPerM', 'cacheReadPerM', 'cacheWritePerM'];
+const WINDOW_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a record's `priceModes` block
+ *
+ * Shape: { batch?: Mode, 'off-peak'?: Mode, priority?: Mode } where Mode is either
+ * absolute prices ({ inputPerM, outputPerM, cacheReadPerM?, cacheWritePerM? }) or relative
+ * ({ discountPct } / { premiumPct }), plus for off-peak `windows: [{ start, end, timezone }]`.
+ *
+ * @param {Object} priceModes - Raw block from a provider record
+ * @returns {{priceModes: Object, errors: string[]}} Valid modes only
+ */
+export function validatePriceModes(priceModes) {
+  const errors = [];
+  const valid = {};
+
+  if (priceModes === undefined || priceModes === null) return { priceModes: valid, errors };
+  if (typeof priceModes !== 'object' || Array.isArray(priceModes)) {
+    return { priceModes: valid, errors: ['priceModes must be an object keyed by mode'] };
+  }
+
+  for (const [mode, definition] of Object.entries(priceModes)) {
+    if (mode === 'standard' || !PRICE_MODES.includes(mode)) {
+      errors.push(`unknown price mode "${mode}"`);
+      continue;
+    }
+    if (!definition || typeof definition !== 'object') {
+      errors.push(`price mode ${mode} must be an object`);
+      continue;
+    }
+
+    const hasAbsolute = isValidPrice(definition.inputPerM) && isValidPrice(definition.outputPerM);
+    const hasDiscount = Number.isFinite(definition.discountPct) && definition.discountPct >= 0 && definition.discountPct < 100;
+    const hasPremium = Number.isFinite(definition.premiumPct) && definition.premiumPct >= 0;
+    if (!hasAbsolute && !hasDiscount && !hasPremium) {
+      errors.push(`price mode ${mode} needs inputPerM/outputPerM, discountPct (0-100) or premiumPct`);
+      continue;
+    }
+
+    if (mode === 'off-peak') {
+      const windows = Array.isArray(definition.windows) ? definition.windows : [];
+      if (windows.length === 0 || windows.some(w => !WINDOW_TIME.test(w?.start) || !WINDOW_TIME.test(w?.end))) {
+        errors.push('price mode off-peak needs windows with HH:MM start and end');
+        continue;
+      }
+    }
+
+    valid[mode] = definition;
+  }
+
+  return { priceModes: valid, errors };
+}
+
+/**
+ * Price a record in a given mode
+ * @param {Object} record - Normalised pricing record
+ * @param {string} mode - One of PRICE_MODES
+ * @returns {Object|null} Record with the mode's prices applied (and `priceMode` set), or null if unsupported
+ */
+export function applyPriceMode(record, mode = 'standard') {
+  if (mode === 'standard') return { ...record, priceMode: 'standard' };
+
+  const definition = record.priceModes?.[mode];
+  if (!definition) return null;
+
+  const priced = { ...record, priceMode: mode };
+  if (isValidPrice(definition.inputPerM) && isValidPrice(definition.outputPerM)) {
+    for (const field of MODE_PRICE_FIELDS) {
+      if (isValidPrice(definition[field])) priced[field] = definition[field];
+    }
+    return priced;
+  }
+
+  const factor = Number.isFinite(definition.discountPct)
+    ? 1 - (definition.discountPct / 100)
+    : 1 + (definition.premiumPct / 100);
+  for (const field of MODE_PRICE_FIELDS) {
+    if (Number.isFinite(record[field])) priced[field] = record[field] * factor;
+  }
+  return priced;
+}
+
+/**
+ * Modes a task can use for a record
+ * @param {Object} record - Normalised pricing record
+ * @param {Object} options - { latencyTolerant: task accepts batch/off-peak turnaround }
+ * @returns {string[]} Always includes 'standard'
+ */
+export function availablePriceModes(record, options = {}) {
+  const modes = ['standard'];
+  if (!options.latencyTolerant) return modes;
+  for (const mode of DEFERRABLE_PRICE_MODES) {
+    if (record.priceModes?.[mode]) modes.push(mode);
+  }
+  return modes;
+}
+
+export default {
+  PRICE_MODES,
+  DEFERRABLE_PRICE_MODES,
+  validatePriceModes,
+  applyPriceMode,
+  availablePriceModes
+};
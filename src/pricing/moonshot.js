@@ -3,7 +3,16 @@
  */
 
 /**
- * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, cacheHitInputPerM?: number, cacheMissInputPerM?: number}>>}
+ * Model capabilities (see capabilities.js)
+ */
+const MODEL_CAPABILITIES = {
+  'moonshot/kimi-k2.5': { toolUse: true, structuredOutput: true, reasoning: true, audio: false },
+  'moonshot/kimi-k2': { toolUse: true, structuredOutput: true, reasoning: false, audio: false }
+};
+
+/**
+ * Global (USD) prices plus the platform.moonshot.cn price list, which is published in CNY.
+ * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, currency?: string, region?: string, contextWindow?: number, vision: boolean, cache: boolean, cacheHitInputPerM?: number, cacheMissInputPerM?: number, capabilities: Object}>>}
  */
 export async function fetchMoonshotPricing() {
   return [
@@ -24,10 +33,32 @@ export async function fetchMoonshotPricing() {
       cacheWritePerM: 0.60,
       cacheHitInputPerM: 0.15,
       cacheMissInputPerM: 0.60
+    },
+    {
+      model: 'moonshot/kimi-k2',
+      inputPerM: 4.00,
+      outputPerM: 16.00,
+      currency: 'CNY',
+      region: 'cn',
+      vision: true,
+      cache: true,
+      cacheHitInputPerM: 1.00,
+      cacheMissInputPerM: 4.00
     }
-  ];
+  ].map(entry => ({ ...entry, capabilities: MODEL_CAPABILITIES[entry.model] }));
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'moonshot',
+  fetch: fetchMoonshotPricing,
+  sourceType: 'static',
+  capabilities: ['vision', 'prompt-cache']
+};
+
 export default {
-  fetchMoonshotPricing
+  fetchMoonshotPricing,
+  provider
 };
@@ -3,7 +3,21 @@
  */
 
 /**
- * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean}>>}
+ * Batch API: asynchronous requests (results within 24h) at half the standard rates
+ */
+const BATCH_PRICE_MODES = { batch: { discountPct: 50 } };
+
+/**
+ * Model capabilities (see capabilities.js)
+ */
+const MODEL_CAPABILITIES = {
+  'openai/gpt-4.1': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 32768 },
+  'openai/gpt-4o': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 16384 },
+  'openai/gpt-4o-mini': { toolUse: true, structuredOutput: true, reasoning: false, audio: false, maxOutputTokens: 16384 }
+};
+
+/**
+ * @returns {Promise<Array<{model: string, inputPerM: number, outputPerM: number, contextWindow?: number, vision: boolean, cache: boolean, priceModes: Object, capabilities: Object}>>}
  */
 export async function fetchOpenAIPricing() {
   return [
@@ -28,9 +42,20 @@ export async function fetchOpenAIPricing() {
       vision: true,
       cache: true
     }
-  ];
+  ].map(entry => ({ ...entry, priceModes: BATCH_PRICE_MODES, capabilities: MODEL_CAPABILITIES[entry.model] }));
 }
 
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: 'openai',
+  fetch: fetchOpenAIPricing,
+  sourceType: 'static',
+  capabilities: ['vision', 'prompt-cache']
+};
+
 export default {
-  fetchOpenAIPricing
+  fetchOpenAIPricing,
+  provider
 };
@@ -0,0 +1,218 @@
+/**
+ * OpenRouter-style aggregator price source
+ * Reads an aggregator `/models` listing and maps it onto our provider/model ids.
+ * Bulk source: one listing prices models for every provider we route to.
+ */
+
+import { readFileSync } from 'fs';
+import { resolveAnthropicModelId } from './anthropic.js';
+import { resolveGoogleModelId } from './google.js';
+import { readCachedPricing, writeCachedPricing, recordProvenance, CACHE_STATUS } from './cache.js';
+import { httpFetch } from './http.js';
+
+export const DEFAULT_AGGREGATOR_URL = 'https://openrouter.ai/api/v1/models';
+export const AGGREGATOR_SOURCE = 'openrouter';
+
+/**
+ * Aggregator vendor prefixes mapped to our provider ids
+ */
+const VENDOR_PROVIDERS = {
+  'openai': 'openai',
+  'anthropic': 'anthropic',
+  'google': 'google',
+  'deepseek': 'deepseek',
+  'moonshotai': 'moonshot',
+  'qwen': 'alibaba',
+  'meta-llama': 'meta',
+  'microsoft': 'microsoft'
+};
+
+/**
+ * Listing ids whose names differ from ours beyond the generic rules
+ */
+const MODEL_ALIASES = {
+  'qwen/qwen-max': 'alibaba/qwen2.5-max',
+  'qwen/qwen-plus': 'alibaba/qwen2.5-plus'
+};
+
+/**
+ * Map an aggregator model id onto our provider and model id
+ * @param {string} id - Listing id (e.g., 'meta-llama/llama-3.3-70b-instruct')
+ * @returns {{provider: string, model: string}|null} Null for vendors we do not track and for
+ *   routing variants such as ':free' or ':beta'
+ */
+export function resolveAggregatorModelId(id) {
+  const listingId = String(id || '').trim().toLowerCase();
+  if (!listingId || listingId.includes(':')) return null;
+
+  const [vendor, ...rest] = listingId.split('/');
+  const provider = VENDOR_PROVIDERS[vendor];
+  const slug = rest.join('/');
+  if (!provider || !slug) return null;
+
+  if (MODEL_ALIASES[listingId]) {
+    return { provider, model: MODEL_ALIASES[listingId] };
+  }
+
+  let model;
+  if (provider === 'anthropic') {
+    model = resolveAnthropicModelId(slug);
+  } else if (provider === 'google') {
+    model = resolveGoogleModelId(slug);
+  } else {
+    const name = slug
+      .replace(/-instruct$/, '')
+      .replace(/^qwen-(\d)/, 'qwen$1');
+    model = `${provider}/${name}`;
+  }
+
+  return model ? { provider, model } : null;
+}
+
+function perTokenToPerM(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const perToken = Number(value);
+  // Negative prices mark routers whose price depends on the model picked at request time
+  if (!Number.isFinite(perToken) || perToken < 0) return null;
+  const perM = perToken * 1000000;
+  return Math.round(perM * 1000000) / 1000000;
+}
+
+/**
+ * Parse an aggregator `/models` listing
+ * @param {Object} listing - Parsed JSON ({ data: [...] })
+ * @returns {Array<Object>} Pricing records tagged with `provider` and `source: 'openrouter'`
+ */
+export function parseAggregatorListing(listing) {
+  const entries = Array.isArray(listing?.data) ? listing.data : Array.isArray(listing) ? listing : null;
+  if (!entries) {
+    throw new Error('Aggregator listing has no data array');
+  }
+
+  const records = new Map();
+  for (const entry of entries) {
+    const ids = resolveAggregatorModelId(entry?.id);
+    if (!ids) continue;
+
+    const pricing = entry.pricing || {};
+    const inputPerM = perTokenToPerM(pricing.prompt);
+    const outputPerM = perTokenToPerM(pricing.completion);
+    if (inputPerM === null || outputPerM === null) continue;
+
+    const architecture = entry.architecture || {};
+    const inputModalities = Array.isArray(architecture.input_modalities)
+      ? architecture.input_modalities
+      : String(architecture.modality || 'text->text').split('->')[0].split('+');
+    const outputModalities = Array.isArray(architecture.output_modalities)
+      ? architecture.output_modalities
+      : String(architecture.modality || 'text->text').split('->').pop().split('+');
+
+    const record = {
+      model: ids.model,
+      provider: ids.provider,
+      inputPerM,
+      outputPerM,
+      vision: inputModalities.includes('image'),
+      cache: false,
+      billing: inputPerM === 0 && outputPerM === 0 ? 'free' : 'api',
+      modalities: { input: inputModalities, output: outputModalities },
+      source: AGGREGATOR_SOURCE
+    };
+
+    // Request parameters the listing accepts for this model double as capability flags
+    if (Array.isArray(entry.supported_parameters)) {
+      const supported = entry.supported_parameters;
+      record.capabilities = {
+        toolUse: supported.includes('tools'),
+        structuredOutput: supported.includes('structured_outputs') || supported.includes('response_format'),
+        reasoning: supported.includes('reasoning') || supported.includes('include_reasoning'),
+        audio: inputModalities.includes('audio')
+      };
+    }
+
+    const contextWindow = entry.context_length || entry.top_provider?.context_length;
+    if (Number.isInteger(contextWindow) && contextWindow > 0) record.contextWindow = contextWindow;
+
+    const maxOutputTokens = entry.top_provider?.max_completion_tokens;
+    if (Number.isInteger(maxOutputTokens) && maxOutputTokens > 0) record.maxOutputTokens = maxOutputTokens;
+
+    const cacheReadPerM = perTokenToPerM(pricing.input_cache_read);
+    const cacheWritePerM = perTokenToPerM(pricing.input_cache_write);
+    if (cacheReadPerM !== null) {
+      record.cache = true;
+      record.cacheReadPerM = cacheReadPerM;
+      // Providers without a write premium bill uncached input at the normal rate
+      record.cacheWritePerM = cacheWritePerM ?? inputPerM;
+    }
+
+    // Several listing ids can map onto one of ours (e.g. dated snapshots); first wins
+    if (!records.has(record.model)) records.set(record.model, record);
+  }
+
+  return [...records.values()];
+}
+
+async function loadListing() {
+  const file = process.env.PRICING_AGGREGATOR_FILE;
+  if (file) {
+    console.log(`Reading aggregator model listing from ${file}`);
+    return { listing: JSON.parse(readFileSync(file, 'utf8')), sourceUrl: file };
+  }
+
+  const url = process.env.PRICING_AGGREGATOR_URL || DEFAULT_AGGREGATOR_URL;
+  console.log(`Fetching aggregator model listing from ${url}`);
+  const response = await httpFetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; ModelOptimizer/1.0)',
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return { listing: await response.json(), sourceUrl: url };
+}
+
+/**
+ * Fetch aggregator pricing for every tracked provider
+ * Input: PRICING_AGGREGATOR_FILE (local JSON, for offline runs/tests) or
+ * PRICING_AGGREGATOR_URL (default: OpenRouter's public listing)
+ * @returns {Promise<Array<Object>>} Records tagged with `provider`
+ */
+export async function fetchAggregatorPricing() {
+  if (!process.env.PRICING_AGGREGATOR_FILE) {
+    const cached = readCachedPricing(AGGREGATOR_SOURCE);
+    if (cached) {
+      console.log('Using cached aggregator pricing data');
+      return cached;
+    }
+  }
+
+  const { listing, sourceUrl } = await loadListing();
+  const records = parseAggregatorListing(listing);
+  console.log(`Aggregator listing: ${records.length} tracked model(s)`);
+
+  if (process.env.PRICING_AGGREGATOR_FILE) {
+    recordProvenance(AGGREGATOR_SOURCE, { status: CACHE_STATUS.LIVE, sourceUrl });
+  } else {
+    writeCachedPricing(AGGREGATOR_SOURCE, records, { sourceUrl });
+  }
+  return records;
+}
+
+/**
+ * Registry definition for this provider
+ */
+export const provider = {
+  id: AGGREGATOR_SOURCE,
+  fetch: fetchAggregatorPricing,
+  sourceType: 'aggregator',
+  capabilities: ['vision', 'prompt-cache', 'long-context', 'model-discovery']
+};
+
+export default {
+  fetchAggregatorPricing,
+  parseAggregatorListing,
+  resolveAggregatorModelId,
+  provider
+};
@@ -0,0 +1,170 @@
+/**
+ * Manual price overrides
+ * Negotiated discounts and corrections from data/price-overrides.json, applied on top of
+ * everything the providers return
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizePricingRecord } from './schema.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_OVERRIDES_FILE = join(__dirname, '../../data/price-overrides.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Keys that describe an override rather than a record field
+const OVERRIDE_KEYS = ['model', 'provider', 'region', 'expires', 'note', 'discountPct'];
+
+// Prices a provider-wide discount applies to
+const DISCOUNTED_FIELDS = ['inputPerM', 'outputPerM', 'cacheReadPerM', 'cacheWritePerM'];
+
+function overridesFilePath() {
+  return process.env.MODEL_OPTIMIZER_PRICE_OVERRIDES || DEFAULT_OVERRIDES_FILE;
+}
+
+/**
+ * Load the override file
+ * @param {string} path - JSON file (default: data/price-overrides.json or MODEL_OPTIMIZER_PRICE_OVERRIDES)
+ * @returns {{models: Array<Object>, providers: Array<Object>}}
+ *   models: { model, region?, expires?, note?, ...record fields };
+ *   providers: { provider, discountPct, expires?, note? }
+ */
+export function loadPriceOverrides(path = overridesFilePath()) {
+  try {
+    if (!existsSync(path)) return { models: [], providers: [] };
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    return {
+      models: Array.isArray(raw.models) ? raw.models : [],
+      providers: Array.isArray(raw.providers) ? raw.providers : []
+    };
+  } catch (error) {
+    console.warn(`Failed to load price overrides from ${path}:`, error.message);
+    return { models: [], providers: [] };
+  }
+}
+
+/**
+ * Whether an override has passed its expiry date (it applies through the end of that day, UTC)
+ * @param {Object} override - Entry with optional `expires` (YYYY-MM-DD)
+ * @param {Date} now - Reference time
+ * @returns {boolean} True once expired
+ */
+export function isOverrideExpired(override, now = new Date()) {
+  if (!override.expires) return false;
+  return now.getTime() >= Date.parse(`${override.expires}T00:00:00Z`) + DAY_MS;
+}
+
+function validateOverride(override, kind) {
+  const errors = [];
+  if (kind === 'model' && (typeof override.model !== 'string' || !override.model)) errors.push('missing model');
+  if (kind === 'provider') {
+    if (typeof override.provider !== 'string' || !override.provider) errors.push('missing provider');
+    const pct = override.discountPct;
+    if (!Number.isFinite(pct) || pct <= 0 || pct >= 100) errors.push('discountPct must be between 0 and 100');
+  }
+  if (override.expires !== undefined && !(ISO_DATE.test(String(override.expires)) && Number.isFinite(Date.parse(override.expires)))) {
+    errors.push(`expires must be YYYY-MM-DD (got ${override.expires})`);
+  }
+  return errors;
+}
+
+function overrideFields(override) {
+  return Object.fromEntries(Object.entries(override).filter(([key]) => !OVERRIDE_KEYS.includes(key)));
+}
+
+/**
+ * Apply overrides to per-provider pricing
+ * Provider discounts apply first; per-model values then replace whatever is left. Every
+ * changed record carries `override: { fields, discountPct?, note?, expires? }`. A model
+ * override that would make the record invalid is skipped.
+ * @param {Object} pricingByProvider - fetchAllPricing() result (not mutated)
+ * @param {Object} overrides - loadPriceOverrides() result
+ * @param {Object} options - { now }
+ * @returns {{pricing: Object, applied: Array<Object>, skipped: Array<Object>}}
+ *   applied: { provider, model, fields, note }; skipped: { target, reason }
+ */
+export function applyPriceOverrides(pricingByProvider, overrides = loadPriceOverrides(), options = {}) {
+  const { now = new Date() } = options;
+  const applied = [];
+  const skipped = [];
+
+  const active = (entries, kind) => entries.filter(override => {
+    const target = override[kind] || '(unnamed)';
+    const errors = validateOverride(override, kind);
+    if (errors.length > 0) {
+      skipped.push({ target, reason: errors.join('; ') });
+      return false;
+    }
+    if (isOverrideExpired(override, now)) {
+      skipped.push({ target, reason: `expired ${override.expires}` });
+      return false;
+    }
+    return true;
+  });
+  const providerOverrides = active(overrides.providers || [], 'provider');
+  const modelOverrides = active(overrides.models || [], 'model');
+  const matchedModels = new Set();
+
+  const pricing = {};
+  for (const [provider, records] of Object.entries(pricingByProvider || {})) {
+    if (!Array.isArray(records)) {
+      pricing[provider] = records;
+      continue;
+    }
+
+    const discount = providerOverrides.find(override => override.provider === provider);
+    pricing[provider] = records.map(record => {
+      let next = record;
+      const marker = { fields: [] };
+
+      if (discount) {
+        next = { ...next };
+        for (const field of DISCOUNTED_FIELDS) {
+          if (Number.isFinite(next[field])) {
+            // Rounded so discounted prices compare cleanly in the price history
+            next[field] = Math.round(next[field] * (1 - discount.discountPct / 100) * 1e6) / 1e6;
+            marker.fields.push(field);
+          }
+        }
+        marker.discountPct = discount.discountPct;
+        if (discount.note) marker.note = discount.note;
+        if (discount.expires) marker.expires = discount.expires;
+      }
+
+      const modelOverride = modelOverrides.find(override => override.model === record.model &&
+        (override.region || 'global') === (record.region || 'global'));
+      if (modelOverride) {
+        matchedModels.add(modelOverride);
+        const fields = overrideFields(modelOverride);
+        const { record: validated, errors } = normalizePricingRecord({ ...next, ...fields });
+        if (validated) {
+          next = { ...next, ...fields };
+          marker.fields = [...new Set([...marker.fields, ...Object.keys(fields)])];
+          if (modelOverride.note) marker.note = modelOverride.note;
+          if (modelOverride.expires) marker.expires = modelOverride.expires;
+        } else {
+          skipped.push({ target: record.model, reason: errors.join('; ') });
+        }
+      }
+
+      if (marker.fields.length === 0) return record;
+      applied.push({ provider, model: record.model, fields: marker.fields, note: marker.note || null });
+      return { ...next, override: marker };
+    });
+  }
+
+  for (const override of modelOverrides) {
+    if (!matchedModels.has(override)) skipped.push({ target: override.model, reason: 'model not in pricing data' });
+  }
+
+  return { pricing, applied, skipped };
+}
+
+export default {
+  loadPriceOverrides,
+  isOverrideExpired,
+  applyPriceOverrides
+};
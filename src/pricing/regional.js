@@ -0,0 +1,197 @@
+/**
+ * Currency and regional pricing
+ * Converts listed prices to USD before optimisation and picks one regional price per model
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CURRENCY, DEFAULT_REGION } from './schema.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_RATES_FILE = join(__dirname, '../../data/currency-rates.json');
+
+export const BASE_CURRENCY = DEFAULT_CURRENCY;
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  CNY: '¥',
+  JPY: '¥'
+};
+
+const PRICE_FIELDS = ['inputPerM', 'outputPerM', 'cacheReadPerM', 'cacheWritePerM', 'cacheStoragePerMPerHour'];
+const TIER_PRICE_FIELDS = ['inputPerM', 'outputPerM', 'cacheReadPerM'];
+
+function ratesFilePath() {
+  return process.env.MODEL_OPTIMIZER_CURRENCY_RATES || DEFAULT_RATES_FILE;
+}
+
+/**
+ * Load the currency conversion table
+ * @param {string} path - JSON file (default: data/currency-rates.json or MODEL_OPTIMIZER_CURRENCY_RATES)
+ * @returns {{base: string, asOf: string|null, rates: Object}} Units of each currency per 1 USD
+ */
+export function loadCurrencyRates(path = ratesFilePath()) {
+  const fallback = { base: BASE_CURRENCY, asOf: null, rates: { [BASE_CURRENCY]: 1 } };
+  try {
+    if (!existsSync(path)) return fallback;
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    if ((raw.base || BASE_CURRENCY) !== BASE_CURRENCY) {
+      throw new Error(`rates must be based on ${BASE_CURRENCY}, got ${raw.base}`);
+    }
+    return {
+      base: BASE_CURRENCY,
+      asOf: raw.asOf || null,
+      rates: { ...raw.rates, [BASE_CURRENCY]: 1 }
+    };
+  } catch (error) {
+    console.warn(`Failed to load currency rates from ${path}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - ISO currency code
+ * @param {string} to - ISO currency code
+ * @param {Object} currencyRates - loadCurrencyRates() result
+ * @returns {number} Converted amount
+ * @throws {Error} When either currency has no rate
+ */
+export function convertAmount(amount, from, to, currencyRates) {
+  const source = String(from || BASE_CURRENCY).toUpperCase();
+  const target = String(to || BASE_CURRENCY).toUpperCase();
+  if (source === target) return amount;
+
+  const { rates } = currencyRates;
+  if (!Number.isFinite(rates[source]) || rates[source] <= 0) {
+    throw new Error(`No conversion rate for ${source}`);
+  }
+  if (!Number.isFinite(rates[target]) || rates[target] <= 0) {
+    throw new Error(`No conversion rate for ${target}`);
+  }
+  return (amount / rates[source]) * rates[target];
+}
+
+/**
+ * Convert every price on a record to USD
+ * @param {Object} record - Normalised pricing record with `currency`
+ * @param {Object} currencyRates - loadCurrencyRates() result
+ * @returns {Object|null} USD record with `listed: { currency, inputPerM, outputPerM }`, or null if no rate
+ */
+export function convertRecordToBase(record, currencyRates) {
+  const currency = record.currency || BASE_CURRENCY;
+  if (currency === BASE_CURRENCY) return record;
+
+  try {
+    const convert = value => convertAmount(value, currency, BASE_CURRENCY, currencyRates);
+    const converted = { ...record, currency: BASE_CURRENCY };
+    for (const field of PRICE_FIELDS) {
+      if (Number.isFinite(record[field])) converted[field] = convert(record[field]);
+    }
+    if (Array.isArray(record.promptTiers)) {
+      converted.promptTiers = record.promptTiers.map(tier => {
+        const next = { ...tier };
+        for (const field of TIER_PRICE_FIELDS) {
+          if (Number.isFinite(tier[field])) next[field] = convert(tier[field]);
+        }
+        return next;
+      });
+    }
+    if (record.priceModes) {
+      // Relative modes (discountPct/premiumPct) need no conversion
+      converted.priceModes = Object.fromEntries(Object.entries(record.priceModes).map(([mode, definition]) => {
+        const next = { ...definition };
+        for (const field of PRICE_FIELDS) {
+          if (Number.isFinite(definition[field])) next[field] = convert(definition[field]);
+        }
+        return [mode, next];
+      }));
+    }
+    converted.listed ={ currency, inputPerM: record.inputPerM, outputPerM: record.outputPerM };
+    return converted;
+  } catch (error) {
+    console.warn(`Skipping ${record.model} (${record.region || DEFAULT_REGION}): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Keep one record per model: the preferred region, else the global price, else the first listed
+ * @param {Array<Object>} models - Pricing records
+ * @param {string} region - Preferred region (e.g., 'cn', 'eu-west')
+ * @returns {Array<Object>} One record per model id, in first-seen order
+ */
+export function selectRegionalPricing(models, region = DEFAULT_REGION) {
+  const byModel = new Map();
+  for (const model of models) {
+    if (!byModel.has(model.model)) byModel.set(model.model, []);
+    byModel.get(model.model).push(model);
+  }
+
+  return [...byModel.values()].map(options => {
+    if (options.length === 1) return options[0];
+    return options.find(option => (option.region || DEFAULT_REGION) === region)
+      || options.find(option => (option.region || DEFAULT_REGION) === DEFAULT_REGION)
+      || options[0];
+  });
+}
+
+/**
+ * Region to optimise for (MODEL_OPTIMIZER_REGION, default 'global')
+ * @returns {string} Region id
+ */
+export function resolvePreferredRegion() {
+  return process.env.MODEL_OPTIMIZER_REGION || DEFAULT_REGION;
+}
+
+/**
+ * Pick regional prices and convert them to USD for the optimizer
+ * @param {Array<Object>} models - Pricing records from fetchAllPricing()
+ * @param {Object} options - { region, currencyRates }
+ * @returns {Array<Object>} USD records, one per model
+ */
+export function normalizeRegionalPricing(models, options = {}) {
+  const { region = resolvePreferredRegion(), currencyRates = loadCurrencyRates() } = options;
+  const converted = models
+    .map(model => convertRecordToBase(model, currencyRates))
+    .filter(Boolean);
+  return selectRegionalPricing(converted, region);
+}
+
+/**
+ * Build a money formatter for reports
+ * @param {string} displayCurrency - ISO code to show amounts in (default USD)
+ * @param {Object} currencyRates - loadCurrencyRates() result
+ * @returns {Function} (amount, digits = 2, fromCurrency = 'USD') => string, e.g. '€1.234'
+ */
+export function createMoneyFormatter(displayCurrency = BASE_CURRENCY, currencyRates = loadCurrencyRates()) {
+  let currency = String(displayCurrency || BASE_CURRENCY).toUpperCase();
+  if (!Number.isFinite(currencyRates.rates[currency])) {
+    console.warn(`No conversion rate for display currency ${currency}; showing ${BASE_CURRENCY}`);
+    currency = BASE_CURRENCY;
+  }
+  const prefix = CURRENCY_SYMBOLS[currency] || `${currency} `;
+
+  const format = (amount, digits = 2, fromCurrency = BASE_CURRENCY) => {
+    const value = convertAmount(Number(amount || 0), fromCurrency, currency, currencyRates);
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${prefix}${Math.abs(value).toFixed(digits)}`;
+  };
+  format.currency = currency;
+  return format;
+}
+
+export default {
+  BASE_CURRENCY,
+  loadCurrencyRates,
+  convertAmount,
+  convertRecordToBase,
+  selectRegionalPricing,
+  resolvePreferredRegion,
+  normalizeRegionalPricing,
+  createMoneyFormatter
+};
@@ -0,0 +1,231 @@
+/**
+ * Pricing provider registry
+ * Tracks provider modules and loads extra providers from disk
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_PROVIDERS_DIR = join(__dirname, '../../data/providers');
+const DEFAULT_PROVIDERS_CONFIG = join(__dirname, '../../data/providers.json');
+
+/**
+ * Where a provider's numbers come from:
+ * - scraped: parsed from a provider web page
+ * - static:  hand-maintained price table
+ * - api:     machine-readable endpoint or listing
+ * - aggregator: bulk listing covering many providers; records carry a `provider`
+ *   field and are merged into those providers' results by fetchAllPricing()
+ */
+export const SOURCE_TYPES = ['scraped', 'static', 'api', 'aggregator'];
+
+const providers = new Map();
+let externalProvidersLoaded = false;
+
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Provider definition must be an object');
+  }
+
+  const id = String(definition.id || '').trim();
+  if (!/^[a-z0-9][a-z0-9._-]*$/.test(id)) {
+    throw new Error(`Invalid provider id: "${definition.id}"`);
+  }
+
+  if (typeof definition.fetch !== 'function') {
+    throw new Error(`Provider ${id} must define a fetch function`);
+  }
+
+  const sourceType = definition.sourceType || 'static';
+  if (!SOURCE_TYPES.includes(sourceType)) {
+    throw new Error(`Provider ${id} has unknown sourceType "${sourceType}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+
+  const capabilities = Array.isArray(definition.capabilities)
+    ? [...new Set(definition.capabilities.map(value => String(value)))]
+    : [];
+
+  return {
+    id,
+    fetch: definition.fetch,
+    sourceType,
+    capabilities,
+    origin: definition.origin || 'builtin'
+  };
+}
+
+/**
+ * Register a pricing provider
+ * @param {Object} definition - { id, fetch, sourceType, capabilities }
+ * @param {Object} options - { replace: allow overriding an existing id }
+ * @returns {Object} Registered provider entry
+ */
+export function registerProvider(definition, options = {}) {
+  const entry = validateDefinition(definition);
+
+  if (providers.has(entry.id) && !options.replace) {
+    throw new Error(`Provider ${entry.id} is already registered`);
+  }
+
+  providers.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} id - Provider id
+ * @returns {boolean} true if a provider was removed
+ */
+export function unregisterProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider entry or null
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * List registered providers in registration order
+ * @returns {Array<Object>} Provider entries
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Build a static provider from an inline price table
+ * @param {Object} entry - Config entry with id and models
+ * @returns {Object} Provider definition
+ */
+function staticTableProvider(entry) {
+  const models = entry.models.map(model => ({ ...model }));
+  return {
+    id: entry.id,
+    sourceType: entry.sourceType || 'static',
+    capabilities: entry.capabilities,
+    fetch: async () => models.map(model => ({ ...model }))
+  };
+}
+
+async function importProviderModule(modulePath) {
+  const mod = await import(pathToFileURL(modulePath).href);
+  const definition = mod.provider || mod.default?.provider || mod.default;
+  if (!definition) {
+    throw new Error(`${modulePath} does not export a provider definition`);
+  }
+  return definition;
+}
+
+/**
+ * Load provider modules from a directory.
+ * Every .js/.mjs file must export `provider` (or a default export) shaped
+ * like the built-in provider definitions.
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<Array<string>>} Registered provider ids
+ */
+export async function loadProviderModules(dir = DEFAULT_PROVIDERS_DIR) {
+  if (!existsSync(dir)) return [];
+
+  const files = readdirSync(dir)
+    .filter(file => file.endsWith('.js') || file.endsWith('.mjs'))
+    .sort();
+
+  const loaded = [];
+  for (const file of files) {
+    const modulePath = join(dir, file);
+    try {
+      const definition = await importProviderModule(modulePath);
+      const entry = registerProvider({ ...definition, origin: modulePath }, { replace: definition.replace === true });
+      loaded.push(entry.id);
+    } catch (error) {
+      console.error(`Failed to load pricing provider ${modulePath}:`, error.message);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Load providers listed in a JSON config file.
+ * Entries either point at a module (`module`, relative to the config file)
+ * or carry an inline price table (`id` + `models`).
+ * @param {string} configPath - Path to providers config
+ * @returns {Promise<Array<string>>} Registered provider ids
+ */
+export async function loadProviderConfig(configPath = DEFAULT_PROVIDERS_CONFIG) {
+  if (!existsSync(configPath)) return [];
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to read provider config ${configPath}:`, error.message);
+    return [];
+  }
+
+  const loaded = [];
+  for (const entry of config.providers || []) {
+    try {
+      let definition;
+      if (entry.module) {
+        definition = await importProviderModule(resolve(dirname(configPath), entry.module));
+        if (entry.id) definition = { ...definition, id: entry.id };
+      } else if (Array.isArray(entry.models)) {
+        definition = staticTableProvider(entry);
+      } else {
+        throw new Error('entry needs either "module" or "models"');
+      }
+
+      const registered = registerProvider(
+        { ...definition, origin: configPath },
+        { replace: entry.replace === true }
+      );
+      loaded.push(registered.id);
+    } catch (error) {
+      console.error(`Failed to load pricing provider ${entry.id || entry.module || '(unnamed)'} from ${configPath}:`, error.message);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Load extra providers once per process.
+ * Honours MODEL_OPTIMIZER_PROVIDERS_DIR and MODEL_OPTIMIZER_PROVIDERS_CONFIG.
+ * @returns {Promise<Array<string>>} Provider ids loaded by this call
+ */
+export async function loadExternalProviders() {
+  if (externalProvidersLoaded) return [];
+  externalProvidersLoaded = true;
+
+  const dir = process.env.MODEL_OPTIMIZER_PROVIDERS_DIR || DEFAULT_PROVIDERS_DIR;
+  const configPath = process.env.MODEL_OPTIMIZER_PROVIDERS_CONFIG || DEFAULT_PROVIDERS_CONFIG;
+
+  const fromDir = await loadProviderModules(resolve(dir));
+  const fromConfig = await loadProviderConfig(resolve(configPath));
+  const loaded = [...fromDir, ...fromConfig];
+
+  if (loaded.length > 0) {
+    console.log(`Loaded ${loaded.length} extra pricing provider(s): ${loaded.join(', ')}`);
+  }
+
+  return loaded;
+}
+
+export default {
+  SOURCE_TYPES,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  loadProviderModules,
+  loadProviderConfig,
+  loadExternalProviders
+};
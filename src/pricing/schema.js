@@ -0,0 +1,176 @@
+/**
+ * Canonical pricing record schema
+ * Validates and normalises provider output before the optimizer sees it
+ */
+
+import { validatePriceModes } from './modes.js';
+import { normalizeCapabilities } from './capabilities.js';
+import { normalizeLifecycle } from './lifecycle.js';
+
+export const DEFAULT_CONTEXT_WINDOW = 128000;
+export const DEFAULT_CURRENCY = 'USD';
+export const DEFAULT_REGION = 'global';
+
+/**
+ * How a model is paid for:
+ * - api:         metered per token by the provider
+ * - free:        no charge (free tier / promotional)
+ * - self-hosted: token price is zero, cost is the compute you run it on
+ */
+export const BILLING_TYPES = ['api', 'free', 'self-hosted'];
+
+/**
+ * Provider-specific cache fields mapped onto the canonical pair.
+ * cacheReadPerM is the input price on a cache hit; cacheWritePerM is the
+ * input price when the prefix is not cached yet (DeepSeek calls this a miss).
+ */
+const CACHE_FIELD_ALIASES = {
+  cacheHitInputPerM: 'cacheReadPerM',
+  cacheMissInputPerM: 'cacheWritePerM'
+};
+
+const OPTIONAL_PRICE_FIELDS = ['cacheReadPerM', 'cacheWritePerM', 'cacheStoragePerMPerHour'];
+
+function isValidPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate and normalise one pricing record
+ *
+ * Canonical shape:
+ * { model, inputPerM, outputPerM, currency, region, contextWindow, vision, cache,
+ *   cacheReadPerM?, cacheWritePerM?, billing, capabilities, priceModes?, lifecycle?, ...provider extras (source, note, promptTiers, freeTier) }
+ * Prices are in `currency` as listed by the provider; conversion happens before optimisation.
+ *
+ * @param {Object} raw - Record as returned by a provider module
+ * @returns {{record: Object|null, errors: string[], changes: string[]}}
+ *   record is null when the entry is rejected; changes lists what was normalised
+ */
+export function normalizePricingRecord(raw) {
+  const errors = [];
+  const changes = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { record: null, errors: ['not an object'], changes };
+  }
+
+  const model = typeof raw.model === 'string' ? raw.model.trim() : '';
+  if (!model) errors.push('missing model id');
+
+  for (const field of ['inputPerM', 'outputPerM']) {
+    if (!isValidPrice(raw[field])) errors.push(`${field} must be a non-negative number (got ${raw[field]})`);
+  }
+
+  const record = { ...raw, model };
+
+  for (const [alias, canonical] of Object.entries(CACHE_FIELD_ALIASES)) {
+    if (!(alias in record)) continue;
+    if (record[canonical] === undefined) {
+      record[canonical] = record[alias];
+      changes.push(`${alias} → ${canonical}`);
+    }
+    delete record[alias];
+  }
+
+  for (const field of OPTIONAL_PRICE_FIELDS) {
+    if (record[field] === undefined || record[field] === null) {
+      delete record[field];
+    } else if (!isValidPrice(record[field])) {
+      errors.push(`${field} must be a non-negative number (got ${record[field]})`);
+    }
+  }
+
+  if (record.currency !== undefined && !/^[A-Za-z]{3}$/.test(String(record.currency))) {
+    errors.push(`currency must be an ISO 4217 code (got ${record.currency})`);
+  }
+
+  if (errors.length > 0) {
+    return { record: null, errors, changes };
+  }
+
+  // Nearly every provider lists global USD prices, so these defaults are not reported as changes
+  record.currency = String(record.currency || DEFAULT_CURRENCY).toUpperCase();
+  record.region = record.region ? String(record.region).toLowerCase() : DEFAULT_REGION;
+
+  if (!Number.isInteger(record.contextWindow) || record.contextWindow <= 0) {
+    const reason = record.contextWindow === undefined ? 'missing' : `invalid (${record.contextWindow})`;
+    record.contextWindow = DEFAULT_CONTEXT_WINDOW;
+    changes.push(`contextWindow ${reason}, defaulted to ${DEFAULT_CONTEXT_WINDOW}`);
+  }
+
+  if (typeof record.vision !== 'boolean') {
+    record.vision = false;
+    changes.push('vision defaulted to false');
+  }
+
+  const hasCachePrices = record.cacheReadPerM !== undefined || record.cacheWritePerM !== undefined;
+  if (typeof record.cache !== 'boolean') {
+    record.cache = hasCachePrices;
+    changes.push(`cache defaulted to ${hasCachePrices}`);
+  }
+
+  if (!BILLING_TYPES.includes(record.billing)) {
+    let billing = 'api';
+    if (record.computeCost) billing = 'self-hosted';
+    else if (record.free) billing = 'free';
+    if (record.billing !== undefined || billing !== 'api') {
+      changes.push(`billing set to ${billing}`);
+    }
+    record.billing = billing;
+  }
+  delete record.free;
+  delete record.computeCost;
+
+  record.capabilities = normalizeCapabilities(record);
+
+  const { lifecycle, errors: lifecycleErrors } = normalizeLifecycle(record.lifecycle, model);
+  for (const error of lifecycleErrors) changes.push(`dropped ${error}`);
+  if (lifecycle) record.lifecycle = lifecycle;
+  else delete record.lifecycle;
+
+  if (record.priceModes !== undefined) {
+    // A bad batch/off-peak entry should not cost us the standard price
+    const { priceModes, errors: modeErrors } = validatePriceModes(record.priceModes);
+    for (const error of modeErrors) changes.push(`dropped ${error}`);
+    if (Object.keys(priceModes).length > 0) record.priceModes = priceModes;
+    else delete record.priceModes;
+  }
+
+  return { record, errors, changes };
+}
+
+/**
+ * Validate every record a provider returned
+ * @param {string} provider - Provider id
+ * @param {Array} records - Provider output
+ * @returns {{records: Array<Object>, report: Object}}
+ *   report: { provider, accepted, rejected: [{model, errors}], normalised: [{model, changes}] }
+ */
+export function validateProviderPricing(provider, records) {
+  const report = { provider, accepted: 0, rejected: [], normalised: [] };
+  const valid = [];
+
+  for (const raw of Array.isArray(records) ? records : []) {
+    const { record, errors, changes } = normalizePricingRecord(raw);
+    const model = raw?.model || '(unknown)';
+    if (!record) {
+      report.rejected.push({ model, errors });
+      continue;
+    }
+    valid.push(record);
+    report.accepted += 1;
+    if (changes.length > 0) report.normalised.push({ model, changes });
+  }
+
+  return { records: valid, report };
+}
+
+export default {
+  DEFAULT_CONTEXT_WINDOW,
+  DEFAULT_CURRENCY,
+  DEFAULT_REGION,
+  BILLING_TYPES,
+  normalizePricingRecord,
+  validateProviderPricing
+};
@@ -9,6 +9,7 @@ import { existsSync, readFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { promisify } from 'node:util';
 import { generateReport } from '../optimizer/index.js';
+import { describeHealthAlert } from '../pricing/health.js';
 
 const TELEGRAM_MESSAGE_LIMIT = 4096;
 const TELEGRAM_CALLBACK_LIMIT = 64;
@@ -483,6 +484,24 @@ export async function sendBusinessSummary(summaryText, options = {}) {
   return sendViaOpenClawCli(payload, options);
 }
 
+/**
+ * Sends an alert for providers that have relied on hardcoded prices for too long.
+ * @param {Array<Object>} alerts - recordProviderHealth() alerts
+ * @param {Object} options - { alertWeeks, ...send options }
+ * @returns {Promise<Object>} tool response
+ */
+export async function sendDataQualityAlert(alerts, options = {}) {
+  const text = [
+    'Model Optimizer Data Quality Alert',
+    '',
+    `Providers on hardcoded prices for ${options.alertWeeks || 'several'}+ consecutive week(s):`,
+    ...alerts.map(entry => `- ${describeHealthAlert(entry)}`),
+    '',
+    'Their scrapers need attention; routing for these models is based on stale prices.'
+  ].join('\n');
+  return sendBusinessSummary(text, options);
+}
+
 export async function sendPerItemApproval(item, options = {}) {
   const { batchId, itemIndex, totalItems, lineNumber, before, after } = item;
   const callbackBase = `${sanitizeCallbackId(batchId)}:${itemIndex}`;
@@ -556,6 +575,7 @@ export default {
   sendReport,
   sendApprovalRequest,
   sendBusinessSummary,
+  sendDataQualityAlert,
   sendPerItemApproval,
   sendFinalConfirmation,
   handleCallback,
@@ -0,0 +1,272 @@
+/**
+ * Usage Import
+ * Reads gateway request logs and summarises the real per-task token mix, input/output ratio
+ * and prompt-cache hit rate into data/usage-profile.json for the optimizer
+ */
+
+import { createReadStream, readFileSync, writeFileSync, renameSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
+import { createInterface } from 'readline';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_PROFILE_FILE = join(__dirname, '../../data/usage-profile.json');
+
+export const USAGE_PROFILE_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365 / 12;
+
+// Field names other gateways use for the same values
+const FIELD_ALIASES = {
+  task_type: 'taskType',
+  task: 'taskType',
+  input_tokens: 'inputTokens',
+  prompt_tokens: 'inputTokens',
+  output_tokens: 'outputTokens',
+  completion_tokens: 'outputTokens',
+  cached_tokens: 'cachedTokens',
+  cache_read_tokens: 'cachedTokens',
+  ts: 'timestamp',
+  time: 'timestamp'
+};
+
+function profileFilePath() {
+  return process.env.MODEL_OPTIMIZER_USAGE_PROFILE || DEFAULT_PROFILE_FILE;
+}
+
+function isTokenCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate and normalise one log line
+ * @param {Object} raw - { taskType, model, inputTokens, outputTokens, cachedTokens?, timestamp? } (snake_case aliases accepted)
+ * @returns {{record: Object|null, errors: string[]}} record is null when the line is rejected
+ */
+export function normalizeUsageRecord(raw) {
+  if (!raw || typeof raw !== 'object') return { record: null, errors: ['not an object'] };
+  const record = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const canonical = FIELD_ALIASES[key] || key;
+    if (record[canonical] === undefined) record[canonical] = value;
+  }
+
+  const errors = [];
+  for (const field of ['taskType', 'model']) {
+    if (typeof record[field] !== 'string' || !record[field].trim()) errors.push(`missing ${field}`);
+  }
+  for (const field of ['inputTokens', 'outputTokens']) {
+    if (!isTokenCount(record[field])) errors.push(`${field} must be a non-negative integer (got ${record[field]})`);
+  }
+  const cachedTokens = record.cachedTokens ?? 0;
+  if (!isTokenCount(cachedTokens)) {
+    errors.push(`cachedTokens must be a non-negative integer (got ${record.cachedTokens})`);
+  } else if (cachedTokens > record.inputTokens) {
+    errors.push(`cachedTokens (${cachedTokens}) exceeds inputTokens (${record.inputTokens})`);
+  }
+  const timestamp = record.timestamp === undefined ? null : Date.parse(record.timestamp);
+  if (record.timestamp !== undefined && !Number.isFinite(timestamp)) {
+    errors.push(`timestamp is not a date (got ${record.timestamp})`);
+  }
+  if (errors.length > 0) return { record: null, errors };
+
+  return {
+    record: {
+      taskType: record.taskType.trim(),
+      model: record.model.trim(),
+      inputTokens: record.inputTokens,
+      outputTokens: record.outputTokens,
+      cachedTokens,
+      timestamp: timestamp === null ? null : new Date(timestamp).toISOString()
+    },
+    errors
+  };
+}
+
+function listLogFiles(path) {
+  if (!existsSync(path)) throw new Error(`Usage log not found: ${path}`);
+  if (!statSync(path).isDirectory()) return [path];
+  return readdirSync(path)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => join(path, name));
+}
+
+/**
+ * Read JSONL request logs line by line (files can be large)
+ * @param {string[]} paths - Log files, or directories of *.jsonl files
+ * @returns {Promise<{records: Array<Object>, skipped: number, errors: string[]}>}
+ *   errors lists the first 20 rejected lines as `file:line: problem`
+ */
+export async function readUsageLogs(paths) {
+  const records = [];
+  const errors = [];
+  let skipped = 0;
+
+  for (const file of paths.flatMap(listLogFiles)) {
+    const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber += 1;
+      if (!line.trim()) continue;
+      let problems;
+      try {
+        const { record, errors: recordErrors } = normalizeUsageRecord(JSON.parse(line));
+        if (record) records.push(record);
+        problems = recordErrors;
+      } catch (error) {
+        problems = [error.message];
+      }
+      if (problems.length > 0) {
+        skipped += 1;
+        if (errors.length < 20) errors.push(`${file}:${lineNumber}: ${problems.join('; ')}`);
+      }
+    }
+  }
+
+  return { records, skipped, errors };
+}
+
+function ratio(numerator, denominator, digits = 4) {
+  if (!(denominator > 0)) return null;
+  const factor = 10 ** digits;
+  return Math.round((numerator / denominator) * factor) / factor;
+}
+
+/**
+ * Summarise request records into a usage profile
+ * With `days`, only records in the last `days` days before the newest timestamp count
+ * (records without a timestamp are always kept).
+ * @param {Array<Object>} records - normalizeUsageRecord() results
+ * @param {Object} options - { days, sources, now }
+ * @returns {Object} { version, importedAt, sources, from, to, spanDays, requests, totals, tasks }
+ *   tasks: { [taskType]: { requests, inputTokens, outputTokens, cachedTokens, tokenShare,
+ *   inputOutputRatio, cacheHitRate, avgInputTokens, avgOutputTokens, models: { [model]: requests } } }
+ */
+export function summarizeUsage(records, options = {}) {
+  const { days = null, sources = [], now = new Date() } = options;
+  // Loops rather than Math.max(...) so month-long logs do not overflow the call stack
+  const timeRange = list => {
+    let min = null;
+    let max = null;
+    for (const record of list) {
+      const time = record.timestamp ? Date.parse(record.timestamp) : NaN;
+      if (!Number.isFinite(time)) continue;
+      if (min === null || time < min) min = time;
+      if (max === null || time > max) max = time;
+    }
+    return { min, max };
+  };
+  const latest = timeRange(records).max;
+  const cutoff = days && latest !== null ? latest - days * DAY_MS : null;
+  const kept = cutoff === null
+    ? records
+    : records.filter(record => !record.timestamp || Date.parse(record.timestamp) > cutoff);
+  const range = timeRange(kept);
+
+  const totals = { inputTokens: 0, outputTokens: 0, cachedTokens: 0 };
+  const tasks = {};
+  for (const record of kept) {
+    const task = tasks[record.taskType] || (tasks[record.taskType] = {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cachedTokens: 0,
+      models: {}
+    });
+    task.requests += 1;
+    task.models[record.model] = (task.models[record.model] || 0) + 1;
+    for (const field of ['inputTokens', 'outputTokens', 'cachedTokens']) {
+      task[field] += record[field] ?? 0;
+      totals[field] += record[field] ?? 0;
+    }
+  }
+
+  const totalTokens = totals.inputTokens + totals.outputTokens;
+  for (const task of Object.values(tasks)) {
+    task.tokenShare = ratio(task.inputTokens + task.outputTokens, totalTokens);
+    task.inputOutputRatio = ratio(task.inputTokens, task.outputTokens, 2);
+    task.cacheHitRate = ratio(task.cachedTokens, task.inputTokens);
+    task.avgInputTokens = Math.round(task.inputTokens / task.requests);
+    task.avgOutputTokens = Math.round(task.outputTokens / task.requests);
+  }
+
+  const from = range.min !== null ? new Date(range.min).toISOString() : null;
+  const to = range.max !== null ? new Date(range.max).toISOString() : null;
+  return {
+    version: USAGE_PROFILE_VERSION,
+    importedAt: now.toISOString(),
+    sources,
+    from,
+    to,
+    spanDays: from && to ? Math.max(1, Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS)) : null,
+    requests: kept.length,
+    totals: { ...totals, totalTokens },
+    tasks: Object.fromEntries(Object.entries(tasks).sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+/**
+ * Save a usage profile (temp file + rename)
+ * @param {Object} profile - summarizeUsage() result
+ * @param {string} path - JSON file (default: data/usage-profile.json or MODEL_OPTIMIZER_USAGE_PROFILE)
+ */
+export function writeUsageProfile(profile, path = profileFilePath()) {
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, `${JSON.stringify(profile, null, 2)}\n`);
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Load the imported usage profile
+ * @param {string} path - JSON file (default: data/usage-profile.json or MODEL_OPTIMIZER_USAGE_PROFILE)
+ * @returns {Object|null} summarizeUsage() result, or null before the first import
+ */
+export function loadUsageProfile(path = profileFilePath()) {
+  try {
+    if (!existsSync(path)) return null;
+    const profile = JSON.parse(readFileSync(path, 'utf8'));
+    if (profile.version !== USAGE_PROFILE_VERSION || !profile.tasks || !(profile.requests > 0)) {
+      console.warn(`Ignoring usage profile ${path}: unsupported version or no requests`);
+      return null;
+    }
+    return profile;
+  } catch (error) {
+    console.warn(`Failed to load usage profile from ${path}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Per-task share of all tokens
+ * @param {Object} profile - loadUsageProfile() result
+ * @returns {Object} { [taskType]: fraction } summing to 1
+ */
+export function usageMixFromProfile(profile) {
+  return Object.fromEntries(
+    Object.entries(profile.tasks).map(([taskType, task]) => [taskType, task.tokenShare])
+  );
+}
+
+/**
+ * Monthly token volume extrapolated from the imported period
+ * @param {Object} profile - loadUsageProfile() result
+ * @returns {number|null} Tokens per month, or null when the logs carry no timestamps
+ */
+export function monthlyTokensFromProfile(profile) {
+  if (!(profile?.spanDays > 0) || !(profile.totals?.totalTokens > 0)) return null;
+  return Math.round((profile.totals.totalTokens / profile.spanDays) * DAYS_PER_MONTH);
+}
+
+export default {
+  USAGE_PROFILE_VERSION,
+  normalizeUsageRecord,
+  readUsageLogs,
+  summarizeUsage,
+  writeUsageProfile,
+  loadUsageProfile,
+  usageMixFromProfile,
+  monthlyTokensFromProfile
+};
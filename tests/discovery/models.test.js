@@ -0,0 +1,64 @@
+/**
+ * Model discovery tests
+ */
+
+import { recordModelCatalog, readModelCatalog } from '../../src/discovery/models.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const BASELINE = {
+  anthropic: [{ model: 'claude-haiku-4-5-20251001', inputPerM: 1, outputPerM: 5, capabilities: { toolUse: true } }],
+  deepseek: [{ model: 'deepseek/deepseek-chat', inputPerM: 0.27, outputPerM: 1.1 }]
+};
+
+const WITH_NEW_MODELS = {
+  anthropic: [
+    ...BASELINE.anthropic,
+    { model: 'claude-haiku-5', inputPerM: 0.8, outputPerM: 4, capabilities: { toolUse: true, vision: true } }
+  ],
+  deepseek: [{ model: 'deepseek/deepseek-v4', inputPerM: 0.3, outputPerM: 1.2 }]
+};
+
+const scored = new Set(['claude-haiku-4-5-20251001', 'deepseek/deepseek-chat']);
+const isScored = model => scored.has(model);
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'model-catalog-'));
+  process.env.MODEL_CATALOG_PATH = join(workDir, 'model-catalog.json');
+});
+
+afterEach(() => {
+  delete process.env.MODEL_CATALOG_PATH;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('recordModelCatalog', () => {
+  test('records a baseline on the first run without flagging every model as new', () => {
+    const result = recordModelCatalog(BASELINE, { isScored });
+
+    expect(result).toMatchObject({ firstRun: true, added: [], removed: [], candidates: [] });
+    expect(Object.keys(readModelCatalog().models)).toEqual(['claude-haiku-4-5-20251001', 'deepseek/deepseek-chat']);
+  });
+
+  test('flags new and removed models and queues unscored ones until they are scored', () => {
+    recordModelCatalog(BASELINE, { isScored, now: new Date('2026-10-05T06:00:00.000Z') });
+    const result = recordModelCatalog(WITH_NEW_MODELS, { isScored, now: new Date('2026-10-12T06:00:00.000Z') });
+
+    expect(result.added.map(entry => entry.model)).toEqual(['claude-haiku-5', 'deepseek/deepseek-v4']);
+    expect(result.added[0]).toMatchObject({ provider: 'anthropic', inputPerM: 0.8, capabilities: { vision: true } });
+    expect(result.removed.map(entry => entry.model)).toEqual(['deepseek/deepseek-chat']);
+    expect(result.candidates.map(entry => entry.model)).toEqual(['claude-haiku-5', 'deepseek/deepseek-v4']);
+
+    // Still queued a week later while unscored; dropped once a score exists
+    scored.add('claude-haiku-5');
+    const next = recordModelCatalog(WITH_NEW_MODELS, { isScored, now: new Date('2026-10-19T06:00:00.000Z') });
+    scored.delete('claude-haiku-5');
+    expect(next.added).toEqual([]);
+    expect(next.candidates).toEqual([
+      expect.objectContaining({ model: 'deepseek/deepseek-v4', firstSeenAt: '2026-10-12T06:00:00.000Z' })
+    ]);
+  });
+});
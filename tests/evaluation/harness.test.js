@@ -0,0 +1,89 @@
+/**
+ * Evaluation harness tests
+ */
+
+import {
+  normalizeGrade,
+  confidenceInterval,
+  estimateQuality,
+  readGradedTranscripts
+} from '../../src/evaluation/index.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+function graded(model, promptId, grade, extra = {}) {
+  return { taskType: 'debugging', model, promptId, grade, grader: 'human', ...extra };
+}
+
+describe('normalizeGrade', () => {
+  test('maps any grading scale onto 1-10', () => {
+    expect(normalizeGrade(7)).toBe(7);
+    expect(normalizeGrade(1, [1, 5])).toBe(1);
+    expect(normalizeGrade(5, [1, 5])).toBe(10);
+    expect(normalizeGrade(0.5, [0, 1])).toBe(5.5);
+  });
+});
+
+describe('confidenceInterval', () => {
+  test('uses Student t for small samples and clamps to the scale', () => {
+    const { mean, low, high, n } = confidenceInterval([8, 9, 7, 8, 8]);
+
+    expect(mean).toBe(8);
+    expect(n).toBe(5);
+    // stdDev 0.7071, t(4) = 2.776 → margin 0.878
+    expect(low).toBeCloseTo(7.122, 3);
+    expect(high).toBeCloseTo(8.878, 3);
+    expect(confidenceInterval([10, 10, 9]).high).toBe(10);
+    expect(confidenceInterval([6])).toMatchObject({ mean: 6, low: 1, high: 10 });
+  });
+});
+
+describe('estimateQuality', () => {
+  test('averages graders per prompt and flags estimates below the sample minimum', () => {
+    const records = [
+      graded('claude-sonnet-4-6', 'p1', 4, { scale: [1, 5] }),
+      graded('claude-sonnet-4-6', 'p1', 8, { grader: 'rubric' }),
+      graded('claude-sonnet-4-6', 'p2', 9),
+      graded('claude-sonnet-4-6', 'p3', 9),
+      graded('deepseek/deepseek-chat', 'p1', 6)
+    ];
+
+    const estimates = estimateQuality(records, { minSamples: 3 });
+    const sonnet = estimates.debugging['claude-sonnet-4-6'];
+
+    expect(sonnet).toMatchObject({ prompts: 3, grades: 4, graders: { human: 3, rubric: 1 }, usable: true });
+    // p1: 4/5 → 7.75 and 8 average to 7.875
+    expect(sonnet.mean).toBe(8.63);
+    expect(estimates.debugging['deepseek/deepseek-chat']).toMatchObject({ mean: 6, prompts: 1, usable: false });
+  });
+});
+
+describe('readGradedTranscripts', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'graded-'));
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('reads every jsonl file and reports bad lines with their location', () => {
+    writeFileSync(join(workDir, 'week-41.jsonl'), [
+      JSON.stringify(graded('claude-sonnet-4-6', 'p1', 9)),
+      '',
+      JSON.stringify(graded('claude-sonnet-4-6', 'p2', 6, { scale: [1, 5] })),
+      '{"taskType": "debugging"'
+    ].join('\n'));
+    writeFileSync(join(workDir, 'notes.txt'), 'ignored');
+
+    const { records, errors } = readGradedTranscripts(workDir);
+
+    expect(records).toHaveLength(1);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toBe('week-41.jsonl:3: grade must be a number from 1 to 5 (got 6)');
+    expect(errors[1]).toMatch(/^week-41\.jsonl:4: /);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Quality score database tests
+ */
+
+import {
+  validateQualityScores,
+  setQualityScore,
+  diffQualityScores,
+  readQualityScoreFile,
+  loadKnownTaskTypes
+} from '../../src/optimizer/quality.js';
+
+const PROVENANCE = { source: 'internal eval', date: '2026-10-01', evaluator: 'alice' };
+
+const DATABASE = {
+  version: 1,
+  updatedAt: '2026-10-01',
+  scores: {
+    'code-changes': {
+      'claude-sonnet-4-6': { score: 10, ...PROVENANCE },
+      'openai/gpt-4.1': { score: 8.5, ...PROVENANCE },
+      'acme/retired-model': { score: 6, ...PROVENANCE },
+      'openai/gpt-4o': { score: 12, ...PROVENANCE }
+    },
+    debugging: {
+      'claude-sonnet-4-6': { score: 9, source: 'internal eval', date: 'last week', evaluator: 'alice' }
+    },
+    'made-up-task': {
+      'claude-sonnet-4-6': { score: 7, ...PROVENANCE }
+    }
+  }
+};
+
+const TASK_TYPES = new Set(['code-changes', 'debugging']);
+const MODEL_IDS = new Set(['claude-sonnet-4-6', 'openai/gpt-4.1', 'openai/gpt-4o']);
+
+describe('validateQualityScores', () => {
+  test('drops invalid entries and unknown task types, warns about unknown models', () => {
+    const { scores, entries, errors, warnings } = validateQualityScores(DATABASE, {
+      taskTypes: TASK_TYPES,
+      modelIds: MODEL_IDS
+    });
+
+    expect(scores).toEqual({
+      'code-changes': { 'claude-sonnet-4-6': 10, 'openai/gpt-4.1': 8.5, 'acme/retired-model': 6 }
+    });
+    expect(entries['code-changes']['openai/gpt-4.1'].evaluator).toBe('alice');
+    expect(errors).toEqual([
+      'code-changes/openai/gpt-4o: score must be a number from 1 to 10 (got 12)',
+      'debugging/claude-sonnet-4-6: date must be YYYY-MM-DD (got last week)',
+      'made-up-task: unknown task type'
+    ]);
+    expect(warnings).toEqual(['code-changes/acme/retired-model: model not in the last pricing run']);
+  });
+
+  test('the shipped score file is valid against the taxonomy', () => {
+    const { errors } = validateQualityScores(readQualityScoreFile(), { taskTypes: loadKnownTaskTypes() });
+
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('setQualityScore / diffQualityScores', () => {
+  test('records a change with provenance and reports it in the diff', () => {
+    const { database, previous } = setQualityScore(DATABASE, {
+      taskType: 'debugging',
+      model: 'openai/gpt-4.1',
+      score: 7,
+      source: 'eval harness run 12',
+      evaluator: 'bob',
+      date: '2026-10-19'
+    });
+
+    expect(previous).toBeNull();
+    expect(DATABASE.scores.debugging['openai/gpt-4.1']).toBeUndefined();
+    expect(diffQualityScores(DATABASE, database)).toEqual([{
+      taskType: 'debugging',
+      model: 'openai/gpt-4.1',
+      change: 'added',
+      before: null,
+      after: { score: 7, source: 'eval harness run 12', date: '2026-10-19', evaluator: 'bob' }
+    }]);
+  });
+
+  test('rejects scores without provenance', () => {
+    expect(() => setQualityScore(DATABASE, { taskType: 'debugging', model: 'openai/gpt-4.1', score: 7 }))
+      .toThrow('Invalid quality score for debugging/openai/gpt-4.1: missing source; missing evaluator');
+  });
+});
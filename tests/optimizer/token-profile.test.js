@@ -0,0 +1,50 @@
+/**
+ * Per-task token shape and blended cost tests
+ */
+
+import optimizer from '../../src/optimizer/index.js';
+
+const { resolveTokenProfile, calculateTaskCost, calculateOptimizationScore } = optimizer;
+
+const TASK_PROFILES = {
+  summaries: { tokens: { inputOutputRatio: 9, avgRequestTokens: 5000 } },
+  'casual-chat': { tokens: { inputOutputRatio: null, avgRequestTokens: null } }
+};
+
+// Cheap input, expensive output
+const MODEL = { model: 'acme/writer', inputPerM: 1, outputPerM: 20 };
+
+describe('resolveTokenProfile', () => {
+  test('prefers measured usage, then the taxonomy, then 1:1 at 2,000 tokens', () => {
+    const usageProfile = {
+      tasks: { summaries: { inputTokens: 7500, outputTokens: 2500, avgInputTokens: 3000, avgOutputTokens: 1000 } }
+    };
+
+    expect(resolveTokenProfile('summaries', usageProfile, TASK_PROFILES))
+      .toEqual({ inputShare: 0.75, avgRequestTokens: 4000, source: 'measured' });
+    expect(resolveTokenProfile('summaries', null, TASK_PROFILES))
+      .toEqual({ inputShare: 0.9, avgRequestTokens: 5000, source: 'configured' });
+    expect(resolveTokenProfile('casual-chat', usageProfile, TASK_PROFILES))
+      .toEqual({ inputShare: 0.5, avgRequestTokens: 2000, source: 'default' });
+  });
+});
+
+describe('calculateTaskCost', () => {
+  test('weights input and output prices by the task split', () => {
+    const inputHeavy = resolveTokenProfile('summaries', null, TASK_PROFILES);
+    const balanced = resolveTokenProfile('casual-chat', null, TASK_PROFILES);
+
+    expect(calculateTaskCost(MODEL, inputHeavy)).toBeCloseTo(2.9, 6);
+    expect(calculateTaskCost(MODEL, balanced)).toBeCloseTo(10.5, 6);
+  });
+
+  test('scores a 1:1 task like the old input + output total', () => {
+    const balanced = resolveTokenProfile('casual-chat', null, TASK_PROFILES);
+    const inputHeavy = resolveTokenProfile('summaries', null, TASK_PROFILES);
+
+    // Unscored task → quality 5; (5 + (10 - 21 / 10)) / 2
+    expect(calculateOptimizationScore(MODEL, 'unknown-task', 0.5, 0.5, 'standard', balanced)).toBeCloseTo(6.45, 6);
+    expect(calculateOptimizationScore(MODEL, 'unknown-task', 0.5, 0.5, 'standard', inputHeavy))
+      .toBeGreaterThan(calculateOptimizationScore(MODEL, 'unknown-task', 0.5, 0.5, 'standard', balanced));
+  });
+});
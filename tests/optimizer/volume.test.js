@@ -0,0 +1,43 @@
+/**
+ * Monthly volume projection tests
+ */
+
+import optimizer from '../../src/optimizer/index.js';
+
+const { resolveMonthlyVolume } = optimizer;
+
+const USAGE_PROFILE = { spanDays: 10, totals: { totalTokens: 15000 } };
+
+describe('resolveMonthlyVolume', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ['MODEL_OPTIMIZER_MONTHLY_TOKENS', 'MODEL_OPTIMIZER_VOLUME_SENSITIVITY']) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test('prefers the configured volume, then imported usage, then 1M tokens', () => {
+    expect(resolveMonthlyVolume(null)).toEqual({ monthlyTokens: 1000000, source: 'default', sensitivityPercent: 25 });
+    expect(resolveMonthlyVolume(USAGE_PROFILE)).toMatchObject({ monthlyTokens: 45625, source: 'measured' });
+
+    process.env.MODEL_OPTIMIZER_MONTHLY_TOKENS = '250000000';
+    process.env.MODEL_OPTIMIZER_VOLUME_SENSITIVITY = '40';
+    expect(resolveMonthlyVolume(USAGE_PROFILE)).toEqual({ monthlyTokens: 250000000, source: 'configured', sensitivityPercent: 40 });
+  });
+
+  test('ignores invalid settings', () => {
+    process.env.MODEL_OPTIMIZER_MONTHLY_TOKENS = 'lots';
+    process.env.MODEL_OPTIMIZER_VOLUME_SENSITIVITY = '150';
+
+    expect(resolveMonthlyVolume(null)).toEqual({ monthlyTokens: 1000000, source: 'default', sensitivityPercent: 25 });
+  });
+});
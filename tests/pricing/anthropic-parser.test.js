@@ -0,0 +1,88 @@
+/**
+ * Anthropic pricing page parser tests (offline HTML fixtures)
+ */
+
+import { parseAnthropicHTML, resolveAnthropicModelId } from '../../src/pricing/anthropic.js';
+import { PricingParseError } from '../../src/pricing/errors.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const FIXTURES_DIR = join(__dirname, '../../test/fixtures/pricing');
+
+function loadFixture(name) {
+  return readFileSync(join(FIXTURES_DIR, name), 'utf8');
+}
+
+describe('parseAnthropicHTML', () => {
+  test('reads model rows from every pricing table', () => {
+    const prices = parseAnthropicHTML(loadFixture('anthropic.html'));
+    const models = prices.map(p => p.model);
+
+    expect(models).toEqual([
+      'claude-opus-4-6',
+      'claude-sonnet-4-6',
+      'claude-haiku-4-5-20251001',
+      'anthropic/claude-3.5-sonnet',
+      'anthropic/claude-3.5-haiku'
+    ]);
+  });
+
+  test('reads input, output and cache prices from the page', () => {
+    const prices = parseAnthropicHTML(loadFixture('anthropic.html'));
+    const haiku = prices.find(p => p.model === 'claude-haiku-4-5-20251001');
+
+    expect(haiku).toEqual({
+      model: 'claude-haiku-4-5-20251001',
+      inputPerM: 1,
+      outputPerM: 5,
+      vision: true,
+      cache: true,
+      cacheWritePerM: 1.25,
+      cacheReadPerM: 0.1,
+      contextWindow: 200000
+    });
+  });
+
+  test('reads context windows', () => {
+    const prices = parseAnthropicHTML(loadFixture('anthropic.html'));
+    const sonnet = prices.find(p => p.model === 'claude-sonnet-4-6');
+
+    expect(sonnet.contextWindow).toBe(1000000);
+  });
+
+  test('throws a parse error when the layout changes', () => {
+    expect(() => parseAnthropicHTML(loadFixture('anthropic-redesigned.html'))).toThrow(PricingParseError);
+    expect(() => parseAnthropicHTML(loadFixture('anthropic-redesigned.html'))).toThrow(/no table with Model, Input and Output columns/);
+  });
+
+  test('throws a parse error when a model row has no readable price', () => {
+    const html = `<table>
+      <tr><th>Model</th><th>Input</th><th>Output</th></tr>
+      <tr><td>Claude Sonnet 4.6</td><td>Contact sales</td><td>$15 / MTok</td></tr>
+    </table>`;
+
+    expect(() => parseAnthropicHTML(html)).toThrow(/could not read input\/output price for "Claude Sonnet 4.6"/);
+  });
+
+  test('throws a parse error for an empty page', () => {
+    expect(() => parseAnthropicHTML('<html><body>Pricing page</body></html>')).toThrow(PricingParseError);
+  });
+});
+
+describe('resolveAnthropicModelId', () => {
+  test('maps known display names onto routing ids', () => {
+    expect(resolveAnthropicModelId('Claude Haiku 4.5')).toBe('claude-haiku-4-5-20251001');
+    expect(resolveAnthropicModelId('Claude 3.5 Sonnet')).toBe('anthropic/claude-3.5-sonnet');
+  });
+
+  test('derives ids for new models', () => {
+    expect(resolveAnthropicModelId('Claude Opus 5')).toBe('claude-opus-5');
+    expect(resolveAnthropicModelId('Claude Sonnet 4.7 (preview)')).toBe('claude-sonnet-4-7');
+  });
+
+  test('ignores non-Claude rows', () => {
+    expect(resolveAnthropicModelId('Web search')).toBeNull();
+  });
+});
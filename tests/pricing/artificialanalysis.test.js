@@ -0,0 +1,64 @@
+/**
+ * artificialanalysis.ai fallback parser tests (offline HTML fixtures)
+ */
+
+import {
+  parseArtificialAnalysisHTML,
+  normalizeArtificialAnalysisModelId
+} from '../../src/pricing/artificialanalysis.js';
+import { resolveAnthropicModelId } from '../../src/pricing/anthropic.js';
+import { PricingParseError } from '../../src/pricing/errors.js';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const html = readFileSync(join(__dirname, '../../test/fixtures/pricing/artificialanalysis.html'), 'utf8');
+
+describe('parseArtificialAnalysisHTML', () => {
+  test('normalises ids to provider/model and tags the source', () => {
+    const records = parseArtificialAnalysisHTML(html);
+    const mini = records.find(r => r.model === 'openai/gpt-4o-mini');
+
+    expect(mini).toEqual({
+      model: 'openai/gpt-4o-mini',
+      provider: 'openai',
+      inputPerM: 0.15,
+      outputPerM: 0.6,
+      contextWindow: 128000,
+      source: 'artificialanalysis'
+    });
+    expect(records.find(r => r.model === 'moonshot/kimi-k2').contextWindow).toBe(256000);
+    expect(records.find(r => r.model === 'deepseek/deepseek-v3.2')).toBeDefined();
+  });
+
+  test('skips creators we do not track and rows without prices', () => {
+    const models = parseArtificialAnalysisHTML(html).map(r => r.model);
+
+    expect(models.some(model => model.includes('grok'))).toBe(false);
+    expect(models.some(model => model.includes('llama'))).toBe(false);
+  });
+
+  test('accepts a provider-specific id resolver', () => {
+    const records = parseArtificialAnalysisHTML(html, {
+      resolveModelId: (provider, name) => (provider === 'anthropic' ? resolveAnthropicModelId(name) : null)
+    });
+
+    expect(records.map(r => r.model)).toEqual([
+      'claude-haiku-4-5-20251001',
+      'claude-sonnet-4-6',
+      'claude-opus-4-6'
+    ]);
+  });
+
+  test('throws a parse error when the listing table is missing', () => {
+    expect(() => parseArtificialAnalysisHTML('<html><body>Loading…</body></html>')).toThrow(PricingParseError);
+  });
+});
+
+describe('normalizeArtificialAnalysisModelId', () => {
+  test('slugs listing names', () => {
+    expect(normalizeArtificialAnalysisModelId('alibaba', 'Qwen2.5 Max')).toBe('alibaba/qwen2.5-max');
+    expect(normalizeArtificialAnalysisModelId('meta', 'Llama 3.3 70B')).toBe('meta/llama-3.3-70b');
+  });
+});
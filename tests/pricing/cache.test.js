@@ -0,0 +1,113 @@
+/**
+ * Pricing cache tests
+ */
+
+import {
+  CACHE_SCHEMA_VERSION,
+  CACHE_STATUS,
+  readCacheFile,
+  readCacheEntry,
+  readCachedPricing,
+  writeCachedPricing,
+  getCacheTtl,
+  getProvenance,
+  requestRefresh
+} from '../../src/pricing/cache.js';
+import { mkdtempSync, writeFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const PRICES = [{ model: 'acme/model-1', inputPerM: 1, outputPerM: 2 }];
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'pricing-cache-'));
+  process.env.PRICING_CACHE_PATH = join(workDir, 'pricing-cache.json');
+});
+
+afterEach(() => {
+  delete process.env.PRICING_CACHE_PATH;
+  delete process.env.PRICING_CACHE_TTL_HOURS;
+  delete process.env.PRICING_CACHE_TTL_HOURS_ACME;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('writeCachedPricing', () => {
+  test('stores a versioned entry with provenance', () => {
+    writeCachedPricing('acme', PRICES, { sourceUrl: 'https://acme.test/pricing' });
+
+    const cache = readCacheFile();
+    expect(cache.schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+    expect(cache.entries.acme).toMatchObject({
+      provider: 'acme',
+      sourceUrl: 'https://acme.test/pricing',
+      status: CACHE_STATUS.LIVE,
+      data: PRICES
+    });
+    expect(readdirSync(workDir)).toEqual(['pricing-cache.json']);
+  });
+
+  test('keeps other providers when writing', () => {
+    writeCachedPricing('acme', PRICES);
+    writeCachedPricing('other', PRICES, { status: CACHE_STATUS.FALLBACK });
+
+    expect(Object.keys(readCacheFile().entries)).toEqual(['acme', 'other']);
+  });
+});
+
+describe('readCachedPricing', () => {
+  test('serves fresh entries and marks them as cached', () => {
+    writeCachedPricing('acme', PRICES, { sourceUrl: 'https://acme.test/pricing' });
+
+    expect(readCachedPricing('acme')).toEqual(PRICES);
+    expect(getProvenance('acme')).toMatchObject({ status: CACHE_STATUS.CACHED, sourceUrl: 'https://acme.test/pricing' });
+  });
+
+  test('ignores entries older than the provider TTL', () => {
+    process.env.PRICING_CACHE_TTL_HOURS_ACME = '1';
+    writeFileSync(process.env.PRICING_CACHE_PATH, JSON.stringify({
+      schemaVersion: CACHE_SCHEMA_VERSION,
+      entries: {
+        acme: { provider: 'acme', fetchedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), status: CACHE_STATUS.LIVE, data: PRICES }
+      }
+    }));
+
+    expect(readCachedPricing('acme')).toBeNull();
+    expect(readCacheEntry('acme', { ignoreTtl: true }).data).toEqual(PRICES);
+  });
+
+  test('ignores entries fetched before a refresh request', async () => {
+    writeCachedPricing('acme', PRICES);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    requestRefresh();
+
+    expect(readCachedPricing('acme')).toBeNull();
+  });
+
+  test('migrates the unversioned cache layout', () => {
+    writeFileSync(process.env.PRICING_CACHE_PATH, JSON.stringify({
+      acme: { timestamp: Date.now(), data: PRICES, source: 'fallback (fetch failed)' }
+    }));
+
+    const entry = readCacheEntry('acme');
+    expect(entry.status).toBe(CACHE_STATUS.FALLBACK);
+    expect(entry.data).toEqual(PRICES);
+  });
+});
+
+describe('getCacheTtl', () => {
+  test('applies per-provider defaults and caps fallback entries', () => {
+    expect(getCacheTtl('deepseek')).toBe(12 * 60 * 60 * 1000);
+    expect(getCacheTtl('acme')).toBe(24 * 60 * 60 * 1000);
+    expect(getCacheTtl('acme', CACHE_STATUS.FALLBACK)).toBe(60 * 60 * 1000);
+  });
+
+  test('lets the provider env var beat the global one', () => {
+    process.env.PRICING_CACHE_TTL_HOURS = '48';
+    process.env.PRICING_CACHE_TTL_HOURS_ACME = '2';
+
+    expect(getCacheTtl('acme')).toBe(2 * 60 * 60 * 1000);
+    expect(getCacheTtl('other')).toBe(48 * 60 * 60 * 1000);
+  });
+});
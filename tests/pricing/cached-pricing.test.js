@@ -0,0 +1,43 @@
+/**
+ * Offline pricing lookup tests (cache file + static tables)
+ */
+
+import { loadCachedPricing } from '../../src/pricing/index.js';
+import { writeCachedPricing } from '../../src/pricing/cache.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'cached-pricing-'));
+  process.env.PRICING_CACHE_PATH = join(workDir, 'pricing-cache.json');
+  process.env.MODEL_OPTIMIZER_PRICE_OVERRIDES = join(workDir, 'none.json');
+});
+
+afterEach(() => {
+  delete process.env.PRICING_CACHE_PATH;
+  delete process.env.MODEL_OPTIMIZER_PRICE_OVERRIDES;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('loadCachedPricing', () => {
+  test('uses cache entries of any age plus static tables and lists uncached providers', async () => {
+    writeCachedPricing('deepseek', [
+      { model: 'deepseek/deepseek-chat', inputPerM: 0.28, outputPerM: 0.42 }
+    ], { sourceUrl: 'https://api-docs.deepseek.com/quick_start/pricing' });
+
+    const { pricing, provenance, missing } = await loadCachedPricing({ quiet: true });
+
+    expect(pricing.deepseek.map(record => record.model)).toEqual(['deepseek/deepseek-chat']);
+    expect(provenance.deepseek).toMatchObject({
+      status: 'cached',
+      sourceUrl: 'https://api-docs.deepseek.com/quick_start/pricing'
+    });
+    expect(pricing.openai.length).toBeGreaterThan(0);
+    expect(provenance.openai.status).toBe('static');
+    expect(missing).toEqual(expect.arrayContaining(['anthropic', 'google', 'openrouter']));
+    expect(missing).not.toContain('deepseek');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Model capability metadata tests
+ */
+
+import { normalizeCapabilities, missingCapabilities } from '../../src/pricing/capabilities.js';
+import { normalizePricingRecord } from '../../src/pricing/schema.js';
+
+describe('normalizeCapabilities', () => {
+  test('keeps declared flags and leaves undeclared ones unknown', () => {
+    const { record } = normalizePricingRecord({
+      model: 'acme/model-1',
+      inputPerM: 1,
+      outputPerM: 2,
+      vision: true,
+      contextWindow: 200000,
+      capabilities: { toolUse: true, reasoning: 'yes', maxOutputTokens: 8192 }
+    });
+
+    expect(record.capabilities).toEqual({
+      toolUse: true,
+      structuredOutput: null,
+      reasoning: null,
+      vision: true,
+      audio: null,
+      maxOutputTokens: 8192,
+      contextWindow: 200000
+    });
+  });
+
+  test('reads audio and max output from listing fields', () => {
+    const capabilities = normalizeCapabilities({
+      vision: false,
+      contextWindow: 128000,
+      maxOutputTokens: 4096,
+      modalities: { input: ['text', 'audio'], output: ['text'] }
+    });
+
+    expect(capabilities).toMatchObject({ audio: true, maxOutputTokens: 4096 });
+  });
+});
+
+describe('missingCapabilities', () => {
+  const model = {
+    model: 'acme/model-1',
+    capabilities: { toolUse: false, structuredOutput: null, reasoning: true, vision: true, audio: null, maxOutputTokens: 8192, contextWindow: 128000 }
+  };
+
+  test('explains every unmet requirement', () => {
+    expect(missingCapabilities(model, {
+      capabilities: ['toolUse', 'structuredOutput', 'reasoning'],
+      minContextWindow: 200000,
+      minOutputTokens: 4096
+    })).toEqual(['no toolUse', 'structuredOutput unknown', 'context 128000 < 200000']);
+  });
+
+  test('accepts models without requirements', () => {
+    expect(missingCapabilities(model)).toEqual([]);
+  });
+});
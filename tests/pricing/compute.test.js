@@ -0,0 +1,61 @@
+/**
+ * Self-hosted compute cost model tests
+ */
+
+import {
+  computeEffectivePerM,
+  priceComputeProfile,
+  applyComputeCosts,
+  COMPUTE_SOURCE
+} from '../../src/pricing/compute.js';
+
+const COMPUTE_COSTS = {
+  defaults: { hardware: '1x A100', hourlyCost: 1.8, tokensPerSecond: 500, utilization: 0.5 },
+  models: {
+    'acme/local-7b': { hardware: '1x L4', hourlyCost: 0.72, inputTokensPerSecond: 2000, outputTokensPerSecond: 200, utilization: 0.5 }
+  }
+};
+
+describe('computeEffectivePerM', () => {
+  test('spreads the hourly cost over utilised throughput', () => {
+    // $0.72/h over 200 tok/s at 50% = 360k tokens/h → $2/M
+    expect(computeEffectivePerM(0.72, 200, 0.5)).toBeCloseTo(2, 6);
+  });
+
+  test('rejects unusable inputs', () => {
+    expect(computeEffectivePerM(1, 0, 0.5)).toBeNull();
+    expect(computeEffectivePerM(1, 100, 0)).toBeNull();
+    expect(computeEffectivePerM(1, 100, 1.5)).toBeNull();
+    expect(computeEffectivePerM(-1, 100, 1)).toBeNull();
+  });
+});
+
+describe('priceComputeProfile', () => {
+  test('prices input and output throughput separately', () => {
+    expect(priceComputeProfile(COMPUTE_COSTS.models['acme/local-7b'])).toEqual({
+      inputPerM: expect.closeTo(0.2, 6),
+      outputPerM: expect.closeTo(2, 6)
+    });
+  });
+});
+
+describe('applyComputeCosts', () => {
+  const models = [
+    { model: 'acme/local-7b', inputPerM: 0, outputPerM: 0, billing: 'free' },
+    { model: 'acme/llama', inputPerM: 0, outputPerM: 0, billing: 'self-hosted' },
+    { model: 'acme/free-tier', inputPerM: 0, outputPerM: 0, billing: 'free' },
+    { model: 'acme/api', inputPerM: 1, outputPerM: 2, billing: 'api' }
+  ];
+
+  test('re-prices declared and self-hosted models, leaves the rest alone', () => {
+    const [local, llama, freeTier, api] = applyComputeCosts(models, COMPUTE_COSTS);
+
+    expect(local.outputPerM).toBeCloseTo(2, 6);
+    expect(local.source).toBe(COMPUTE_SOURCE);
+    expect(local.compute).toMatchObject({ hardware: '1x L4', hourlyCost: 0.72, listedOutputPerM: 0 });
+    expect(llama.compute.hardware).toBe('1x A100');
+    expect(llama.outputPerM).toBeCloseTo(2, 6);
+    expect(freeTier).toBe(models[2]);
+    expect(api).toBe(models[3]);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * DeepSeek pricing scraper tests (replayed HTTP fixtures, no network)
+ */
+
+import { fetchDeepSeekPricing } from '../../src/pricing/deepseek.js';
+import { getProvenance, CACHE_STATUS } from '../../src/pricing/cache.js';
+import { setHttpTransport, resetHttpTransport, createReplayTransport } from '../../src/pricing/http.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let workDir;
+let replay;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'deepseek-pricing-'));
+  process.env.PRICING_CACHE_PATH = join(workDir, 'pricing-cache.json');
+  replay = createReplayTransport();
+  setHttpTransport(replay);
+});
+
+afterEach(() => {
+  resetHttpTransport();
+  delete process.env.PRICING_CACHE_PATH;
+  delete process.env.DEEPSEEK_API_KEY;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('fetchDeepSeekPricing', () => {
+  test('reads cache-hit, cache-miss and output prices from the pricing table', async () => {
+    const prices = await fetchDeepSeekPricing();
+    const chat = prices.find(p => p.model === 'deepseek/deepseek-chat');
+
+    expect(replay.calls).toEqual(['https://api-docs.deepseek.com/quick_start/pricing-details-usd']);
+    expect(chat).toMatchObject({ inputPerM: 0.28, outputPerM: 0.42, cacheHitInputPerM: 0.028 });
+    expect(chat.source).toBeUndefined();
+    expect(getProvenance('deepseek').status).toBe(CACHE_STATUS.LIVE);
+  });
+
+  test('lists discovered models when an API key is set', async () => {
+    process.env.DEEPSEEK_API_KEY = 'test-key';
+
+    const prices = await fetchDeepSeekPricing();
+
+    expect(replay.calls[0]).toBe('https://api.deepseek.com/v1/models');
+    expect(prices.find(p => p.model === 'deepseek/deepseek-reasoner')).toMatchObject({ inputPerM: 0.28, outputPerM: 0.42 });
+  });
+
+  test('falls back to built-in prices when the page is unreachable', async () => {
+    setHttpTransport(async () => {
+      throw new Error('Network error');
+    });
+
+    const prices = await fetchDeepSeekPricing();
+
+    expect(prices.every(p => p.source === 'hardcoded')).toBe(true);
+    expect(getProvenance('deepseek')).toMatchObject({ status: CACHE_STATUS.FALLBACK, error: 'Network error' });
+  });
+});
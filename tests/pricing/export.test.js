@@ -0,0 +1,72 @@
+/**
+ * Pricing snapshot export tests
+ */
+
+import { buildPricingSnapshot, formatSnapshotCsv, SNAPSHOT_COLUMNS } from '../../src/pricing/export.js';
+import { normalizePricingRecord } from '../../src/pricing/schema.js';
+
+const PRICING = {
+  openai: [
+    normalizePricingRecord({
+      model: 'openai/gpt-4o',
+      inputPerM: 2.5,
+      outputPerM: 10,
+      vision: true,
+      capabilities: { toolUse: true },
+      priceModes: { batch: { discountPct: 50 } }
+    }).record
+  ],
+  anthropic: [
+    normalizePricingRecord({
+      model: 'claude-sonnet-4-6',
+      inputPerM: 3,
+      outputPerM: 15,
+      cacheReadPerM: 0.3,
+      note: 'Prompts > 200K tokens, "long context" rate'
+    }).record
+  ]
+};
+
+const PROVENANCE = {
+  anthropic: { status: 'cached', sourceUrl: 'https://www.anthropic.com/pricing', fetchedAt: '2026-10-19T06:00:00.000Z' },
+  openai: { status: 'live', sourceUrl: null, fetchedAt: '2026-10-19T06:00:01.000Z' }
+};
+
+describe('buildPricingSnapshot', () => {
+  test('flattens every record with prices, capabilities and provenance', () => {
+    const snapshot = buildPricingSnapshot(PRICING, PROVENANCE, { generatedAt: '2026-10-19T06:00:02.000Z' });
+
+    expect(snapshot.rows.map(row => row.model)).toEqual(['claude-sonnet-4-6', 'openai/gpt-4o']);
+    expect(Object.keys(snapshot.rows[0])).toEqual(SNAPSHOT_COLUMNS);
+    expect(snapshot.rows[0]).toMatchObject({
+      provider: 'anthropic',
+      cacheReadPerM: 0.3,
+      batchInputPerM: null,
+      source: 'anthropic',
+      dataStatus: 'cached',
+      sourceUrl: 'https://www.anthropic.com/pricing',
+      fetchedAt: '2026-10-19T06:00:00.000Z'
+    });
+    expect(snapshot.rows[1]).toMatchObject({
+      inputPerM: 2.5,
+      batchInputPerM: 1.25,
+      batchOutputPerM: 5,
+      capabilities: 'toolUse;vision',
+      override: false
+    });
+  });
+});
+
+describe('formatSnapshotCsv', () => {
+  test('writes a header row and quotes only cells that need it', () => {
+    const snapshot = buildPricingSnapshot(PRICING, PROVENANCE);
+    snapshot.rows[0].source = 'page, "v2"';
+
+    const lines = formatSnapshotCsv(snapshot).split('\r\n');
+
+    expect(lines[0]).toBe(SNAPSHOT_COLUMNS.join(','));
+    expect(lines[1]).toContain(',"page, ""v2""",cached,');
+    expect(lines[2].startsWith('openai,openai/gpt-4o,global,USD,api,2.5,10,,,,1.25,5,')).toBe(true);
+    expect(lines).toHaveLength(4);
+  });
+});
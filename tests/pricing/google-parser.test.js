@@ -0,0 +1,107 @@
+/**
+ * Google Gemini pricing page parser tests (offline HTML fixtures)
+ */
+
+import { parseGoogleHTML, resolveGoogleModelId, fetchGooglePricing } from '../../src/pricing/google.js';
+import { PricingParseError } from '../../src/pricing/errors.js';
+import { setHttpTransport, resetHttpTransport, createReplayTransport } from '../../src/pricing/http.js';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const FIXTURES_DIR = join(__dirname, '../../test/fixtures/pricing');
+
+function loadFixture(name) {
+  return readFileSync(join(FIXTURES_DIR, name), 'utf8');
+}
+
+describe('parseGoogleHTML', () => {
+  test('reads every Gemini text model and skips image/embedding sections', () => {
+    const prices = parseGoogleHTML(loadFixture('google.html'));
+
+    expect(prices.map(p => p.model)).toEqual([
+      'google/gemini-3-pro-preview',
+      'google/gemini-3-flash-preview',
+      'google/gemini-2.5-pro',
+      'google/gemini-2.5-flash',
+      'google/gemini-flash-lite'
+    ]);
+  });
+
+  test('does not return hardcoded 1.5-series entries', () => {
+    const prices = parseGoogleHTML(loadFixture('google.html'));
+
+    expect(prices.find(p => p.model.startsWith('google/gemini-1.5'))).toBeUndefined();
+  });
+
+  test('maps prompt-length tiers for Gemini Pro', () => {
+    const pro = parseGoogleHTML(loadFixture('google.html')).find(p => p.model === 'google/gemini-2.5-pro');
+
+    expect(pro.inputPerM).toBe(1.25);
+    expect(pro.outputPerM).toBe(10);
+    expect(pro.promptTiers).toEqual([
+      { minPromptTokens: 0, maxPromptTokens: 200000, inputPerM: 1.25, outputPerM: 10, cacheReadPerM: 0.125 },
+      { minPromptTokens: 200000, maxPromptTokens: null, inputPerM: 2.5, outputPerM: 15, cacheReadPerM: 0.25 }
+    ]);
+  });
+
+  test('uses text pricing over audio and reads context caching', () => {
+    const flash = parseGoogleHTML(loadFixture('google.html')).find(p => p.model === 'google/gemini-2.5-flash');
+
+    expect(flash.inputPerM).toBe(0.3);
+    expect(flash.outputPerM).toBe(2.5);
+    expect(flash.cache).toBe(true);
+    expect(flash.cacheReadPerM).toBe(0.03);
+    expect(flash.cacheStoragePerMPerHour).toBe(1);
+    expect(flash.promptTiers).toBeUndefined();
+  });
+
+  test('maps free-tier availability and limits', () => {
+    const prices = parseGoogleHTML(loadFixture('google.html'));
+    const pro3 = prices.find(p => p.model === 'google/gemini-3-pro-preview');
+    const pro25 = prices.find(p => p.model === 'google/gemini-2.5-pro');
+
+    expect(pro3.freeTier).toEqual({ available: false, limits: [] });
+    expect(pro25.freeTier.available).toBe(true);
+    expect(pro25.freeTier.limits).toEqual([
+      'Grounding with Google Search: up to 500 RPD (limit shared with Flash-Lite RPD)'
+    ]);
+  });
+
+  test('throws a parse error when the layout changes', () => {
+    expect(() => parseGoogleHTML(loadFixture('google-redesigned.html'))).toThrow(PricingParseError);
+  });
+});
+
+describe('resolveGoogleModelId', () => {
+  test('keeps routing aliases stable', () => {
+    expect(resolveGoogleModelId('gemini-2.5-flash-lite')).toBe('google/gemini-flash-lite');
+    expect(resolveGoogleModelId('Gemini 3 Flash Preview')).toBe('google/gemini-3-flash-preview');
+  });
+
+  test('ignores non-Gemini models', () => {
+    expect(resolveGoogleModelId('imagen-4.0-generate-001')).toBeNull();
+  });
+});
+
+describe('fetchGooglePricing', () => {
+  test('replays the recorded pricing page', async () => {
+    const workDir = mkdtempSync(join(tmpdir(), 'google-pricing-'));
+    process.env.PRICING_CACHE_PATH = join(workDir, 'pricing-cache.json');
+    const replay = createReplayTransport();
+    setHttpTransport(replay);
+
+    try {
+      const prices = await fetchGooglePricing();
+      expect(replay.calls).toEqual(['https://ai.google.dev/pricing']);
+      expect(prices.find(p => p.model === 'google/gemini-2.5-flash')).toMatchObject({ inputPerM: 0.3 });
+      expect(prices.find(p => p.model === 'google/gemini-2.5-flash').source).toBeUndefined();
+    } finally {
+      resetHttpTransport();
+      delete process.env.PRICING_CACHE_PATH;
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Provider health tests
+ */
+
+import {
+  DATA_SOURCES,
+  classifyDataSource,
+  readProviderHealth,
+  recordProviderHealth,
+  markHealthAlertsSent
+} from '../../src/pricing/health.js';
+import { CACHE_STATUS } from '../../src/pricing/cache.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const START = new Date('2026-09-07T06:00:00.000Z');
+
+function week(n) {
+  return new Date(START.getTime() + n * WEEK_MS);
+}
+
+const HARDCODED = { provider: 'anthropic', dataSource: DATA_SOURCES.HARDCODED, error: 'HTTP 403: Forbidden' };
+const LIVE = { provider: 'anthropic', dataSource: DATA_SOURCES.LIVE, error: null };
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'provider-health-'));
+  process.env.PROVIDER_HEALTH_PATH = join(workDir, 'provider-health.json');
+});
+
+afterEach(() => {
+  delete process.env.PROVIDER_HEALTH_PATH;
+  delete process.env.PROVIDER_HEALTH_ALERT_WEEKS;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('classifyDataSource', () => {
+  test('tells live, cached, fallback, hardcoded and failed runs apart', () => {
+    const live = [{ model: 'a' }, { model: 'b', source: 'hardcoded' }];
+    const hardcoded = [{ model: 'a', source: 'hardcoded' }];
+
+    expect(classifyDataSource({ records: live, provenance: { status: CACHE_STATUS.LIVE } })).toBe(DATA_SOURCES.LIVE);
+    expect(classifyDataSource({ records: live, provenance: { status: CACHE_STATUS.CACHED } })).toBe(DATA_SOURCES.CACHED);
+    expect(classifyDataSource({ records: live, provenance: { status: CACHE_STATUS.FALLBACK } })).toBe(DATA_SOURCES.FALLBACK);
+    expect(classifyDataSource({ records: hardcoded, provenance: { status: CACHE_STATUS.CACHED } })).toBe(DATA_SOURCES.HARDCODED);
+    expect(classifyDataSource({ error: 'timed out' })).toBe(DATA_SOURCES.FAILED);
+  });
+});
+
+describe('recordProviderHealth', () => {
+  test('tracks failures across runs and resets them on success', () => {
+    recordProviderHealth([LIVE], { now: week(0) });
+    recordProviderHealth([HARDCODED], { now: week(1) });
+    const { providers } = recordProviderHealth([HARDCODED], { now: week(2) });
+
+    expect(providers[0]).toMatchObject({
+      provider: 'anthropic',
+      dataSource: DATA_SOURCES.HARDCODED,
+      lastSuccessAt: week(0).toISOString(),
+      consecutiveFailures: 2,
+      lastError: 'HTTP 403: Forbidden',
+      usedHardcoded: true,
+      hardcodedSince: week(1).toISOString(),
+      hardcodedWeeks: 2
+    });
+
+    const recovered = recordProviderHealth([LIVE], { now: week(3) }).providers[0];
+    expect(recovered).toMatchObject({ consecutiveFailures: 0, hardcodedSince: null, hardcodedWeeks: 0 });
+    expect(readProviderHealth().providers.anthropic.lastSuccessAt).toBe(week(3).toISOString());
+  });
+
+  test('alerts once per hardcoded streak after the configured number of weeks', () => {
+    process.env.PROVIDER_HEALTH_ALERT_WEEKS = '2';
+
+    expect(recordProviderHealth([HARDCODED], { now: week(0) }).alerts).toEqual([]);
+    const { alerts } = recordProviderHealth([HARDCODED], { now: week(1) });
+    expect(alerts.map(entry => entry.provider)).toEqual(['anthropic']);
+
+    markHealthAlertsSent(['anthropic'], { now: week(1) });
+    expect(recordProviderHealth([HARDCODED], { now: week(2) }).alerts).toEqual([]);
+  });
+});
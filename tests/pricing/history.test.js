@@ -0,0 +1,100 @@
+/**
+ * Price history ledger tests
+ */
+
+import {
+  readPriceHistory,
+  appendPriceHistory,
+  diffPriceRuns,
+  recordPriceRun,
+  getPriceChangesSinceLastRun,
+  describePriceChange
+} from '../../src/pricing/history.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const LAST_WEEK = {
+  openai: [{ model: 'openai/gpt-4o', inputPerM: 2.5, outputPerM: 10 }],
+  deepseek: [{ model: 'deepseek/deepseek-chat', inputPerM: 0.27, outputPerM: 1.1, cacheReadPerM: 0.07 }]
+};
+
+const THIS_WEEK = {
+  openai: [
+    { model: 'openai/gpt-4o', inputPerM: 2.5, outputPerM: 8 },
+    { model: 'openai/gpt-5', inputPerM: 1.25, outputPerM: 10 }
+  ],
+  deepseek: [{ model: 'deepseek/deepseek-chat', inputPerM: 0.28, outputPerM: 1.1, cacheReadPerM: 0.07 }]
+};
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'price-history-'));
+  process.env.PRICE_HISTORY_PATH = join(workDir, 'price-history.jsonl');
+});
+
+afterEach(() => {
+  delete process.env.PRICE_HISTORY_PATH;
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('appendPriceHistory', () => {
+  test('appends one line per run with tracked price fields', () => {
+    appendPriceHistory(LAST_WEEK, { runAt: '2026-01-01T00:00:00.000Z' });
+    appendPriceHistory(THIS_WEEK, { runAt: '2026-01-08T00:00:00.000Z' });
+
+    const runs = readPriceHistory();
+    expect(runs.map(run => run.runAt)).toEqual(['2026-01-01T00:00:00.000Z', '2026-01-08T00:00:00.000Z']);
+    expect(runs[0].prices).toContainEqual({
+      provider: 'deepseek',
+      model: 'deepseek/deepseek-chat',
+      inputPerM: 0.27,
+      outputPerM: 1.1,
+      cacheReadPerM: 0.07
+    });
+  });
+});
+
+describe('diffPriceRuns', () => {
+  test('reports field changes, new models and significant moves', () => {
+    const previous = appendPriceHistory(LAST_WEEK);
+    const current = appendPriceHistory(THIS_WEEK);
+
+    const diff = diffPriceRuns(previous, current, { thresholdPct: 10 });
+    expect(diff.changes.map(c => `${c.model}:${c.field}`)).toEqual([
+      'openai/gpt-4o:outputPerM',
+      'deepseek/deepseek-chat:inputPerM'
+    ]);
+    expect(diff.significant).toHaveLength(1);
+    expect(diff.significant[0]).toMatchObject({ before: 10, after: 8, changePct: -20 });
+    expect(diff.added).toEqual([{ provider: 'openai', model: 'openai/gpt-5' }]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  test('returns no changes when there is no earlier run', () => {
+    const diff = diffPriceRuns(null, appendPriceHistory(THIS_WEEK));
+
+    expect(diff.previousRunAt).toBeNull();
+    expect(diff.changes).toEqual([]);
+  });
+});
+
+describe('recordPriceRun', () => {
+  test('diffs against the previous run and records the new one', () => {
+    recordPriceRun(LAST_WEEK);
+    expect(getPriceChangesSinceLastRun(LAST_WEEK).changes).toEqual([]);
+
+    const diff = recordPriceRun(THIS_WEEK);
+    expect(diff.changes).toHaveLength(2);
+    expect(readPriceHistory()).toHaveLength(2);
+  });
+});
+
+describe('describePriceChange', () => {
+  test('formats a change for the summary', () => {
+    expect(describePriceChange({
+      model: 'openai/gpt-4o', field: 'outputPerM', before: 10, after: 8, changePct: -20
+    })).toBe('openai/gpt-4o outputPerM $10.000 → $8.000 (-20.0%)');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Pricing HTTP client tests (timeouts, retries, concurrency)
+ */
+
+import {
+  httpFetch,
+  setHttpTransport,
+  resetHttpTransport,
+  createResponse,
+  parseRetryAfter
+} from '../../src/pricing/http.js';
+
+beforeEach(() => {
+  process.env.PRICING_HTTP_BACKOFF_MS = '1';
+});
+
+afterEach(() => {
+  resetHttpTransport();
+  delete process.env.PRICING_HTTP_BACKOFF_MS;
+  delete process.env.PRICING_HTTP_RETRIES;
+  delete process.env.PRICING_HTTP_CONCURRENCY;
+});
+
+describe('httpFetch', () => {
+  test('retries 429 and 5xx responses, then returns the first good one', async () => {
+    const statuses = [503, 429, 200];
+    let calls = 0;
+    setHttpTransport(async () => {
+      calls += 1;
+      return createResponse({ status: statuses.shift(), headers: { 'Retry-After': '0' } });
+    });
+
+    const response = await httpFetch('https://example.com/pricing');
+
+    expect(response.status).toBe(200);
+    expect(calls).toBe(3);
+  });
+
+  test('returns the last error response once retries run out and never retries 4xx', async () => {
+    process.env.PRICING_HTTP_RETRIES = '1';
+    const calls = [];
+    setHttpTransport(async url => {
+      calls.push(url);
+      return createResponse({ status: url.endsWith('missing') ? 404 : 500 });
+    });
+
+    expect((await httpFetch('https://example.com/down')).status).toBe(500);
+    expect((await httpFetch('https://example.com/missing')).status).toBe(404);
+    expect(calls).toEqual(['https://example.com/down', 'https://example.com/down', 'https://example.com/missing']);
+  });
+
+  test('aborts a request that outlives its timeout', async () => {
+    let aborted = false;
+    setHttpTransport((url, options) => new Promise((_, reject) => {
+      options.signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('aborted'));
+      });
+    }));
+
+    await expect(httpFetch('https://example.com/slow', { timeoutMs: 20 }))
+      .rejects.toThrow('Request to https://example.com/slow timed out after 20ms');
+    expect(aborted).toBe(true);
+  });
+
+  test('limits requests in flight across callers', async () => {
+    process.env.PRICING_HTTP_CONCURRENCY = '2';
+    let inFlight = 0;
+    let peak = 0;
+    setHttpTransport(async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight -= 1;
+      return createResponse({ status: 200 });
+    });
+
+    await Promise.all(Array.from({ length: 6 }, (_, i) => httpFetch(`https://example.com/${i}`)));
+
+    expect(peak).toBe(2);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delta seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 12:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
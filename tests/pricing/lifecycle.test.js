@@ -0,0 +1,63 @@
+/**
+ * Model lifecycle tests
+ */
+
+import {
+  normalizeLifecycle,
+  applyModelLifecycle,
+  daysUntilSunset,
+  isSunsetting
+} from '../../src/pricing/lifecycle.js';
+import { normalizePricingRecord } from '../../src/pricing/schema.js';
+
+const NOW = new Date('2026-10-01T00:00:00.000Z');
+
+describe('normalizeLifecycle', () => {
+  test('infers preview status from the model id and deprecation from a sunset date', () => {
+    expect(normalizeLifecycle(undefined, 'gemini-3-pro-preview').lifecycle).toEqual({ status: 'preview' });
+    expect(normalizeLifecycle({ sunsetDate: '2026-12-01' }, 'old-model').lifecycle).toEqual({
+      status: 'deprecated',
+      sunsetDate: '2026-12-01'
+    });
+    expect(normalizeLifecycle(undefined, 'gpt-4o').lifecycle).toBeNull();
+  });
+
+  test('drops invalid lifecycle entries from pricing records', () => {
+    const { record, changes } = normalizePricingRecord({
+      model: 'acme/model-1',
+      inputPerM: 1,
+      outputPerM: 2,
+      lifecycle: { status: 'retired', sunsetDate: 'next spring' }
+    });
+
+    expect(record.lifecycle).toBeUndefined();
+    expect(changes.some(change => change.startsWith('dropped'))).toBe(true);
+  });
+});
+
+describe('applyModelLifecycle', () => {
+  test('overlays local entries on provider records field by field', () => {
+    const models = [
+      { model: 'model-a', lifecycle: { status: 'ga' } },
+      { model: 'model-b' }
+    ];
+    const data = { asOf: '2026-10-01', models: { 'model-a': { sunsetDate: '2026-11-15', replacement: 'model-b', status: 'deprecated' } } };
+
+    const [first, second] = applyModelLifecycle(models, data);
+    expect(first.lifecycle).toEqual({ status: 'deprecated', sunsetDate: '2026-11-15', replacement: 'model-b' });
+    expect(second).toBe(models[1]);
+  });
+});
+
+describe('isSunsetting', () => {
+  test('refuses deprecated models and models inside the sunset window', () => {
+    const soon = { model: 'soon', lifecycle: { status: 'ga', sunsetDate: '2026-11-30' } };
+    const later = { model: 'later', lifecycle: { status: 'ga', sunsetDate: '2027-06-30' } };
+
+    expect(daysUntilSunset(soon, NOW)).toBe(60);
+    expect(isSunsetting(soon, { now: NOW, windowDays: 90 })).toBe(true);
+    expect(isSunsetting(later, { now: NOW, windowDays: 90 })).toBe(false);
+    expect(isSunsetting({ model: 'old', lifecycle: { status: 'deprecated' } }, { now: NOW })).toBe(true);
+    expect(isSunsetting({ model: 'plain' }, { now: NOW })).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Batch / off-peak / priority price mode tests
+ */
+
+import {
+  validatePriceModes,
+  applyPriceMode,
+  availablePriceModes
+} from '../../src/pricing/modes.js';
+import { normalizePricingRecord } from '../../src/pricing/schema.js';
+import { convertRecordToBase } from '../../src/pricing/regional.js';
+
+const OFF_PEAK_WINDOWS = [{ start: '16:30', end: '00:30', timezone: 'UTC' }];
+
+const RECORD = {
+  model: 'acme/model-1',
+  inputPerM: 2,
+  outputPerM: 8,
+  cache: true,
+  cacheReadPerM: 0.5,
+  cacheWritePerM: 2,
+  priceModes: {
+    batch: { discountPct: 50 },
+    'off-peak': { discountPct: 75, windows: OFF_PEAK_WINDOWS },
+    priority: { inputPerM: 3.5, outputPerM: 14 }
+  }
+};
+
+describe('validatePriceModes', () => {
+  test('keeps well-formed modes and reports the rest', () => {
+    const { priceModes, errors } = validatePriceModes({
+      batch: { discountPct: 50 },
+      'off-peak': { discountPct: 50 },
+      overnight: { discountPct: 10 },
+      priority: { premiumPct: 75 }
+    });
+
+    expect(Object.keys(priceModes)).toEqual(['batch', 'priority']);
+    expect(errors).toEqual([
+      'price mode off-peak needs windows with HH:MM start and end',
+      'unknown price mode "overnight"'
+    ]);
+  });
+
+  test('drops invalid modes during schema normalisation without rejecting the record', () => {
+    const { record, changes } = normalizePricingRecord({
+      ...RECORD,
+      priceModes: { batch: { discountPct: 150 } }
+    });
+
+    expect(record.priceModes).toBeUndefined();
+    expect(changes).toContain('dropped price mode batch needs inputPerM/outputPerM, discountPct (0-100) or premiumPct');
+  });
+});
+
+describe('applyPriceMode', () => {
+  test('applies discounts to every price including the cache', () => {
+    const batch = applyPriceMode(RECORD, 'batch');
+    expect(batch).toMatchObject({ priceMode: 'batch', inputPerM: 1, outputPerM: 4, cacheReadPerM: 0.25, cacheWritePerM: 1 });
+
+    const offPeak = applyPriceMode(RECORD, 'off-peak');
+    expect(offPeak).toMatchObject({ inputPerM: 0.5, outputPerM: 2 });
+  });
+
+  test('uses absolute prices and premiums', () => {
+    expect(applyPriceMode(RECORD, 'priority')).toMatchObject({ inputPerM: 3.5, outputPerM: 14, cacheReadPerM: 0.5 });
+    expect(applyPriceMode({ ...RECORD, priceModes: { priority: { premiumPct: 50 } } }, 'priority'))
+      .toMatchObject({ inputPerM: 3, outputPerM: 12 });
+  });
+
+  test('returns null for modes the record does not offer', () => {
+    expect(applyPriceMode({ model: 'acme/model-2', inputPerM: 1, outputPerM: 1 }, 'batch')).toBeNull();
+  });
+});
+
+describe('availablePriceModes', () => {
+  test('only offers deferred modes to latency-tolerant tasks', () => {
+    expect(availablePriceModes(RECORD)).toEqual(['standard']);
+    expect(availablePriceModes(RECORD, { latencyTolerant: true })).toEqual(['standard', 'batch', 'off-peak']);
+  });
+});
+
+describe('currency conversion', () => {
+  test('converts absolute mode prices and leaves relative ones alone', () => {
+    const converted = convertRecordToBase(
+      { ...RECORD, currency: 'CNY' },
+      { base: 'USD', rates: { USD: 1, CNY: 7 } }
+    );
+
+    expect(converted.priceModes.priority).toEqual({ inputPerM: 0.5, outputPerM: 2 });
+    expect(converted.priceModes.batch).toEqual({ discountPct: 50 });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Aggregator (OpenRouter-style) listing tests (offline JSON fixture)
+ */
+
+import {
+  parseAggregatorListing,
+  resolveAggregatorModelId,
+  fetchAggregatorPricing
+} from '../../src/pricing/openrouter.js';
+import { mergeAggregatorPricing } from '../../src/pricing/index.js';
+import { setHttpTransport, resetHttpTransport, createReplayTransport } from '../../src/pricing/http.js';
+import { readFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const FIXTURE = join(__dirname, '../../test/fixtures/pricing/openrouter-models.json');
+
+function loadListing() {
+  return JSON.parse(readFileSync(FIXTURE, 'utf8'));
+}
+
+describe('resolveAggregatorModelId', () => {
+  test('maps listing ids onto our provider/model ids', () => {
+    expect(resolveAggregatorModelId('meta-llama/llama-3.3-70b-instruct')).toEqual({ provider: 'meta', model: 'meta/llama-3.3-70b' });
+    expect(resolveAggregatorModelId('qwen/qwen-2.5-7b-instruct')).toEqual({ provider: 'alibaba', model: 'alibaba/qwen2.5-7b' });
+    expect(resolveAggregatorModelId('qwen/qwen-max')).toEqual({ provider: 'alibaba', model: 'alibaba/qwen2.5-max' });
+    expect(resolveAggregatorModelId('anthropic/claude-3.5-sonnet')).toEqual({ provider: 'anthropic', model: 'anthropic/claude-3.5-sonnet' });
+    expect(resolveAggregatorModelId('google/gemini-2.5-flash-lite')).toEqual({ provider: 'google', model: 'google/gemini-flash-lite' });
+  });
+
+  test('skips routing variants and untracked vendors', () => {
+    expect(resolveAggregatorModelId('meta-llama/llama-3.3-70b-instruct:free')).toBeNull();
+    expect(resolveAggregatorModelId('mistralai/mistral-large')).toBeNull();
+    expect(resolveAggregatorModelId('openrouter/auto')).toBeNull();
+  });
+});
+
+describe('parseAggregatorListing', () => {
+  test('converts per-token prices and reads context, modalities and cache rates', () => {
+    const records = parseAggregatorListing(loadListing());
+    const gpt4o = records.find(r => r.model === 'openai/gpt-4o');
+
+    expect(records).toHaveLength(7);
+    expect(gpt4o).toEqual({
+      model: 'openai/gpt-4o',
+      provider: 'openai',
+      inputPerM: 2.5,
+      outputPerM: 10,
+      vision: true,
+      cache: true,
+      cacheReadPerM: 1.25,
+      cacheWritePerM: 2.5,
+      billing: 'api',
+      modalities: { input: ['text', 'image', 'file'], output: ['text'] },
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      source: 'openrouter'
+    });
+  });
+
+  test('reads capabilities from supported parameters when listed', () => {
+    const records = parseAggregatorListing(loadListing());
+
+    expect(records.find(r => r.model === 'meta/llama-3.3-70b').capabilities).toEqual({
+      toolUse: true,
+      structuredOutput: true,
+      reasoning: false,
+      audio: false
+    });
+    expect(records.find(r => r.model === 'openai/gpt-4o').capabilities).toBeUndefined();
+  });
+
+  test('falls back to the modality string', () => {
+    const lite = parseAggregatorListing(loadListing()).find(r => r.model === 'google/gemini-flash-lite');
+
+    expect(lite.vision).toBe(true);
+    expect(lite.modalities).toEqual({ input: ['text', 'image'], output: ['text'] });
+  });
+
+  test('rejects a listing without a data array', () => {
+    expect(() => parseAggregatorListing({ models: [] })).toThrow(/no data array/);
+  });
+});
+
+describe('fetchAggregatorPricing', () => {
+  afterEach(() => {
+    delete process.env.PRICING_AGGREGATOR_FILE;
+  });
+
+  test('reads a local listing file without network access', async () => {
+    process.env.PRICING_AGGREGATOR_FILE = FIXTURE;
+
+    const records = await fetchAggregatorPricing();
+    expect(records.map(r => r.provider)).toContain('moonshot');
+  });
+
+  test('replays the recorded listing response', async () => {
+    const workDir = mkdtempSync(join(tmpdir(), 'aggregator-pricing-'));
+    process.env.PRICING_CACHE_PATH = join(workDir, 'pricing-cache.json');
+    const replay = createReplayTransport();
+    setHttpTransport(replay);
+
+    try {
+      const records = await fetchAggregatorPricing();
+      expect(replay.calls).toEqual(['https://openrouter.ai/api/v1/models']);
+      expect(records.find(r => r.model === 'openai/gpt-4o')).toMatchObject({ provider: 'openai', inputPerM: 2.5 });
+    } finally {
+      resetHttpTransport();
+      delete process.env.PRICING_CACHE_PATH;
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('mergeAggregatorPricing', () => {
+  test('updates static and fallback prices but keeps live scraped prices', () => {
+    const results = {
+      meta: [{ model: 'meta/llama-3.3-70b', inputPerM: 0, outputPerM: 0, billing: 'self-hosted' }],
+      anthropic: [{ model: 'anthropic/claude-3.5-sonnet', inputPerM: 3, outputPerM: 15, source: 'hardcoded' }],
+      openai: [{ model: 'openai/gpt-4o', inputPerM: 5, outputPerM: 15 }]
+    };
+    const records = parseAggregatorListing(loadListing());
+
+    const counts = mergeAggregatorPricing(results, records, {
+      sourceTypes: { meta: 'static', anthropic: 'scraped', openai: 'scraped' },
+      includeNewModels: false
+    });
+
+    expect(counts).toEqual({ replaced: 2, added: 0 });
+    expect(results.meta[0]).toMatchObject({ inputPerM: 0.13, outputPerM: 0.4, billing: 'api', source: 'openrouter' });
+    expect(results.meta[0].provider).toBeUndefined();
+    expect(results.anthropic[0]).toMatchObject({ cacheWritePerM: 3.75, source: 'openrouter' });
+    expect(results.openai[0].inputPerM).toBe(5);
+  });
+
+  test('keeps declared capabilities the listing does not cover', () => {
+    const results = {
+      meta: [{
+        model: 'meta/llama-3.3-70b',
+        inputPerM: 0,
+        outputPerM: 0,
+        capabilities: { toolUse: false, reasoning: false, maxOutputTokens: 8192 }
+      }]
+    };
+    const records = parseAggregatorListing(loadListing()).map(record => ({
+      ...record,
+      capabilities: { ...record.capabilities, maxOutputTokens: null }
+    }));
+
+    mergeAggregatorPricing(results, records, { sourceTypes: { meta: 'static' }, includeNewModels: false });
+
+    expect(results.meta[0].capabilities).toMatchObject({ toolUse: true, reasoning: false, maxOutputTokens: 8192 });
+  });
+
+  test('adds unlisted models only when asked', () => {
+    const results = { moonshot: [] };
+    const records = parseAggregatorListing(loadListing());
+
+    expect(mergeAggregatorPricing(results, records, { includeNewModels: true }).added).toBe(1);
+    expect(results.moonshot[0].model).toBe('moonshot/kimi-k2');
+  });
+});
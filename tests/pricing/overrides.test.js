@@ -0,0 +1,53 @@
+/**
+ * Manual price override tests
+ */
+
+import { applyPriceOverrides } from '../../src/pricing/overrides.js';
+
+const NOW = new Date('2026-10-19T06:00:00.000Z');
+
+const PRICING = {
+  anthropic: [
+    { model: 'claude-sonnet-4-6', inputPerM: 3, outputPerM: 15, cacheReadPerM: 0.3 },
+    { model: 'claude-haiku-4-5-20251001', inputPerM: 1, outputPerM: 5 }
+  ],
+  deepseek: [{ model: 'deepseek/deepseek-chat', inputPerM: 0.28, outputPerM: 0.42 }]
+};
+
+describe('applyPriceOverrides', () => {
+  test('applies provider discounts, then per-model values, and marks the records', () => {
+    const { pricing, applied } = applyPriceOverrides(PRICING, {
+      providers: [{ provider: 'anthropic', discountPct: 20, note: 'Enterprise agreement', expires: '2027-06-30' }],
+      models: [{ model: 'claude-haiku-4-5-20251001', outputPerM: 3.5, note: 'Committed-use rate' }]
+    }, { now: NOW });
+
+    const [sonnet, haiku] = pricing.anthropic;
+    expect(sonnet).toMatchObject({ inputPerM: 2.4, outputPerM: 12, cacheReadPerM: 0.24 });
+    expect(sonnet.override).toEqual({
+      fields: ['inputPerM', 'outputPerM', 'cacheReadPerM'],
+      discountPct: 20,
+      note: 'Enterprise agreement',
+      expires: '2027-06-30'
+    });
+    expect(haiku).toMatchObject({ inputPerM: 0.8, outputPerM: 3.5 });
+    expect(haiku.override.note).toBe('Committed-use rate');
+    expect(pricing.deepseek[0]).toBe(PRICING.deepseek[0]);
+    expect(applied.map(entry => entry.model)).toEqual(['claude-sonnet-4-6', 'claude-haiku-4-5-20251001']);
+    expect(PRICING.anthropic[0].inputPerM).toBe(3);
+  });
+
+  test('skips expired, invalid and unmatched overrides', () => {
+    const { pricing, applied, skipped } = applyPriceOverrides(PRICING, {
+      providers: [{ provider: 'deepseek', discountPct: 10, expires: '2026-10-18' }],
+      models: [
+        { model: 'deepseek/deepseek-chat', inputPerM: -1 },
+        { model: 'openai/gpt-5', inputPerM: 1 }
+      ]
+    }, { now: NOW });
+
+    expect(applied).toEqual([]);
+    expect(pricing.deepseek[0].override).toBeUndefined();
+    expect(skipped.map(entry => entry.target)).toEqual(['deepseek', 'deepseek/deepseek-chat', 'openai/gpt-5']);
+    expect(skipped[0].reason).toBe('expired 2026-10-18');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Currency conversion and regional price selection tests
+ */
+
+import {
+  convertAmount,
+  convertRecordToBase,
+  selectRegionalPricing,
+  normalizeRegionalPricing,
+  createMoneyFormatter
+} from '../../src/pricing/regional.js';
+
+const RATES = { base: 'USD', asOf: '2026-10-01', rates: { USD: 1, CNY: 8, EUR: 0.5 } };
+
+describe('convertAmount', () => {
+  test('converts through USD', () => {
+    expect(convertAmount(8, 'CNY', 'USD', RATES)).toBe(1);
+    expect(convertAmount(8, 'CNY', 'EUR', RATES)).toBe(0.5);
+    expect(convertAmount(3, 'usd', 'USD', RATES)).toBe(3);
+  });
+
+  test('throws for unknown currencies', () => {
+    expect(() => convertAmount(1, 'CHF', 'USD', RATES)).toThrow(/No conversion rate for CHF/);
+  });
+});
+
+describe('convertRecordToBase', () => {
+  test('converts every price field and remembers the list price', () => {
+    const record = convertRecordToBase({
+      model: 'moonshot/kimi-k2',
+      inputPerM: 4,
+      outputPerM: 16,
+      cacheReadPerM: 1,
+      cacheWritePerM: 4,
+      currency: 'CNY',
+      region: 'cn',
+      promptTiers: [{ minPromptTokens: 0, maxPromptTokens: null, inputPerM: 8, outputPerM: 16 }]
+    }, RATES);
+
+    expect(record).toMatchObject({
+      inputPerM: 0.5,
+      outputPerM: 2,
+      cacheReadPerM: 0.125,
+      cacheWritePerM: 0.5,
+      currency: 'USD',
+      region: 'cn',
+      listed: { currency: 'CNY', inputPerM: 4, outputPerM: 16 }
+    });
+    expect(record.promptTiers[0]).toMatchObject({ inputPerM: 1, outputPerM: 2 });
+  });
+
+  test('drops records whose currency has no rate', () => {
+    expect(convertRecordToBase({ model: 'a', inputPerM: 1, outputPerM: 1, currency: 'CHF' }, RATES)).toBeNull();
+  });
+});
+
+describe('selectRegionalPricing', () => {
+  const models = [
+    { model: 'alibaba/qwen2.5-max', region: 'global', inputPerM: 0.75 },
+    { model: 'alibaba/qwen2.5-max', region: 'cn', inputPerM: 0.3 },
+    { model: 'alibaba/qwen2.5-7b', region: 'cn', inputPerM: 0 }
+  ];
+
+  test('prefers the requested region, then global', () => {
+    expect(selectRegionalPricing(models, 'cn').map(m => m.inputPerM)).toEqual([0.3, 0]);
+    expect(selectRegionalPricing(models, 'eu').map(m => m.inputPerM)).toEqual([0.75, 0]);
+  });
+
+  test('returns USD records for the optimizer', () => {
+    const selected = normalizeRegionalPricing([
+      { model: 'a/m', inputPerM: 8, outputPerM: 16, currency: 'CNY', region: 'cn' },
+      { model: 'a/m', inputPerM: 2, outputPerM: 3, currency: 'USD', region: 'global' }
+    ], { region: 'cn', currencyRates: RATES });
+
+    expect(selected).toEqual([expect.objectContaining({ inputPerM: 1, outputPerM: 2, currency: 'USD' })]);
+  });
+});
+
+describe('createMoneyFormatter', () => {
+  test('formats USD amounts in the display currency', () => {
+    const money = createMoneyFormatter('EUR', RATES);
+
+    expect(money.currency).toBe('EUR');
+    expect(money(3, 2)).toBe('€1.50');
+    expect(money(-2, 3)).toBe('-€1.000');
+    expect(money(8, 2, 'CNY')).toBe('€0.50');
+  });
+
+  test('falls back to USD for unknown display currencies', () => {
+    expect(createMoneyFormatter('XYZ', RATES)(1.5)).toBe('$1.50');
+  });
+});
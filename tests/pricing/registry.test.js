@@ -0,0 +1,99 @@
+/**
+ * Pricing provider registry tests
+ */
+
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  loadProviderModules,
+  loadProviderConfig
+} from '../../src/pricing/registry.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let workDir;
+
+beforeEach(() => {
+  workDir = mkdtempSync(join(tmpdir(), 'pricing-registry-'));
+});
+
+afterEach(() => {
+  for (const { id } of listProviders()) {
+    unregisterProvider(id);
+  }
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('registerProvider', () => {
+  test('registers a provider with defaults', async () => {
+    registerProvider({ id: 'acme', fetch: async () => [] });
+
+    const entry = getProvider('acme');
+    expect(entry.sourceType).toBe('static');
+    expect(entry.capabilities).toEqual([]);
+    expect(listProviders().map(p => p.id)).toEqual(['acme']);
+  });
+
+  test('rejects duplicate ids unless replace is set', () => {
+    registerProvider({ id: 'acme', fetch: async () => [] });
+
+    expect(() => registerProvider({ id: 'acme', fetch: async () => [] })).toThrow(/already registered/);
+    expect(() => registerProvider({ id: 'acme', fetch: async () => [], sourceType: 'api' }, { replace: true })).not.toThrow();
+    expect(getProvider('acme').sourceType).toBe('api');
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => registerProvider({ id: 'Bad Id', fetch: async () => [] })).toThrow(/Invalid provider id/);
+    expect(() => registerProvider({ id: 'acme' })).toThrow(/fetch function/);
+    expect(() => registerProvider({ id: 'acme', fetch: async () => [], sourceType: 'rumour' })).toThrow(/sourceType/);
+  });
+});
+
+describe('external providers', () => {
+  test('loads provider modules from a directory', async () => {
+    writeFileSync(join(workDir, 'reseller.mjs'), `
+      export const provider = {
+        id: 'reseller',
+        sourceType: 'api',
+        capabilities: ['vision'],
+        fetch: async () => [{ model: 'reseller/fast', inputPerM: 0.1, outputPerM: 0.2 }]
+      };
+    `);
+
+    const loaded = await loadProviderModules(workDir);
+
+    expect(loaded).toEqual(['reseller']);
+    const prices = await getProvider('reseller').fetch();
+    expect(prices[0].model).toBe('reseller/fast');
+  });
+
+  test('loads inline price tables from a config file', async () => {
+    const configPath = join(workDir, 'providers.json');
+    writeFileSync(configPath, JSON.stringify({
+      providers: [
+        {
+          id: 'in-house',
+          capabilities: ['self-hosted'],
+          models: [{ model: 'in-house/llama', inputPerM: 0.05, outputPerM: 0.05 }]
+        },
+        { id: 'broken' }
+      ]
+    }));
+
+    const loaded = await loadProviderConfig(configPath);
+
+    expect(loaded).toEqual(['in-house']);
+    expect(getProvider('in-house').sourceType).toBe('static');
+    expect(await getProvider('in-house').fetch()).toEqual([
+      { model: 'in-house/llama', inputPerM: 0.05, outputPerM: 0.05 }
+    ]);
+  });
+
+  test('missing directory or config is a no-op', async () => {
+    expect(await loadProviderModules(join(workDir, 'nope'))).toEqual([]);
+    expect(await loadProviderConfig(join(workDir, 'nope.json'))).toEqual([]);
+  });
+});
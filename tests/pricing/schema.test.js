@@ -0,0 +1,110 @@
+/**
+ * Pricing record schema tests
+ */
+
+import { normalizePricingRecord, validateProviderPricing, DEFAULT_CONTEXT_WINDOW } from '../../src/pricing/schema.js';
+
+describe('normalizePricingRecord', () => {
+  test('maps DeepSeek cache hit/miss prices onto cache read/write', () => {
+    const { record, changes } = normalizePricingRecord({
+      model: 'deepseek/deepseek-chat',
+      inputPerM: 0.27,
+      outputPerM: 1.1,
+      contextWindow: 128000,
+      vision: false,
+      cache: true,
+      cacheHitInputPerM: 0.07,
+      cacheMissInputPerM: 0.27
+    });
+
+    expect(record).toEqual({
+      model: 'deepseek/deepseek-chat',
+      inputPerM: 0.27,
+      outputPerM: 1.1,
+      contextWindow: 128000,
+      vision: false,
+      cache: true,
+      cacheReadPerM: 0.07,
+      cacheWritePerM: 0.27,
+      currency: 'USD',
+      region: 'global',
+      billing: 'api',
+      capabilities: {
+        toolUse: null,
+        structuredOutput: null,
+        reasoning: null,
+        vision: false,
+        audio: null,
+        maxOutputTokens: null,
+        contextWindow: 128000
+      }
+    });
+    expect(changes).toContain('cacheHitInputPerM → cacheReadPerM');
+  });
+
+  test('keeps explicit cache read/write prices over aliases', () => {
+    const { record } = normalizePricingRecord({
+      model: 'moonshot/kimi-k2',
+      inputPerM: 0.6,
+      outputPerM: 2.5,
+      cacheReadPerM: 0.15,
+      cacheWritePerM: 0.6,
+      cacheHitInputPerM: 0.1
+    });
+
+    expect(record.cacheReadPerM).toBe(0.15);
+    expect(record.cacheHitInputPerM).toBeUndefined();
+    expect(record.cache).toBe(true);
+  });
+
+  test('maps free and computeCost flags onto billing', () => {
+    expect(normalizePricingRecord({ model: 'microsoft/phi-4', inputPerM: 0, outputPerM: 0, free: true }).record.billing).toBe('free');
+
+    const { record } = normalizePricingRecord({ model: 'meta/llama-3.3-70b', inputPerM: 0, outputPerM: 0, computeCost: true });
+    expect(record.billing).toBe('self-hosted');
+    expect(record.computeCost).toBeUndefined();
+  });
+
+  test('fills defaults and reports them', () => {
+    const { record, changes } = normalizePricingRecord({ model: 'acme/model', inputPerM: 1, outputPerM: 2 });
+
+    expect(record).toMatchObject({ contextWindow: DEFAULT_CONTEXT_WINDOW, vision: false, cache: false, billing: 'api' });
+    expect(changes).toContain(`contextWindow missing, defaulted to ${DEFAULT_CONTEXT_WINDOW}`);
+  });
+
+  test('keeps listed currency and region', () => {
+    const { record, changes } = normalizePricingRecord({
+      model: 'alibaba/qwen2.5-max', inputPerM: 2.4, outputPerM: 9.6, currency: 'cny', region: 'CN'
+    });
+
+    expect(record).toMatchObject({ currency: 'CNY', region: 'cn' });
+    expect(changes.some(change => change.startsWith('currency'))).toBe(false);
+    expect(normalizePricingRecord({ model: 'a', inputPerM: 1, outputPerM: 1, currency: 'yuan' }).record).toBeNull();
+  });
+
+  test('rejects NaN, negative and missing prices', () => {
+    expect(normalizePricingRecord({ model: 'a', inputPerM: NaN, outputPerM: 1 }).record).toBeNull();
+    expect(normalizePricingRecord({ model: 'a', inputPerM: 1, outputPerM: -1 }).record).toBeNull();
+    expect(normalizePricingRecord({ model: 'a', inputPerM: 1 }).errors).toEqual([
+      'outputPerM must be a non-negative number (got undefined)'
+    ]);
+    expect(normalizePricingRecord({ model: 'a', inputPerM: 1, outputPerM: 1, cacheHitInputPerM: -0.1 }).record).toBeNull();
+  });
+});
+
+describe('validateProviderPricing', () => {
+  test('splits accepted, rejected and normalised records', () => {
+    const { records, report } = validateProviderPricing('acme', [
+      { model: 'acme/ok', inputPerM: 1, outputPerM: 2, contextWindow: 8000, vision: false, cache: false },
+      { model: 'acme/defaults', inputPerM: 1, outputPerM: 2 },
+      { model: 'acme/broken', inputPerM: '1', outputPerM: 2 }
+    ]);
+
+    expect(records.map(r => r.model)).toEqual(['acme/ok', 'acme/defaults']);
+    expect(report.accepted).toBe(2);
+    expect(report.rejected).toEqual([
+      { model: 'acme/broken', errors: ['inputPerM must be a non-negative number (got 1)'] }
+    ]);
+    expect(report.normalised.map(entry => entry.model)).toEqual(['acme/defaults']);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Usage log import tests
+ */
+
+import {
+  normalizeUsageRecord,
+  readUsageLogs,
+  summarizeUsage,
+  usageMixFromProfile,
+  monthlyTokensFromProfile
+} from '../../src/usage/index.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+function request(taskType, inputTokens, outputTokens, extra = {}) {
+  return { taskType, model: 'deepseek/deepseek-chat', inputTokens, outputTokens, ...extra };
+}
+
+describe('normalizeUsageRecord', () => {
+  test('accepts snake_case gateway fields and rejects impossible counts', () => {
+    const { record } = normalizeUsageRecord({
+      task_type: 'summaries',
+      model: 'google/gemini-2.5-flash',
+      prompt_tokens: 5200,
+      completion_tokens: 310,
+      cached_tokens: 4096,
+      ts: '2026-10-18T09:12:00Z'
+    });
+
+    expect(record).toEqual({
+      taskType: 'summaries',
+      model: 'google/gemini-2.5-flash',
+      inputTokens: 5200,
+      outputTokens: 310,
+      cachedTokens: 4096,
+      timestamp: '2026-10-18T09:12:00.000Z'
+    });
+    expect(normalizeUsageRecord(request('summaries', 100, 10, { cachedTokens: 200 })).errors)
+      .toEqual(['cachedTokens (200) exceeds inputTokens (100)']);
+  });
+});
+
+describe('summarizeUsage', () => {
+  test('computes token share, input/output ratio and cache hit rate per task', () => {
+    const profile = summarizeUsage([
+      request('summaries', 6000, 400, { cachedTokens: 3000 }),
+      request('summaries', 2000, 200, { cachedTokens: 1000 }),
+      request('formatting', 300, 1100)
+    ]);
+
+    expect(profile.requests).toBe(3);
+    expect(profile.totals).toEqual({ inputTokens: 8300, outputTokens: 1700, cachedTokens: 4000, totalTokens: 10000 });
+    expect(profile.tasks.summaries).toMatchObject({
+      requests: 2,
+      tokenShare: 0.86,
+      inputOutputRatio: 13.33,
+      cacheHitRate: 0.5,
+      avgInputTokens: 4000,
+      avgOutputTokens: 300
+    });
+    expect(profile.tasks.formatting).toMatchObject({ tokenShare: 0.14, inputOutputRatio: 0.27, cacheHitRate: 0 });
+    expect(usageMixFromProfile(profile)).toEqual({ formatting: 0.14, summaries: 0.86 });
+  });
+
+  test('keeps only the last N days before the newest request', () => {
+    const profile = summarizeUsage([
+      request('summaries', 100, 10, { timestamp: '2026-08-01T00:00:00.000Z' }),
+      request('summaries', 100, 10, { timestamp: '2026-10-01T00:00:00.000Z' }),
+      request('formatting', 100, 10, { timestamp: '2026-10-18T00:00:00.000Z' })
+    ], { days: 30 });
+
+    expect(profile.requests).toBe(2);
+    expect(profile.from).toBe('2026-10-01T00:00:00.000Z');
+    expect(profile.spanDays).toBe(17);
+  });
+
+  test('extrapolates the imported period to a monthly token volume', () => {
+    const profile = summarizeUsage([
+      request('summaries', 9000, 1000, { timestamp: '2026-10-01T00:00:00.000Z' }),
+      request('formatting', 4000, 1000, { timestamp: '2026-10-11T00:00:00.000Z' })
+    ]);
+
+    // 15,000 tokens over 10 days → 1,500/day × 365/12
+    expect(monthlyTokensFromProfile(profile)).toBe(45625);
+    expect(monthlyTokensFromProfile(summarizeUsage([request('summaries', 10, 1)]))).toBeNull();
+  });
+});
+
+describe('readUsageLogs', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'usage-'));
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('streams every jsonl file in a directory and counts bad lines', async () => {
+    writeFileSync(join(workDir, 'a.jsonl'), `${JSON.stringify(request('summaries', 10, 1))}\nnot json\n`);
+    writeFileSync(join(workDir, 'b.jsonl'), `${JSON.stringify(request('formatting', 1, 10))}\n`);
+
+    const { records, skipped, errors } = await readUsageLogs([workDir]);
+
+    expect(records.map(record => record.taskType)).toEqual(['summaries', 'formatting']);
+    expect(skipped).toBe(1);
+    expect(errors[0]).toContain('a.jsonl:2: ');
+  });
+});